@@ -0,0 +1,14 @@
+/**
+ * Next.js boot hook
+ * Resumes the scanners when the stored schedule says they should be running
+ */
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { getScanScheduler } = await import('./lib/scanScheduler.js');
+    // Not awaited - a slow database or exchange must not hold up server startup
+    getScanScheduler().resume().catch(error => {
+      console.error('❌ Could not resume scanner schedule on boot:', error.message);
+    });
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * EMA Crossover Backtester
+ * Replays stored sol_price_data rows or imported candles through the same
+ * moving-average crossover logic as the live scanner and reports strategy performance
+ */
+
+import { normalizeCandles } from './candleUtils.js';
+import { detectEMACrossover } from './indicators.js';
+import {
+  DEFAULT_MA_TYPE,
+  calculateMovingAverageSeries,
+  movingAverageConfigLabel,
+  parseMovingAverageType
+} from './movingAverages.js';
+import { DEFAULT_FAST_PERIOD, DEFAULT_SLOW_PERIOD } from './solanaScanner.js';
+import { DEFAULT_GRANULARITY } from './timeframes.js';
+
+const MAX_STORED_ROWS = 5000;
+
+class Backtester {
+  constructor(options = {}) {
+    this.fastPeriod = options.fastPeriod || DEFAULT_FAST_PERIOD;
+    this.slowPeriod = options.slowPeriod || DEFAULT_SLOW_PERIOD;
+    this.fastMaType = parseMovingAverageType(options.fastMaType) || DEFAULT_MA_TYPE;
+    this.slowMaType = parseMovingAverageType(options.slowMaType) || DEFAULT_MA_TYPE;
+    this.initialCapital = options.initialCapital || 10000;
+    this.feePercent = options.feePercent ?? 0.1; // per side, in %
+    this.allowShort = options.allowShort || false;
+  }
+
+  /**
+   * Loads stored scanner prices as close-only bars (oldest first)
+   */
+  async loadStoredPrices({ symbol, granularity = DEFAULT_GRANULARITY, from = null, to = null, limit = MAX_STORED_ROWS }) {
+    const { supabase } = await import('./supabase.js');
+
+    let query = supabase
+      .from('sol_price_data')
+      .select('timestamp, price, volume')
+      .eq('symbol', symbol)
+      .eq('granularity', granularity)
+      .order('timestamp', { ascending: false })
+      .limit(Math.min(limit, MAX_STORED_ROWS));
+
+    if (from) query = query.gte('timestamp', new Date(from).toISOString());
+    if (to) query = query.lte('timestamp', new Date(to).toISOString());
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load stored prices: ${error.message}`);
+    }
+
+    return normalizeCandles((data || []).map(row => ({
+      timestamp: row.timestamp,
+      price: row.price,
+      volume: row.volume
+    })));
+  }
+
+  /**
+   * Runs the strategy over candles ({ timestamp, close, ... }, any order)
+   * Bullish crossover opens a long (and closes a short), bearish crossover
+   * closes the long (and opens a short when allowShort is enabled)
+   */
+  run(inputCandles) {
+    const candles = normalizeCandles(inputCandles);
+
+    if (candles.length <= this.slowPeriod) {
+      throw new Error(`Not enough data: ${candles.length} bars, need more than ${this.slowPeriod}`);
+    }
+
+    const closes = candles.map(candle => candle.close);
+    const fastSeries = calculateMovingAverageSeries(closes, this.fastPeriod, this.fastMaType);
+    const slowSeries = calculateMovingAverageSeries(closes, this.slowPeriod, this.slowMaType);
+
+    const trades = [];
+    const equityCurve = [];
+    let cash = this.initialCapital;
+    let position = null;
+
+    for (let i = 0; i < candles.length; i++) {
+      const { timestamp, close } = candles[i];
+      const crossover = i > 0
+        ? detectEMACrossover(fastSeries[i], slowSeries[i], fastSeries[i - 1], slowSeries[i - 1])
+        : null;
+
+      const exitSide = crossover === 'bullish' ? 'short' : 'long';
+      const entrySide = crossover === 'bullish' ? 'long' : (this.allowShort ? 'short' : null);
+
+      if (crossover && position?.side === exitSide) {
+        cash = this.closePosition(position, candles[i], i, 'crossover', trades);
+        position = null;
+      }
+
+      if (crossover && entrySide && !position) {
+        // The whole account is committed to the position
+        position = this.openPosition(entrySide, cash, candles[i], i);
+        cash = 0;
+      }
+
+      equityCurve.push({
+        timestamp: timestamp.toISOString(),
+        price: close,
+        equity: cash + (position ? this.markToMarket(position, close) : 0)
+      });
+    }
+
+    if (position) {
+      const lastIndex = candles.length - 1;
+      cash = this.closePosition(position, candles[lastIndex], lastIndex, 'end_of_data', trades);
+      equityCurve[lastIndex].equity = cash;
+    }
+
+    return {
+      config: {
+        fastPeriod: this.fastPeriod,
+        slowPeriod: this.slowPeriod,
+        fastMaType: this.fastMaType,
+        slowMaType: this.slowMaType,
+        maConfig: movingAverageConfigLabel(this.fastMaType, this.fastPeriod, this.slowMaType, this.slowPeriod),
+        initialCapital: this.initialCapital,
+        feePercent: this.feePercent,
+        allowShort: this.allowShort
+      },
+      period: {
+        from: candles[0].timestamp.toISOString(),
+        to: candles[candles.length - 1].timestamp.toISOString(),
+        bars: candles.length
+      },
+      summary: this.summarize(trades, equityCurve),
+      trades,
+      equityCurve
+    };
+  }
+
+  openPosition(side, capital, candle, index) {
+    const fee = capital * (this.feePercent / 100);
+    const invested = capital - fee;
+
+    return {
+      side,
+      entryTime: candle.timestamp,
+      entryIndex: index,
+      entryPrice: candle.close,
+      quantity: invested / candle.close,
+      invested,
+      entryFee: fee
+    };
+  }
+
+  markToMarket(position, price) {
+    const priceChange = (price - position.entryPrice) * position.quantity;
+    return position.invested + (position.side === 'long' ? priceChange : -priceChange);
+  }
+
+  /**
+   * Closes the position, records the trade and returns the resulting cash
+   */
+  closePosition(position, candle, index, reason, trades) {
+    const grossValue = this.markToMarket(position, candle.close);
+    const exitFee = Math.max(0, grossValue) * (this.feePercent / 100);
+    const netValue = grossValue - exitFee;
+    const startingCapital = position.invested + position.entryFee;
+    const pnl = netValue - startingCapital;
+
+    trades.push({
+      side: position.side,
+      entryTime: position.entryTime.toISOString(),
+      entryPrice: position.entryPrice,
+      exitTime: candle.timestamp.toISOString(),
+      exitPrice: candle.close,
+      quantity: position.quantity,
+      fees: position.entryFee + exitFee,
+      pnl,
+      returnPercent: (pnl / startingCapital) * 100,
+      barsHeld: index - position.entryIndex,
+      exitReason: reason
+    });
+
+    return netValue;
+  }
+
+  summarize(trades, equityCurve) {
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl <= 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+    let peak = this.initialCapital;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+
+    equityCurve.forEach(point => {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPercent = (drawdown / peak) * 100;
+      }
+    });
+
+    const finalEquity = equityCurve.length > 0
+      ? equityCurve[equityCurve.length - 1].equity
+      : this.initialCapital;
+
+    return {
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+      grossProfit,
+      grossLoss,
+      // null when there are no losing trades (infinite profit factor)
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+      netProfit: finalEquity - this.initialCapital,
+      returnPercent: ((finalEquity - this.initialCapital) / this.initialCapital) * 100,
+      finalEquity,
+      maxDrawdown,
+      maxDrawdownPercent,
+      averageTradeReturnPercent: trades.length > 0
+        ? trades.reduce((sum, trade) => sum + trade.returnPercent, 0) / trades.length
+        : null
+    };
+  }
+}
+
+export default Backtester;
@@ -0,0 +1,124 @@
+/**
+ * Candle Backfill
+ * Finds holes in the stored candle history of a symbol/timeframe and fills them from the
+ * exchange in pages that respect the provider's per-request candle limit
+ */
+
+import { loadCandleOpenTimes, upsertCandles } from './candleStore.js';
+import { candleOpenTime, granularityLabel } from './timeframes.js';
+
+// Longest history checked by one run (a day of 1m candles fits, 2000 × 15m ≈ 3 weeks)
+export const DEFAULT_BACKFILL_CANDLES = parseInt(process.env.CANDLE_BACKFILL_MAX) || 2000;
+
+/**
+ * Missing ranges on the grid from..to (unix seconds, inclusive)
+ * Returns [{ start, end, missing }] with start/end as open times of the first/last missing candle
+ */
+export function findCandleGaps(openTimes, granularity, from, to) {
+  const stored = new Set(openTimes);
+  const gaps = [];
+  let gap = null;
+
+  for (let open = from; open <= to; open += granularity) {
+    if (stored.has(open)) {
+      gap = null;
+      continue;
+    }
+
+    if (!gap) {
+      gap = { start: open, end: open, missing: 0 };
+      gaps.push(gap);
+    }
+    gap.end = open;
+    gap.missing++;
+  }
+
+  return gaps;
+}
+
+/**
+ * Detects and fills missing candles, newest closed candle included
+ * Without `from` the last `maxCandles` candles are checked. With dryRun the gaps are only reported.
+ */
+export async function backfillCandles({
+  symbol,
+  granularity,
+  provider,
+  from = null,
+  to = null,
+  maxCandles = DEFAULT_BACKFILL_CANDLES,
+  dryRun = false,
+  now = new Date()
+}) {
+  const startedAt = Date.now();
+  const lastClosedOpen = candleOpenTime(now, granularity) - granularity;
+  const rangeEnd = to ? Math.min(candleOpenTime(to, granularity), lastClosedOpen) : lastClosedOpen;
+  const earliestStart = rangeEnd - (maxCandles - 1) * granularity;
+  const rangeStart = from ? Math.max(candleOpenTime(from, granularity), earliestStart) : earliestStart;
+
+  const openTimes = await loadCandleOpenTimes({ symbol, granularity, from: rangeStart, to: rangeEnd });
+  const gaps = findCandleGaps(openTimes, granularity, rangeStart, rangeEnd);
+  const missingBefore = gaps.reduce((sum, gap) => sum + gap.missing, 0);
+
+  const report = {
+    symbol,
+    timeframe: granularityLabel(granularity),
+    from: new Date(rangeStart * 1000).toISOString(),
+    to: new Date(rangeEnd * 1000).toISOString(),
+    expected: rangeEnd >= rangeStart ? (rangeEnd - rangeStart) / granularity + 1 : 0,
+    storedBefore: openTimes.length,
+    gaps: gaps.map(gap => ({
+      from: new Date(gap.start * 1000).toISOString(),
+      to: new Date(gap.end * 1000).toISOString(),
+      missing: gap.missing
+    })),
+    missingBefore,
+    filled: 0,
+    requests: 0,
+    errors: []
+  };
+
+  if (dryRun || missingBefore === 0) {
+    return { ...report, remainingMissing: missingBefore, durationMs: Date.now() - startedAt };
+  }
+
+  // One request returns at most maxCandlesPerRequest candles, end bound included
+  const pageSize = provider.maxCandlesPerRequest - 1;
+  const filledOpens = new Set();
+
+  for (const gap of gaps) {
+    for (let pageStart = gap.start; pageStart <= gap.end; pageStart += pageSize * granularity) {
+      const pageEnd = Math.min(gap.end, pageStart + (pageSize - 1) * granularity);
+
+      try {
+        const candles = await provider.fetchCandles(symbol, granularity, {
+          start: pageStart,
+          end: pageEnd + granularity
+        });
+        report.requests++;
+
+        await upsertCandles({ symbol, granularity, candles, source: provider.name });
+
+        candles
+          .map(candle => Math.floor(new Date(candle.timestamp).getTime() / 1000))
+          .filter(open => open >= pageStart && open <= pageEnd)
+          .forEach(open => filledOpens.add(open));
+      } catch (error) {
+        report.errors.push({
+          from: new Date(pageStart * 1000).toISOString(),
+          to: new Date(pageEnd * 1000).toISOString(),
+          error: error.message
+        });
+      }
+    }
+  }
+
+  report.filled = filledOpens.size;
+
+  return {
+    ...report,
+    // Exchanges skip candles without trades, so some holes can't be filled
+    remainingMissing: missingBefore - report.filled,
+    durationMs: Date.now() - startedAt
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Candle Store
+ * Closed OHLCV bars in the candles table, one row per symbol, granularity and open time.
+ * Ingestion upserts on that key, so re-fetching overlapping ranges is harmless.
+ */
+
+import { filterClosedCandles, normalizeCandles } from './candleUtils.js';
+
+const UPSERT_BATCH_SIZE = 500;
+const MAX_LOADED_CANDLES = 5000;
+const PAGE_SIZE = 1000;
+
+/**
+ * Maps provider candles to candles table rows (closed bars only)
+ */
+export function toCandleRows(symbol, granularity, candles, source = null, now = new Date()) {
+  return filterClosedCandles(normalizeCandles(candles), granularity, now).map(candle => ({
+    symbol,
+    granularity,
+    open_time: candle.timestamp.toISOString(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume,
+    source
+  }));
+}
+
+/**
+ * Upserts candles on (symbol, granularity, open_time) - returns the number of rows written
+ */
+export async function upsertCandles({ symbol, granularity, candles, source = null }) {
+  const rows = toCandleRows(symbol, granularity, candles, source);
+  if (rows.length === 0) return 0;
+
+  const { supabase } = await import('./supabase.js');
+  const updatedAt = new Date().toISOString();
+
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + UPSERT_BATCH_SIZE).map(row => ({ ...row, updated_at: updatedAt }));
+
+    const { error } = await supabase
+      .from('candles')
+      .upsert(batch, { onConflict: 'symbol,granularity,open_time' });
+
+    if (error) {
+      throw new Error(`Failed to store candles: ${error.message}`);
+    }
+  }
+
+  return rows.length;
+}
+
+/**
+ * Stored candles as { timestamp, open, high, low, close, volume }, oldest first
+ * Without from/to the latest `limit` candles are returned
+ */
+export async function loadCandles({ symbol, granularity, from = null, to = null, limit = 500 }) {
+  const { supabase } = await import('./supabase.js');
+
+  let query = supabase
+    .from('candles')
+    .select('open_time, open, high, low, close, volume')
+    .eq('symbol', symbol)
+    .eq('granularity', granularity)
+    .order('open_time', { ascending: false })
+    .limit(Math.min(limit, MAX_LOADED_CANDLES));
+
+  if (from) query = query.gte('open_time', new Date(from).toISOString());
+  if (to) query = query.lte('open_time', new Date(to).toISOString());
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load candles: ${error.message}`);
+  }
+
+  return normalizeCandles((data || []).map(row => ({ ...row, timestamp: row.open_time })));
+}
+
+/**
+ * Open times (unix seconds) of every stored candle between from and to (unix seconds, inclusive)
+ * Paged, so long histories are not cut at the API row limit
+ */
+export async function loadCandleOpenTimes({ symbol, granularity, from, to }) {
+  const { supabase } = await import('./supabase.js');
+  const openTimes = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('candles')
+      .select('open_time')
+      .eq('symbol', symbol)
+      .eq('granularity', granularity)
+      .gte('open_time', new Date(from * 1000).toISOString())
+      .lte('open_time', new Date(to * 1000).toISOString())
+      .order('open_time', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load candle times: ${error.message}`);
+    }
+
+    openTimes.push(...(data || []).map(row => Math.floor(new Date(row.open_time).getTime() / 1000)));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return openTimes;
+}
@@ -0,0 +1,75 @@
+/**
+ * Candle Helpers
+ * Shared by market data providers, the backtester and candle imports
+ */
+
+/**
+ * Accepts candle objects ({ timestamp|time, open, high, low, close|price, volume })
+ * or Coinbase candle arrays ([time, low, high, open, close, volume])
+ * Returns { timestamp: Date, open, high, low, close, volume } sorted oldest first
+ */
+export function normalizeCandles(candles) {
+  if (!Array.isArray(candles)) return [];
+
+  return candles.map(candle => {
+    if (Array.isArray(candle)) {
+      return {
+        timestamp: new Date(candle[0] * 1000),
+        open: parseFloat(candle[3]),
+        high: parseFloat(candle[2]),
+        low: parseFloat(candle[1]),
+        close: parseFloat(candle[4]),
+        volume: parseFloat(candle[5] || 0)
+      };
+    }
+
+    const close = parseFloat(candle.close ?? candle.price);
+    return {
+      timestamp: new Date(candle.timestamp || candle.time),
+      open: parseFloat(candle.open ?? close),
+      high: parseFloat(candle.high ?? close),
+      low: parseFloat(candle.low ?? close),
+      close,
+      volume: parseFloat(candle.volume || 0)
+    };
+  })
+    .filter(candle => !isNaN(candle.timestamp) && Number.isFinite(candle.close))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Drops the candle that is still forming - a bar is closed once its open time
+ * plus the granularity (seconds) has passed
+ */
+export function filterClosedCandles(candles, granularity, now = new Date()) {
+  return candles.filter(candle => new Date(candle.timestamp).getTime() + granularity * 1000 <= now.getTime());
+}
+
+/**
+ * First open time (unix seconds) on the grid from..to without a candle, null when complete
+ */
+export function findFirstMissingOpen(candles, granularity, from, to) {
+  const opens = new Set(candles.map(candle => Math.floor(new Date(candle.timestamp).getTime() / 1000)));
+
+  for (let open = from; open <= to; open += granularity) {
+    if (!opens.has(open)) return open;
+  }
+
+  return null;
+}
+
+/**
+ * Candles on a strict time grid: de-duplicated by open time (later input wins) and cut to
+ * the contiguous run ending at `lastOpen` (unix seconds) - bars before a hole are dropped
+ */
+export function alignCandles(candles, granularity, lastOpen) {
+  const byOpen = new Map();
+  normalizeCandles(candles).forEach(candle => byOpen.set(candle.timestamp.getTime() / 1000, candle));
+
+  const series = [];
+  for (let open = lastOpen; byOpen.has(open); open -= granularity) {
+    series.unshift(byOpen.get(open));
+  }
+
+  return series;
+}
@@ -0,0 +1,246 @@
+/**
+ * Crossover Confirmation
+ * Holds EMA crossovers as "unconfirmed" until they persist for N closed bars and the
+ * EMA spread clears a minimum (percent of price and/or fraction of ATR). A crossover
+ * whose EMAs cross back first is invalidated. Pending crossovers live in the
+ * pending_crossovers table so the status API of every process can show them.
+ */
+
+export const DEFAULT_CONFIRMATION_SETTINGS = {
+  // Closed bars after the crossover bar that must keep the new EMA order
+  bars: 0,
+  // |fast - slow| as % of price
+  minSpreadPercent: 0,
+  // |fast - slow| as a fraction of ATR
+  minSpreadAtr: 0
+};
+
+export function isConfirmationEnabled(settings = DEFAULT_CONFIRMATION_SETTINGS) {
+  return settings.bars > 0 || settings.minSpreadPercent > 0 || settings.minSpreadAtr > 0;
+}
+
+/**
+ * Decides what happens to a pending crossover on the current bar
+ * market: { fastEMA, slowEMA, price, atr, barOpen (Date) }
+ * Returns { status: 'pending' | 'confirmed' | 'invalidated', barsHeld, spreadPercent, spreadAtr, reason }
+ */
+export function evaluatePendingCrossover(pending, market, granularity, settings = DEFAULT_CONFIRMATION_SETTINGS) {
+  const { fastEMA, slowEMA, price, atr, barOpen } = market;
+  const direction = pending.signal_type === 'bullish' ? 1 : -1;
+  const spread = (fastEMA - slowEMA) * direction;
+  const barsHeld = Math.max(0, Math.round((new Date(barOpen) - new Date(pending.bar_time)) / (granularity * 1000)));
+  const spreadPercent = price ? (spread / price) * 100 : 0;
+  const spreadAtr = atr ? spread / atr : null;
+  const result = { barsHeld, spreadPercent, spreadAtr };
+
+  if (spread <= 0) {
+    return { ...result, status: 'invalidated', reason: 'EMAs crossed back before confirmation' };
+  }
+
+  const waiting = [];
+  if (barsHeld < settings.bars) {
+    waiting.push(`${barsHeld}/${settings.bars} bars`);
+  }
+  if (spreadPercent < settings.minSpreadPercent) {
+    waiting.push(`spread ${spreadPercent.toFixed(3)}% < ${settings.minSpreadPercent}%`);
+  }
+  // Without an ATR the ATR condition can't be checked yet - keep waiting
+  if (settings.minSpreadAtr > 0 && (spreadAtr === null || spreadAtr < settings.minSpreadAtr)) {
+    waiting.push(`spread ${spreadAtr === null ? 'N/A' : spreadAtr.toFixed(2)} ATR < ${settings.minSpreadAtr} ATR`);
+  }
+
+  return waiting.length === 0
+    ? { ...result, status: 'confirmed', reason: 'Crossover held and spread cleared the minimum' }
+    : { ...result, status: 'pending', reason: `Waiting for ${waiting.join(', ')}` };
+}
+
+class CrossoverConfirmation {
+  constructor(scanner, settings = {}) {
+    this.scanner = scanner;
+    this.settings = { ...DEFAULT_CONFIRMATION_SETTINGS, ...settings };
+    // Fallback for when the pending_crossovers table is unavailable
+    this.pending = null;
+  }
+
+  get enabled() {
+    return isConfirmationEnabled(this.settings);
+  }
+
+  /**
+   * The unconfirmed crossover of this scanner, if any
+   */
+  async getPending() {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('pending_crossovers')
+        .select('*')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .eq('status', 'pending')
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.log('Note: Could not load pending crossover:', error.message);
+      return this.pending;
+    }
+  }
+
+  /**
+   * Called on every scan with the raw crossover of the evaluated bar (or null)
+   * Returns { confirmed, pending, evaluation } - confirmed is the crossover that became a signal
+   */
+  async process(crossover, market) {
+    let pending = await this.getPending();
+
+    if (crossover && pending && pending.signal_type !== crossover) {
+      await this.resolve(pending, 'invalidated', { reason: `Opposite ${crossover} crossover` });
+      pending = null;
+    }
+
+    if (crossover && !pending && !(await this.isTracked(crossover, market.barOpen))) {
+      pending = await this.track(crossover, market);
+    }
+
+    if (!pending) {
+      return { confirmed: null, pending: null, evaluation: null };
+    }
+
+    const evaluation = evaluatePendingCrossover(pending, market, this.scanner.granularity, this.settings);
+
+    if (evaluation.status === 'pending') {
+      await this.updateProgress(pending, evaluation);
+      return { confirmed: null, pending: { ...pending, ...toProgressColumns(evaluation) }, evaluation };
+    }
+
+    await this.resolve(pending, evaluation.status, evaluation);
+    return {
+      confirmed: evaluation.status === 'confirmed' ? pending : null,
+      pending: null,
+      evaluation
+    };
+  }
+
+  /**
+   * A closed bar is evaluated on every scan until the next one closes - its crossover
+   * must only be tracked once, even after it was confirmed or invalidated
+   */
+  async isTracked(crossover, barOpen) {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('pending_crossovers')
+        .select('id')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .eq('signal_type', crossover)
+        .eq('bar_time', new Date(barOpen).toISOString())
+        .limit(1);
+
+      if (error) throw error;
+      return (data || []).length > 0;
+    } catch (error) {
+      console.log('Note: Could not check tracked crossovers:', error.message);
+      return false;
+    }
+  }
+
+  async track(crossover, market) {
+    const pending = {
+      symbol: this.scanner.symbol,
+      granularity: this.scanner.granularity,
+      signal_type: crossover,
+      status: 'pending',
+      bar_time: new Date(market.barOpen).toISOString(),
+      detected_at: new Date().toISOString(),
+      price: market.price,
+      ema_fast: market.fastEMA,
+      ema_slow: market.slowEMA,
+      bars_required: this.settings.bars,
+      min_spread_percent: this.settings.minSpreadPercent,
+      min_spread_atr: this.settings.minSpreadAtr
+    };
+
+    console.log(`⏳ ${this.scanner.symbol} ${crossover} crossover unconfirmed - waiting for confirmation`);
+
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('pending_crossovers')
+        .insert([pending])
+        .select()
+        .single();
+
+      // Unique index on pending rows - another process tracked it first
+      if (error?.code === '23505') return await this.getPending();
+      if (error) throw error;
+
+      this.pending = data;
+      return data;
+    } catch (error) {
+      console.log('Note: Could not store pending crossover:', error.message);
+      this.pending = pending;
+      return pending;
+    }
+  }
+
+  async updateProgress(pending, evaluation) {
+    try {
+      if (!pending.id) return;
+
+      const { supabase } = await import('./supabase.js');
+
+      const { error } = await supabase
+        .from('pending_crossovers')
+        .update(toProgressColumns(evaluation))
+        .eq('id', pending.id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.log('Note: Could not update pending crossover:', error.message);
+    }
+  }
+
+  async resolve(pending, status, evaluation) {
+    const icon = status === 'confirmed' ? '✅' : '❌';
+    console.log(`${icon} ${this.scanner.symbol} ${pending.signal_type} crossover ${status}: ${evaluation.reason}`);
+
+    this.pending = null;
+
+    try {
+      if (!pending.id) return;
+
+      const { supabase } = await import('./supabase.js');
+
+      const { error } = await supabase
+        .from('pending_crossovers')
+        .update({
+          ...toProgressColumns(evaluation),
+          status,
+          resolved_at: new Date().toISOString()
+        })
+        .eq('id', pending.id)
+        .eq('status', 'pending');
+
+      if (error) throw error;
+    } catch (error) {
+      console.log('Note: Could not resolve pending crossover:', error.message);
+    }
+  }
+}
+
+function toProgressColumns(evaluation) {
+  return {
+    bars_held: evaluation.barsHeld,
+    spread_percent: evaluation.spreadPercent,
+    spread_atr: evaluation.spreadAtr,
+    reason: evaluation.reason
+  };
+}
+
+export default CrossoverConfirmation;
@@ -4,6 +4,17 @@
  * Provides trading signals with entry/exit points
  */
 
+import { filterClosedCandles, normalizeCandles } from './candleUtils.js';
+import { DEFAULT_ATR_SETTINGS, calculateATR, calculateRiskLevels } from './indicators.js';
+import { createMarketDataProvider } from './providers/index.js';
+import { DEFAULT_GRANULARITY, parseGranularity } from './timeframes.js';
+
+// Crossover starszy niż tyle świec nie dostaje już ostrzeżenia o zmienności
+const VOLATILITY_WARNING_CANDLES = 3;
+
+// Sygnały wejścia i kierunek pozycji, dla którego liczone są poziomy ryzyka
+const ENTRY_SIGNAL_DIRECTIONS = { LONG_ENTRY: 'bullish', SHORT_ENTRY: 'bearish' };
+
 class EMATrendAnalyzer {
   constructor() {
     this.trends = {
@@ -44,17 +55,32 @@ class EMATrendAnalyzer {
       distance
     };
   }
+
+  /**
+   * Stan zmienności z Bollinger Bands: squeeze, breakout_up, breakout_down lub normal
+   */
+  getVolatilityState(squeeze, breakout) {
+    if (breakout) return `breakout_${breakout}`;
+    if (squeeze) return 'squeeze';
+    return 'normal';
+  }
 }
 
 // Dodaj do głównej klasy SolanaScanner
 export class EnhancedSolanaScanner {
-  constructor() {
-    this.baseUrl = process.env.COINBASE_API_BASE_URL || 'https://api.exchange.coinbase.com';
-    this.symbol = 'SOL-USD';
-    this.ema12Period = 12;
-    this.ema25Period = 25;
-    this.scanInterval = 15 * 60 * 1000;
+  constructor(options = {}) {
+    this.provider = options.provider || createMarketDataProvider(options.exchange);
+    this.symbol = options.symbol || 'SOL-USD';
+    this.fastPeriod = options.fastPeriod || 12;
+    this.slowPeriod = options.slowPeriod || 25;
+    this.granularity = parseGranularity(options.granularity) || DEFAULT_GRANULARITY;
+    this.scanInterval = this.granularity * 1000;
     this.historicalDataPoints = 100;
+    this.atrSettings = {
+      period: options.atrPeriod || DEFAULT_ATR_SETTINGS.period,
+      stopMultiplier: options.atrStopMultiplier || DEFAULT_ATR_SETTINGS.stopMultiplier,
+      takeProfitMultiplier: options.atrTakeProfitMultiplier || DEFAULT_ATR_SETTINGS.takeProfitMultiplier
+    };
     this.trendAnalyzer = new EMATrendAnalyzer();
   }
 
@@ -70,6 +96,9 @@ export class EnhancedSolanaScanner {
       const { data, error } = await supabase
         .from('ema_signals')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('indicator', 'ema')
         .order('timestamp', { ascending: false })
         .limit(limit);
 
@@ -152,6 +181,8 @@ export class EnhancedSolanaScanner {
       const { data: latestData } = await supabase
         .from('sol_price_data')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
         .order('timestamp', { ascending: false })
         .limit(1)
         .single();
@@ -169,6 +200,9 @@ export class EnhancedSolanaScanner {
       const { data: lastSignal } = await supabase
         .from('ema_signals')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('indicator', 'ema')
         .order('timestamp', { ascending: false })
         .limit(1)
         .single();
@@ -204,7 +238,23 @@ export class EnhancedSolanaScanner {
           ((parseFloat(latestData.price) - parseFloat(lastSignal.price)) / parseFloat(lastSignal.price)) * 100 : 0,
         is_trend_accelerating: ema12 > ema25 ? 
           (ema12 - ema25) > 0.5 : // Bullish acceleration
-          (ema25 - ema12) > 0.5    // Bearish acceleration
+          (ema25 - ema12) > 0.5,   // Bearish acceleration
+        volatility: {
+          state: this.trendAnalyzer.getVolatilityState(latestData.bb_squeeze, latestData.bb_breakout),
+          squeeze: latestData.bb_squeeze ?? null,
+          breakout: latestData.bb_breakout ?? null,
+          bandwidth: latestData.bb_bandwidth !== null && latestData.bb_bandwidth !== undefined
+            ? parseFloat(latestData.bb_bandwidth) : null,
+          upper: latestData.bb_upper ? parseFloat(latestData.bb_upper) : null,
+          middle: latestData.bb_middle ? parseFloat(latestData.bb_middle) : null,
+          lower: latestData.bb_lower ? parseFloat(latestData.bb_lower) : null
+        },
+        // Zmienność w momencie ostatniego przecięcia EMA
+        last_crossover_volatility: lastSignal ? {
+          state: this.trendAnalyzer.getVolatilityState(lastSignal.bb_squeeze, lastSignal.bb_breakout),
+          squeeze: lastSignal.bb_squeeze ?? null,
+          breakout: lastSignal.bb_breakout ?? null
+        } : null
       };
     } catch (error) {
       console.error('Error getting current trend status:', error);
@@ -217,8 +267,9 @@ export class EnhancedSolanaScanner {
 
   /**
    * Generuje sygnały tradingowe na podstawie analizy EMA
+   * atr: ATR z zamkniętych świec skanu (SolanaScanner.scanPrice) - bez niego pobierany z dostawcy
    */
-  async generateTradingSignals() {
+  async generateTradingSignals({ atr: scanATR = null } = {}) {
     try {
       const trendStatus = await this.getCurrentTrendStatus();
       const signalHistory = await this.getSignalHistory(10);
@@ -268,6 +319,35 @@ export class EnhancedSolanaScanner {
         }
       }
 
+      // Świeże przecięcie: w squeeze (niepewny kierunek) czy razem z wybiciem z wstęg
+      const crossoverVolatility = trendStatus.last_crossover_volatility;
+      const isRecentCrossover = trendStatus.last_crossover_time &&
+        trendStatus.trend_duration_minutes <= VOLATILITY_WARNING_CANDLES * this.granularity / 60;
+
+      if (isRecentCrossover && crossoverVolatility) {
+        const breakoutDirection = trendStatus.last_crossover_signal === 'bullish' ? 'up' : 'down';
+
+        if (crossoverVolatility.squeeze) {
+          signals.push({
+            type: 'VOLATILITY_WARNING',
+            strength: 'LOW',
+            message: `${trendStatus.last_crossover_signal} crossover inside a Bollinger squeeze - low volatility, direction not confirmed`,
+            price: trendStatus.current_price,
+            volatility: crossoverVolatility.state,
+            timestamp: new Date().toISOString()
+          });
+        } else if (crossoverVolatility.breakout === breakoutDirection) {
+          signals.push({
+            type: 'BREAKOUT_CONFIRMATION',
+            strength: 'MEDIUM',
+            message: `${trendStatus.last_crossover_signal} crossover confirmed by a Bollinger breakout ${breakoutDirection}`,
+            price: trendStatus.current_price,
+            volatility: crossoverVolatility.state,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       // Sprawdź czy trend słabnie (potencjalne wyjście)
       if (trendStatus.trend_strength.strength === 'weak') {
         signals.push({
@@ -279,6 +359,25 @@ export class EnhancedSolanaScanner {
         });
       }
 
+      // Sygnały wejścia dostają stop-loss / take-profit w wielokrotnościach ATR
+      const entrySignals = signals.filter(signal => ENTRY_SIGNAL_DIRECTIONS[signal.type]);
+      if (entrySignals.length > 0) {
+        const atr = scanATR ?? await this.fetchATR();
+
+        entrySignals.forEach(signal => {
+          const levels = calculateRiskLevels(signal.price, ENTRY_SIGNAL_DIRECTIONS[signal.type], atr, this.atrSettings);
+          if (!levels) return;
+
+          Object.assign(signal, {
+            stop_loss: levels.stopLoss,
+            take_profit: levels.takeProfit,
+            risk_reward: levels.riskReward,
+            atr: levels.atr,
+            atr_period: this.atrSettings.period
+          });
+        });
+      }
+
       return {
         trading_signals: signals,
         trend_analysis: trendStatus,
@@ -307,8 +406,12 @@ export class EnhancedSolanaScanner {
         action: primarySignal.type,
         confidence: 'HIGH',
         message: primarySignal.message,
+        stop_loss: primarySignal.stop_loss ?? null,
+        take_profit: primarySignal.take_profit ?? null,
+        risk_reward: primarySignal.risk_reward ?? null,
         current_trend: trendStatus.current_trend,
-        trend_duration: `${Math.floor(trendStatus.trend_duration_minutes / 60)}h ${trendStatus.trend_duration_minutes % 60}m`
+        trend_duration: `${Math.floor(trendStatus.trend_duration_minutes / 60)}h ${trendStatus.trend_duration_minutes % 60}m`,
+        volatility: trendStatus.volatility?.state || null
       };
     }
 
@@ -317,21 +420,15 @@ export class EnhancedSolanaScanner {
       confidence: 'MEDIUM',
       message: `Current ${trendStatus.current_trend} trend, monitor for changes`,
       current_trend: trendStatus.current_trend,
-      trend_duration: `${Math.floor(trendStatus.trend_duration_minutes / 60)}h ${trendStatus.trend_duration_minutes % 60}m`
+      trend_duration: `${Math.floor(trendStatus.trend_duration_minutes / 60)}h ${trendStatus.trend_duration_minutes % 60}m`,
+      volatility: trendStatus.volatility?.state || null
     };
   }
 
   // [Pozostałe metody z poprzedniej wersji...]
   async fetchCurrentPrice() {
     try {
-      const response = await fetch(`${this.baseUrl}/products/${this.symbol}/ticker`);
-      if (!response.ok) throw new Error(`Coinbase API error: ${response.status}`);
-      const data = await response.json();
-      return {
-        price: parseFloat(data.price),
-        volume: parseFloat(data.volume_24h || 0),
-        timestamp: new Date()
-      };
+      return await this.provider.fetchTicker(this.symbol);
     } catch (error) {
       console.error('Error fetching price:', error);
       throw error;
@@ -342,34 +439,41 @@ export class EnhancedSolanaScanner {
     try {
       const dataPoints = points || this.historicalDataPoints;
       const endTime = Math.floor(Date.now() / 1000);
-      const startTime = endTime - (dataPoints * 15 * 60);
-
-      const response = await fetch(
-        `${this.baseUrl}/products/${this.symbol}/candles?start=${startTime}&end=${endTime}&granularity=900`
-      );
-
-      if (!response.ok) throw new Error(`Coinbase historical API error: ${response.status}`);
-      const data = await response.json();
-      
-      return data.map(candle => ({
-        timestamp: new Date(candle[0] * 1000),
-        price: parseFloat(candle[4]),
-        volume: parseFloat(candle[5])
-      })).sort((a, b) => a.timestamp - b.timestamp);
+      const startTime = endTime - (dataPoints * this.granularity);
+
+      const candles = await this.provider.fetchCandles(this.symbol, this.granularity, {
+        start: startTime,
+        end: endTime
+      });
+
+      return candles.map(candle => ({
+        timestamp: candle.timestamp,
+        price: candle.close,
+        volume: candle.volume
+      }));
     } catch (error) {
       console.error('Error fetching historical data:', error);
       return [];
     }
   }
 
-  calculateEMA(prices, period) {
-    if (prices.length < period) return null;
-    const multiplier = 2 / (period + 1);
-    let ema = prices.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
-    for (let i = period; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+  /**
+   * ATR z ostatnich zamkniętych świec OHLC dostawcy - formująca się świeca jest pomijana
+   */
+  async fetchATR() {
+    try {
+      const endTime = Math.floor(Date.now() / 1000);
+      const candles = await this.provider.fetchCandles(this.symbol, this.granularity, {
+        start: endTime - (this.atrSettings.period * 3 * this.granularity),
+        end: endTime
+      });
+
+      const closed = filterClosedCandles(normalizeCandles(candles), this.granularity);
+      return calculateATR(closed, this.atrSettings.period);
+    } catch (error) {
+      console.log('Note: Could not calculate ATR:', error.message);
+      return null;
     }
-    return ema;
   }
 
   async scanPrice() {
@@ -377,7 +481,7 @@ export class EnhancedSolanaScanner {
       console.log(`🔍 Starting enhanced scan at ${new Date().toISOString()}`);
       
       const currentPriceData = await this.fetchCurrentPrice();
-      console.log(`💰 Current SOL price: $${currentPriceData.price}`);
+      console.log(`💰 Current ${this.symbol} price: $${currentPriceData.price}`);
 
       // [Poprzednia logika skanowania...]
       // Dodaj trend analysis po obliczeniu EMA
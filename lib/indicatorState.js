@@ -0,0 +1,183 @@
+/**
+ * Indicator State
+ * Carries the fast/slow moving averages forward one closed bar at a time instead of
+ * recomputing them over the whole price series on every scan. The last values per
+ * symbol / timeframe / MA type / period live in the indicator_state table; a full
+ * recomputation only happens on a cold start or when the stored bar is not part of
+ * the current gap-free candle series.
+ */
+
+import {
+  INCREMENTAL_MA_LEVELS,
+  advanceMovingAverageLevels,
+  calculateMovingAverage,
+  combineMovingAverageLevels,
+  getMovingAverageLookback,
+  seedMovingAverageState
+} from './movingAverages.js';
+
+class IndicatorStateTracker {
+  constructor(scanner) {
+    this.scanner = scanner;
+    // Fallback for when the indicator_state table is unavailable
+    this.states = new Map();
+  }
+
+  key(type, period) {
+    return `${type}:${period}`;
+  }
+
+  /**
+   * Stored states of this scanner, keyed by "type:period"
+   */
+  async loadStates() {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('indicator_state')
+        .select('*')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity);
+
+      if (error) throw error;
+
+      return new Map((data || []).map(state => [this.key(state.ma_type, state.period), state]));
+    } catch (error) {
+      console.log('Note: Could not load indicator state:', error.message);
+      return this.states;
+    }
+  }
+
+  async saveStates(states) {
+    if (states.length === 0) return;
+
+    states.forEach(state => this.states.set(this.key(state.ma_type, state.period), state));
+
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { error } = await supabase
+        .from('indicator_state')
+        .upsert(states, { onConflict: 'symbol,granularity,ma_type,period' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.log('Note: Could not store indicator state:', error.message);
+    }
+  }
+
+  /**
+   * Current and previous value of the fast and slow line
+   * candles:   aligned closed candles, oldest first (see SolanaScanner.getCandleSeries)
+   * livePrice: price of the forming bar in intrabar mode - evaluated, never stored
+   */
+  async calculateLines(candles, livePrice = null) {
+    const { fastMaType, fastPeriod, slowMaType, slowPeriod } = this.scanner;
+    const stored = await this.loadStates();
+
+    const fast = this.calculateLine(fastMaType, fastPeriod, candles, livePrice, stored);
+    const slow = this.calculateLine(slowMaType, slowPeriod, candles, livePrice, stored);
+
+    await this.saveStates([fast.state, slow.state].filter(Boolean));
+
+    const modes = [fast.mode, slow.mode];
+    if (modes.includes('full')) {
+      console.log(`🧮 ${this.scanner.symbol} ${this.scanner.maConfig} recomputed from ${candles.length} candles`);
+    }
+
+    return {
+      fast,
+      slow,
+      mode: ['full', 'incremental', 'cached', 'window'].find(mode => modes.includes(mode))
+    };
+  }
+
+  /**
+   * Returns { current, previous, mode, state } - state is the row to store (null when unchanged)
+   */
+  calculateLine(type, period, candles, livePrice, stored) {
+    const lastBar = candles[candles.length - 1];
+
+    if (!lastBar) {
+      return { current: null, previous: null, mode: 'full', state: null };
+    }
+
+    // Window types only need the last `lookback` closes - nothing worth storing
+    if (!INCREMENTAL_MA_LEVELS[type]) {
+      const prices = [
+        ...candles.slice(-(getMovingAverageLookback(period, type) + 1)).map(candle => candle.close),
+        ...(livePrice !== null ? [livePrice] : [])
+      ];
+
+      return {
+        current: calculateMovingAverage(prices, period, type),
+        previous: calculateMovingAverage(prices.slice(0, -1), period, type),
+        mode: 'window',
+        state: null
+      };
+    }
+
+    const barTime = lastBar.timestamp.toISOString();
+    let state = stored.get(this.key(type, period)) || null;
+    let mode = 'cached';
+
+    if (state && state.bar_time && new Date(state.bar_time).getTime() !== lastBar.timestamp.getTime()) {
+      const index = candles.findIndex(candle => candle.timestamp.getTime() === new Date(state.bar_time).getTime());
+
+      if (index === -1) {
+        // Gap since the stored bar (or a bar newer than the series) - start over
+        state = null;
+      } else {
+        let levels = state.levels;
+        let value = state.value;
+        let previousValue = state.previous_value;
+
+        for (const candle of candles.slice(index + 1)) {
+          previousValue = value;
+          levels = advanceMovingAverageLevels(levels, candle.close, period);
+          value = combineMovingAverageLevels(levels, type);
+        }
+
+        state = this.toStateRow(type, period, barTime, { levels, value, previousValue });
+        mode = 'incremental';
+      }
+    }
+
+    if (!state) {
+      const seed = seedMovingAverageState(candles.map(candle => candle.close), period, type);
+
+      if (!seed) {
+        return { current: null, previous: null, mode: 'full', state: null };
+      }
+
+      state = this.toStateRow(type, period, barTime, seed);
+      mode = 'full';
+    }
+
+    const row = mode === 'cached' ? null : state;
+
+    if (livePrice !== null) {
+      const levels = advanceMovingAverageLevels(state.levels, livePrice, period);
+      return { current: combineMovingAverageLevels(levels, type), previous: state.value, mode, state: row };
+    }
+
+    return { current: state.value, previous: state.previous_value, mode, state: row };
+  }
+
+  toStateRow(type, period, barTime, { levels, value, previousValue }) {
+    return {
+      symbol: this.scanner.symbol,
+      granularity: this.scanner.granularity,
+      ma_type: type,
+      period,
+      bar_time: barTime,
+      levels,
+      value,
+      previous_value: previousValue,
+      updated_at: new Date().toISOString()
+    };
+  }
+}
+
+export default IndicatorStateTracker;
@@ -0,0 +1,304 @@
+/**
+ * Technical Indicators
+ * Pure calculation helpers shared by the live scanner and the backtester
+ */
+
+import { calculateEMASeries } from './movingAverages.js';
+
+/**
+ * Returns 'bullish' when the fast moving average crosses above the slow one,
+ * 'bearish' when it crosses below and null otherwise
+ */
+export function detectEMACrossover(currentFastEMA, currentSlowEMA, previousFastEMA, previousSlowEMA) {
+  if (!previousFastEMA || !previousSlowEMA || !currentFastEMA || !currentSlowEMA) {
+    return null;
+  }
+
+  if (previousFastEMA <= previousSlowEMA && currentFastEMA > currentSlowEMA) {
+    return 'bullish';
+  }
+
+  if (previousFastEMA >= previousSlowEMA && currentFastEMA < currentSlowEMA) {
+    return 'bearish';
+  }
+
+  return null;
+}
+
+/**
+ * Indicators that emit signals into ema_signals (column "indicator")
+ */
+export const SIGNAL_INDICATORS = ['ema', 'macd'];
+
+export const DEFAULT_MACD_SETTINGS = { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 };
+
+/**
+ * MACD line (fast EMA - slow EMA), signal line (EMA of the MACD line) and histogram
+ * for every price - null until each series has enough data
+ */
+export function calculateMACDSeries(prices, { fastPeriod, slowPeriod, signalPeriod } = DEFAULT_MACD_SETTINGS) {
+  const fast = calculateEMASeries(prices, fastPeriod);
+  const slow = calculateEMASeries(prices, slowPeriod);
+  const macd = (prices || []).map((_, i) =>
+    fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null
+  );
+
+  const firstIndex = macd.findIndex(value => value !== null);
+  const signal = firstIndex === -1
+    ? macd.map(() => null)
+    : [...new Array(firstIndex).fill(null), ...calculateEMASeries(macd.slice(firstIndex), signalPeriod)];
+  const histogram = macd.map((value, i) =>
+    value !== null && signal[i] !== null ? value - signal[i] : null
+  );
+
+  return { macd, signal, histogram };
+}
+
+/**
+ * Latest and previous MACD values, or null until the signal line exists for both
+ */
+export function calculateMACD(prices, settings = DEFAULT_MACD_SETTINGS) {
+  const { macd, signal, histogram } = calculateMACDSeries(prices, settings);
+  const last = macd.length - 1;
+
+  if (last < 1 || histogram[last] === null || histogram[last - 1] === null) {
+    return null;
+  }
+
+  return {
+    macd: macd[last],
+    signal: signal[last],
+    histogram: histogram[last],
+    previousMacd: macd[last - 1],
+    previousSignal: signal[last - 1],
+    previousHistogram: histogram[last - 1]
+  };
+}
+
+/**
+ * MACD signal family:
+ * signal_cross - MACD line crosses the signal line (histogram changes sign)
+ * zero_cross   - MACD line crosses zero
+ * Returns a list of { type: 'bullish' | 'bearish', rule }
+ */
+export function detectMACDSignals(macd) {
+  if (!macd) return [];
+
+  const signals = [];
+
+  if (macd.previousHistogram <= 0 && macd.histogram > 0) {
+    signals.push({ type: 'bullish', rule: 'signal_cross' });
+  } else if (macd.previousHistogram >= 0 && macd.histogram < 0) {
+    signals.push({ type: 'bearish', rule: 'signal_cross' });
+  }
+
+  if (macd.previousMacd <= 0 && macd.macd > 0) {
+    signals.push({ type: 'bullish', rule: 'zero_cross' });
+  } else if (macd.previousMacd >= 0 && macd.macd < 0) {
+    signals.push({ type: 'bearish', rule: 'zero_cross' });
+  }
+
+  return signals;
+}
+
+export const DEFAULT_BOLLINGER_SETTINGS = { period: 20, stdDev: 2, squeezeLookback: 50 };
+
+/**
+ * Bollinger Bands (SMA ± stdDev population standard deviations) for every price
+ * Bandwidth is (upper - lower) / middle - null until `period` prices are available
+ */
+export function calculateBollingerSeries(prices, { period, stdDev } = DEFAULT_BOLLINGER_SETTINGS) {
+  return (prices || []).map((_, i) => {
+    if (i < period - 1) return null;
+
+    const window = prices.slice(i - period + 1, i + 1);
+    const middle = window.reduce((sum, price) => sum + price, 0) / period;
+    const deviation = Math.sqrt(window.reduce((sum, price) => sum + (price - middle) ** 2, 0) / period);
+    const upper = middle + stdDev * deviation;
+    const lower = middle - stdDev * deviation;
+
+    return {
+      middle,
+      upper,
+      lower,
+      bandwidth: middle !== 0 ? (upper - lower) / middle : null
+    };
+  });
+}
+
+/**
+ * Latest bands plus volatility state:
+ * squeeze  - bandwidth is at its lowest of the last `squeezeLookback` candles
+ * breakout - 'up' / 'down' when the price closes outside the bands, null otherwise
+ * squeezeBreakout - the breakout leaves a squeeze that was active on the previous candle
+ */
+export function calculateBollingerBands(prices, settings = DEFAULT_BOLLINGER_SETTINGS) {
+  const { squeezeLookback } = { ...DEFAULT_BOLLINGER_SETTINGS, ...settings };
+  const series = calculateBollingerSeries(prices, { ...DEFAULT_BOLLINGER_SETTINGS, ...settings });
+  const last = series.length - 1;
+  const bands = series[last];
+
+  if (!bands) return null;
+
+  const bandwidths = series.map(band => band?.bandwidth ?? null);
+  const isSqueeze = index => {
+    const window = bandwidths.slice(Math.max(0, index - squeezeLookback + 1), index + 1).filter(value => value !== null);
+    // Needs a full lookback window to call a low
+    return window.length >= squeezeLookback && bandwidths[index] <= Math.min(...window);
+  };
+
+  const price = prices[last];
+  const breakout = price > bands.upper ? 'up' : price < bands.lower ? 'down' : null;
+  const previousSqueeze = last > 0 && series[last - 1] ? isSqueeze(last - 1) : false;
+
+  return {
+    ...bands,
+    // Position inside the bands: 0 = lower, 1 = upper
+    percentB: bands.upper !== bands.lower ? (price - bands.lower) / (bands.upper - bands.lower) : 0.5,
+    squeeze: isSqueeze(last),
+    breakout,
+    squeezeBreakout: !!breakout && previousSqueeze
+  };
+}
+
+export const DEFAULT_ATR_SETTINGS = { period: 14, stopMultiplier: 1.5, takeProfitMultiplier: 3 };
+
+/**
+ * Wilder's Average True Range for every OHLC candle - null until `period` true ranges are available
+ */
+export function calculateATRSeries(candles, period = 14) {
+  if (!Array.isArray(candles) || candles.length <= period) {
+    return candles?.map(() => null) || [];
+  }
+
+  const trueRanges = candles.map((candle, i) => {
+    if (i === 0) return candle.high - candle.low;
+    const previousClose = candles[i - 1].close;
+    return Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+  });
+
+  // The first candle has no previous close - seed with the next `period` true ranges
+  const series = new Array(period).fill(null);
+  let atr = trueRanges.slice(1, period + 1).reduce((sum, range) => sum + range, 0) / period;
+  series.push(atr);
+
+  for (let i = period + 1; i < candles.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+    series.push(atr);
+  }
+
+  return series;
+}
+
+export function calculateATR(candles, period = 14) {
+  const series = calculateATRSeries(candles, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+/**
+ * Suggested stop-loss / take-profit for an entry at `price`, placed ATR multiples
+ * below/above the entry for a bullish signal (mirrored for bearish)
+ * riskReward is the distance to the take-profit divided by the distance to the stop
+ */
+export function calculateRiskLevels(price, direction, atr, settings = DEFAULT_ATR_SETTINGS) {
+  if (!price || !atr || !['bullish', 'bearish'].includes(direction)) return null;
+
+  const { stopMultiplier, takeProfitMultiplier } = { ...DEFAULT_ATR_SETTINGS, ...settings };
+  const side = direction === 'bullish' ? 1 : -1;
+  const risk = atr * stopMultiplier;
+  const reward = atr * takeProfitMultiplier;
+
+  return {
+    atr,
+    stopLoss: price - side * risk,
+    takeProfit: price + side * reward,
+    riskReward: reward / risk
+  };
+}
+
+/**
+ * Wilder's RSI for every price - null until `period` price changes are available
+ */
+export function calculateRSISeries(prices, period = 14) {
+  if (!Array.isArray(prices) || prices.length <= period) {
+    return prices?.map(() => null) || [];
+  }
+
+  const series = new Array(period).fill(null);
+  let averageGain = 0;
+  let averageLoss = 0;
+
+  for (let i = 1; i <= period; i++) {
+    const change = prices[i] - prices[i - 1];
+    averageGain += Math.max(change, 0) / period;
+    averageLoss += Math.max(-change, 0) / period;
+  }
+
+  const toRSI = () => averageLoss === 0
+    ? (averageGain === 0 ? 50 : 100)
+    : 100 - (100 / (1 + averageGain / averageLoss));
+
+  series.push(toRSI());
+
+  for (let i = period + 1; i < prices.length; i++) {
+    const change = prices[i] - prices[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    series.push(toRSI());
+  }
+
+  return series;
+}
+
+/**
+ * Latest RSI value or null when there is not enough data
+ */
+export function calculateRSI(prices, period = 14) {
+  if (!Array.isArray(prices) || prices.length <= period) {
+    return null;
+  }
+
+  const series = calculateRSISeries(prices, period);
+  return series[series.length - 1];
+}
+
+/**
+ * How crossovers against an RSI extreme are treated:
+ * off - ignored, downrank - kept with LOW confidence, suppress - dropped
+ */
+export const RSI_FILTER_MODES = ['off', 'downrank', 'suppress'];
+
+/**
+ * Checks a crossover against RSI - a bullish cross while already overbought
+ * (or a bearish cross while oversold) has little room left to run
+ * Returns { action: 'allow' | 'downrank' | 'suppress', confidence, conflict, reason }
+ */
+export function evaluateRSIFilter(crossover, rsi, { mode = 'off', overbought = 70, oversold = 30 } = {}) {
+  const conflict = rsi !== null && rsi !== undefined && (
+    (crossover === 'bullish' && rsi >= overbought) ||
+    (crossover === 'bearish' && rsi <= oversold)
+  );
+
+  if (!conflict || mode === 'off') {
+    return { action: 'allow', confidence: 'CONFIRMED', conflict, reason: null };
+  }
+
+  const reason = crossover === 'bullish'
+    ? `RSI ${rsi.toFixed(1)} is overbought (>= ${overbought})`
+    : `RSI ${rsi.toFixed(1)} is oversold (<= ${oversold})`;
+
+  return mode === 'suppress'
+    ? { action: 'suppress', confidence: null, conflict, reason }
+    : { action: 'downrank', confidence: 'LOW', conflict, reason };
+}
+
+export function getRSIState(rsi, { overbought = 70, oversold = 30 } = {}) {
+  if (rsi === null || rsi === undefined) return null;
+  if (rsi >= overbought) return 'overbought';
+  if (rsi <= oversold) return 'oversold';
+  return 'neutral';
+}
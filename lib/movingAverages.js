@@ -0,0 +1,255 @@
+/**
+ * Moving Averages
+ * Smoothing functions for the crossover strategy - any two types can be compared
+ * (e.g. HMA 9 vs EMA 21). Every series has one value per price and is null until
+ * enough prices are available.
+ */
+
+export const MA_TYPES = ['sma', 'ema', 'wma', 'dema', 'tema', 'hma'];
+
+export const DEFAULT_MA_TYPE = 'ema';
+
+/**
+ * Simple moving average
+ */
+export function calculateSMASeries(prices, period) {
+  if (!Array.isArray(prices) || prices.length < period) {
+    return prices?.map(() => null) || [];
+  }
+
+  const series = new Array(period - 1).fill(null);
+  let sum = prices.slice(0, period).reduce((total, price) => total + price, 0);
+  series.push(sum / period);
+
+  for (let i = period; i < prices.length; i++) {
+    sum += prices[i] - prices[i - period];
+    series.push(sum / period);
+  }
+
+  return series;
+}
+
+/**
+ * EMA seeded with the SMA of the first `period` prices
+ */
+export function calculateEMASeries(prices, period) {
+  if (!Array.isArray(prices) || prices.length < period) {
+    return prices?.map(() => null) || [];
+  }
+
+  const multiplier = 2 / (period + 1);
+  const series = new Array(period - 1).fill(null);
+  let ema = prices.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
+  series.push(ema);
+
+  for (let i = period; i < prices.length; i++) {
+    ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+    series.push(ema);
+  }
+
+  return series;
+}
+
+/**
+ * Linearly weighted moving average - the newest price has weight `period`
+ */
+export function calculateWMASeries(prices, period) {
+  if (!Array.isArray(prices) || prices.length < period) {
+    return prices?.map(() => null) || [];
+  }
+
+  const divisor = period * (period + 1) / 2;
+  const series = new Array(period - 1).fill(null);
+
+  for (let i = period - 1; i < prices.length; i++) {
+    let weighted = 0;
+    for (let j = 0; j < period; j++) {
+      weighted += prices[i - j] * (period - j);
+    }
+    series.push(weighted / divisor);
+  }
+
+  return series;
+}
+
+/**
+ * Double EMA: 2 × EMA - EMA(EMA)
+ */
+export function calculateDEMASeries(prices, period) {
+  const ema = calculateEMASeries(prices, period);
+  const emaOfEma = smoothDefined(ema, period, calculateEMASeries);
+
+  return ema.map((value, i) => (emaOfEma[i] === null ? null : 2 * value - emaOfEma[i]));
+}
+
+/**
+ * Triple EMA: 3 × EMA - 3 × EMA(EMA) + EMA(EMA(EMA))
+ */
+export function calculateTEMASeries(prices, period) {
+  const ema1 = calculateEMASeries(prices, period);
+  const ema2 = smoothDefined(ema1, period, calculateEMASeries);
+  const ema3 = smoothDefined(ema2, period, calculateEMASeries);
+
+  return ema1.map((value, i) => (ema3[i] === null ? null : 3 * value - 3 * ema2[i] + ema3[i]));
+}
+
+/**
+ * Hull moving average: WMA(2 × WMA(n/2) - WMA(n), √n)
+ */
+export function calculateHMASeries(prices, period) {
+  const half = calculateWMASeries(prices, Math.max(1, Math.floor(period / 2)));
+  const full = calculateWMASeries(prices, period);
+  const raw = full.map((value, i) => (value === null ? null : 2 * half[i] - value));
+
+  return smoothDefined(raw, Math.max(1, Math.round(Math.sqrt(period))), calculateWMASeries);
+}
+
+const SERIES_CALCULATORS = {
+  sma: calculateSMASeries,
+  ema: calculateEMASeries,
+  wma: calculateWMASeries,
+  dema: calculateDEMASeries,
+  tema: calculateTEMASeries,
+  hma: calculateHMASeries
+};
+
+export function calculateMovingAverageSeries(prices, period, type = DEFAULT_MA_TYPE) {
+  const calculator = SERIES_CALCULATORS[type];
+
+  if (!calculator) {
+    throw new Error(`Unknown moving average type: ${type}. Use one of: ${MA_TYPES.join(', ')}`);
+  }
+
+  return calculator(prices, period);
+}
+
+/**
+ * Latest value or null when there is not enough data
+ */
+export function calculateMovingAverage(prices, period, type = DEFAULT_MA_TYPE) {
+  if (!Array.isArray(prices) || prices.length < getMovingAverageLookback(period, type)) {
+    return null;
+  }
+
+  const series = calculateMovingAverageSeries(prices, period, type);
+  return series[series.length - 1];
+}
+
+export function calculateEMA(prices, period) {
+  return calculateMovingAverage(prices, period, 'ema');
+}
+
+/**
+ * EMA-based types and how many chained EMAs ("levels") they carry - these can be
+ * advanced one price at a time from their stored levels. The others only look at a
+ * fixed window of prices, so recomputing them from that window is already cheap.
+ */
+export const INCREMENTAL_MA_LEVELS = { ema: 1, dema: 2, tema: 3 };
+
+/**
+ * Full computation of the EMA levels at the last two prices
+ * Returns { levels, value, previousValue } or null when there is not enough data
+ */
+export function seedMovingAverageState(prices, period, type = DEFAULT_MA_TYPE) {
+  const depth = INCREMENTAL_MA_LEVELS[type];
+
+  if (!depth || !Array.isArray(prices) || prices.length < getMovingAverageLookback(period, type)) {
+    return null;
+  }
+
+  const series = [calculateEMASeries(prices, period)];
+  while (series.length < depth) {
+    series.push(smoothDefined(series[series.length - 1], period, calculateEMASeries));
+  }
+
+  const levelsAt = index => series.map(levelSeries => levelSeries[index] ?? null);
+  const levels = levelsAt(prices.length - 1);
+
+  return {
+    levels,
+    value: combineMovingAverageLevels(levels, type),
+    previousValue: combineMovingAverageLevels(levelsAt(prices.length - 2), type)
+  };
+}
+
+/**
+ * EMA levels after one more price - same recursion as calculateEMASeries
+ */
+export function advanceMovingAverageLevels(levels, price, period) {
+  const multiplier = 2 / (period + 1);
+  const next = [];
+  let input = price;
+
+  for (const level of levels) {
+    input = (input * multiplier) + (level * (1 - multiplier));
+    next.push(input);
+  }
+
+  return next;
+}
+
+export function combineMovingAverageLevels(levels, type = DEFAULT_MA_TYPE) {
+  if (!Array.isArray(levels) || levels.some(level => level === null || level === undefined)) {
+    return null;
+  }
+
+  switch (type) {
+    case 'dema':
+      return 2 * levels[0] - levels[1];
+    case 'tema':
+      return 3 * levels[0] - 3 * levels[1] + levels[2];
+    default:
+      return levels[0];
+  }
+}
+
+/**
+ * Prices needed before the first value is available
+ */
+export function getMovingAverageLookback(period, type = DEFAULT_MA_TYPE) {
+  switch (type) {
+    case 'dema':
+      return 2 * period - 1;
+    case 'tema':
+      return 3 * period - 2;
+    case 'hma':
+      return period + Math.max(1, Math.round(Math.sqrt(period))) - 1;
+    default:
+      return period;
+  }
+}
+
+/**
+ * "HMA9", "EMA21" - used to label signals and group their stats
+ */
+export function movingAverageLabel(type, period) {
+  return `${(type || DEFAULT_MA_TYPE).toUpperCase()}${period}`;
+}
+
+/**
+ * "HMA9/EMA21" - fast/slow pair of a crossover configuration
+ */
+export function movingAverageConfigLabel(fastType, fastPeriod, slowType, slowPeriod) {
+  return `${movingAverageLabel(fastType, fastPeriod)}/${movingAverageLabel(slowType, slowPeriod)}`;
+}
+
+export function parseMovingAverageType(value) {
+  const type = String(value || '').trim().toLowerCase();
+  return MA_TYPES.includes(type) ? type : null;
+}
+
+/**
+ * Applies a series calculator to the non-null tail of a series
+ */
+function smoothDefined(series, period, calculator) {
+  const firstIndex = series.findIndex(value => value !== null);
+
+  if (firstIndex === -1) {
+    return series.map(() => null);
+  }
+
+  return [
+    ...new Array(firstIndex).fill(null),
+    ...calculator(series.slice(firstIndex), period)
+  ];
+}
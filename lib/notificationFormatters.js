@@ -0,0 +1,231 @@
+/**
+ * Notification Formatters
+ * Turns webhook event payloads into channel-native messages:
+ * Discord embeds, Slack Block Kit and Telegram Bot API sendMessage (MarkdownV2)
+ * The formatter is chosen per webhook endpoint ("json" keeps the raw payload)
+ */
+
+import { movingAverageLabel } from './movingAverages.js';
+
+export const NOTIFICATION_FORMATS = ['json', 'discord', 'slack', 'telegram'];
+
+const COLORS = {
+  bullish: 0x16a34a,
+  bearish: 0xdc2626,
+  scanner_error: 0xf59e0b,
+  scanner_started: 0x2563eb,
+  scanner_stopped: 0x6b7280,
+  scanner_health_alert: 0xdc2626,
+  scanner_recovered: 0x16a34a
+};
+
+// Slack Block Kit rejects a section with more than 10 fields
+export const SLACK_MAX_SECTION_FIELDS = 10;
+
+const EVENT_TITLES = {
+  scanner_error: '⚠️ Scanner error',
+  scanner_started: '🚀 Scanner started',
+  scanner_stopped: '🛑 Scanner stopped',
+  scanner_health_alert: '🚨 Scanner health alert',
+  scanner_recovered: '✅ Scanner recovered'
+};
+
+/**
+ * Link back to the dashboard (DASHBOARD_URL), preselecting the symbol
+ */
+export function getDashboardUrl(symbol) {
+  const base = process.env.DASHBOARD_URL;
+  if (!base) return null;
+
+  try {
+    const url = new URL(base);
+    if (symbol) url.searchParams.set('symbol', symbol);
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+const MACD_RULES = {
+  signal_cross: 'signal-line cross',
+  zero_cross: 'zero-line cross'
+};
+
+const formatNumber = (value, digits = 4) =>
+  value === null || value === undefined || Number.isNaN(Number(value)) ? 'N/A' : Number(value).toFixed(digits);
+
+/**
+ * Common, channel independent view of an event payload
+ */
+export function describeEvent(payload) {
+  const isMACD = payload.event === 'macd_signal_detected';
+  const isCrossover = payload.event === 'ema_crossover_detected' || isMACD;
+  const type = isCrossover ? payload.signal?.type : payload.event;
+  const analysis = payload.technical_analysis || {};
+  const fastLabel = movingAverageLabel(analysis.ma_fast_type, analysis.ema_fast_period || 12);
+  const slowLabel = movingAverageLabel(analysis.ma_slow_type, analysis.ema_slow_period || 25);
+  const market = [payload.symbol, payload.timeframe].filter(Boolean).join(' ');
+
+  const fields = [];
+
+  if (isCrossover) {
+    fields.push(
+      { name: 'Direction', value: payload.signal?.direction || 'N/A' },
+      { name: 'Price', value: `$${formatNumber(payload.price?.current)}` },
+      ...(isMACD
+        ? [
+          { name: 'MACD', value: formatNumber(analysis.macd) },
+          { name: 'Signal', value: formatNumber(analysis.macd_signal) },
+          { name: 'Histogram', value: formatNumber(analysis.macd_histogram) }
+        ]
+        : [
+          { name: fastLabel, value: formatNumber(analysis.ema_12) },
+          { name: slowLabel, value: formatNumber(analysis.ema_25) }
+        ])
+    );
+
+    if (analysis.rsi !== null && analysis.rsi !== undefined) {
+      fields.push({
+        name: `RSI${analysis.rsi_period || ''}`,
+        value: `${formatNumber(analysis.rsi, 1)}${analysis.rsi_state && analysis.rsi_state !== 'neutral' ? ` (${analysis.rsi_state})` : ''}`
+      });
+    }
+
+    if (analysis.bollinger?.squeeze || analysis.bollinger?.breakout) {
+      fields.push({
+        name: 'Bollinger',
+        value: analysis.bollinger.breakout
+          ? `Breakout ${analysis.bollinger.breakout}${analysis.bollinger.squeeze_breakout ? ' from squeeze' : ''}`
+          : 'Squeeze (low volatility)'
+      });
+    }
+
+    const nextAction = payload.next_action || {};
+    if (nextAction.stop_loss !== null && nextAction.stop_loss !== undefined) {
+      fields.push(
+        { name: 'Stop-loss', value: `$${formatNumber(nextAction.stop_loss)}` },
+        { name: 'Take-profit', value: `$${formatNumber(nextAction.take_profit)}` },
+        { name: 'Risk/Reward', value: `1:${formatNumber(nextAction.risk_reward, 2)}` }
+      );
+    }
+
+    if (payload.signal?.confidence === 'LOW') {
+      fields.push({ name: 'Confidence', value: `LOW - ${payload.signal.confidence_reason}` });
+    }
+  } else {
+    if (payload.details?.description) {
+      fields.push({ name: 'Alert', value: payload.details.description });
+    }
+    if (payload.details?.message) {
+      fields.push({ name: 'Details', value: payload.details.message });
+    }
+    if (payload.details?.error) {
+      fields.push({ name: 'Error', value: String(payload.details.error) });
+    }
+  }
+
+  if (payload.exchange) {
+    fields.push({ name: 'Exchange', value: payload.exchange });
+  }
+
+  return {
+    type,
+    title: isCrossover
+      ? `${type === 'bullish' ? '📈 Bullish' : '📉 Bearish'} ${isMACD
+        ? `MACD ${MACD_RULES[payload.signal?.rule] || 'signal'}`
+        : `${fastLabel}/${slowLabel} crossover`} - ${market}`
+      : `${EVENT_TITLES[type] || type} - ${market}`,
+    summary: isCrossover
+      ? `${payload.symbol} ${payload.signal?.direction} signal at $${formatNumber(payload.price?.current)}`
+      : `${EVENT_TITLES[type] || type} for ${payload.symbol}${payload.details?.message ? `: ${payload.details.message}` : ''}`,
+    fields,
+    color: COLORS[type] || COLORS.scanner_stopped,
+    timestamp: payload.timestamp || new Date().toISOString(),
+    url: getDashboardUrl(payload.symbol)
+  };
+}
+
+export function formatDiscord(payload) {
+  const event = describeEvent(payload);
+
+  return {
+    username: 'BOB13 Scanner',
+    content: event.summary,
+    embeds: [{
+      title: event.title,
+      ...(event.url && { url: event.url }),
+      color: event.color,
+      fields: event.fields.map(field => ({ ...field, inline: !['Error', 'Details'].includes(field.name) })),
+      footer: { text: 'BOB13 EMA Scanner' },
+      timestamp: event.timestamp
+    }]
+  };
+}
+
+export function formatSlack(payload) {
+  const event = describeEvent(payload);
+  const fields = event.fields.map(field => ({ type: 'mrkdwn', text: `*${field.name}*\n${field.value}` }));
+
+  const sections = [];
+  for (let i = 0; i < fields.length; i += SLACK_MAX_SECTION_FIELDS) {
+    sections.push({ type: 'section', fields: fields.slice(i, i + SLACK_MAX_SECTION_FIELDS) });
+  }
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: event.title, emoji: true } },
+    ...sections,
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `BOB13 EMA Scanner • ${event.timestamp}` }] }
+  ];
+
+  if (event.url) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open dashboard' }, url: event.url }]
+    });
+  }
+
+  return { text: event.summary, blocks };
+}
+
+/**
+ * Escapes text for Telegram MarkdownV2
+ */
+export function escapeTelegramMarkdown(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+export function formatTelegram(payload, options = {}) {
+  const event = describeEvent(payload);
+  const lines = [
+    `*${escapeTelegramMarkdown(event.title)}*`,
+    '',
+    ...event.fields.map(field => `${escapeTelegramMarkdown(field.name)}: \`${escapeTelegramMarkdown(field.value)}\``)
+  ];
+
+  if (event.url) {
+    lines.push('', `[Open dashboard](${event.url.replace(/[)\\]/g, '\\$&')})`);
+  }
+
+  return {
+    chat_id: options.chatId,
+    text: lines.join('\n'),
+    parse_mode: 'MarkdownV2',
+    disable_web_page_preview: true
+  };
+}
+
+/**
+ * Serialized request body for an endpoint format
+ */
+export function formatWebhookPayload(format, payload, options = {}) {
+  switch (format) {
+    case 'discord':
+      return JSON.stringify(formatDiscord(payload));
+    case 'slack':
+      return JSON.stringify(formatSlack(payload));
+    case 'telegram':
+      return JSON.stringify(formatTelegram(payload, options));
+    default:
+      return JSON.stringify(payload);
+  }
+}
@@ -0,0 +1,514 @@
+/**
+ * Paper Trading Account
+ * Follows the LONG_ENTRY / SHORT_ENTRY / EXIT_WARNING signals from
+ * EnhancedSolanaScanner.generateTradingSignals with a simulated account
+ * and persists positions, fills and balances in Supabase
+ */
+
+import { EnhancedSolanaScanner } from './emaTrendAnalyzer.js';
+
+export const DEFAULT_PAPER_ACCOUNT = 'default';
+
+export const DEFAULT_PAPER_SETTINGS = {
+  startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE) || 10000,
+  positionSizePercent: parseFloat(process.env.PAPER_POSITION_SIZE_PERCENT) || 10,
+  feePercent: parseFloat(process.env.PAPER_FEE_PERCENT ?? '0.1'),
+  slippagePercent: parseFloat(process.env.PAPER_SLIPPAGE_PERCENT ?? '0.05')
+};
+
+const SETTING_LIMITS = {
+  startingBalance: { min: 1, max: 1e12 },
+  positionSizePercent: { min: 0.01, max: 100 },
+  feePercent: { min: 0, max: 10 },
+  slippagePercent: { min: 0, max: 10 }
+};
+
+/**
+ * Validates a partial paper trading settings update
+ * Returns { settings, errors } - settings only contains the provided fields
+ */
+export function validatePaperSettings(updates = {}) {
+  const errors = [];
+  const settings = {};
+
+  Object.entries(SETTING_LIMITS).forEach(([field, { min, max }]) => {
+    if (updates[field] === undefined || updates[field] === null || updates[field] === '') return;
+
+    const value = Number(updates[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${field} must be a number between ${min} and ${max}`);
+      return;
+    }
+
+    settings[field] = value;
+  });
+
+  return { settings: errors.length === 0 ? settings : null, errors };
+}
+
+class PaperTradingAccount {
+  constructor(options = {}) {
+    this.name = options.name || DEFAULT_PAPER_ACCOUNT;
+    this.defaults = { ...DEFAULT_PAPER_SETTINGS, ...options.settings };
+    this.analyzers = new Map();
+    // Scanners for different symbols fire independently - fills are applied one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Runs fn after every previously queued account update has finished
+   */
+  serialize(fn) {
+    const run = this.queue.then(fn, fn);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Loads the account row, creating it with the default settings on first use
+   */
+  async loadAccount() {
+    const { supabase } = await import('./supabase.js');
+
+    const { data, error } = await supabase
+      .from('paper_accounts')
+      .select('*')
+      .eq('name', this.name)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load paper account: ${error.message}`);
+    }
+
+    if (data) return data;
+
+    const { data: created, error: createError } = await supabase
+      .from('paper_accounts')
+      .insert([{
+        name: this.name,
+        starting_balance: this.defaults.startingBalance,
+        cash_balance: this.defaults.startingBalance,
+        realized_pnl: 0,
+        position_size_percent: this.defaults.positionSizePercent,
+        fee_percent: this.defaults.feePercent,
+        slippage_percent: this.defaults.slippagePercent
+      }])
+      .select()
+      .single();
+
+    if (createError) {
+      throw new Error(`Failed to create paper account: ${createError.message}`);
+    }
+
+    console.log(`💼 Created paper trading account "${this.name}"`);
+    return created;
+  }
+
+  async getOpenPositions(accountId, filters = {}) {
+    const { supabase } = await import('./supabase.js');
+
+    let query = supabase
+      .from('paper_positions')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('status', 'open')
+      .order('opened_at', { ascending: true });
+
+    if (filters.symbol) query = query.eq('symbol', filters.symbol);
+    if (filters.granularity) query = query.eq('granularity', filters.granularity);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load open positions: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Generates trading signals for the scanner's symbol/timeframe and acts on them
+   * atr: the scan's closed-candle ATR, so stop-loss / take-profit match the stored signal
+   */
+  async followSignals(scanner, { atr = null } = {}) {
+    const key = `${scanner.symbol}:${scanner.granularity}`;
+
+    if (!this.analyzers.has(key)) {
+      this.analyzers.set(key, new EnhancedSolanaScanner({
+        provider: scanner.provider,
+        symbol: scanner.symbol,
+        granularity: scanner.granularity,
+        fastPeriod: scanner.fastPeriod,
+        slowPeriod: scanner.slowPeriod,
+        atrPeriod: scanner.atrSettings.period,
+        atrStopMultiplier: scanner.atrSettings.stopMultiplier,
+        atrTakeProfitMultiplier: scanner.atrSettings.takeProfitMultiplier
+      }));
+    }
+
+    const result = await this.analyzers.get(key).generateTradingSignals({ atr });
+
+    if (result.error) {
+      console.error(`❌ Paper trading skipped for ${scanner.symbol}: ${result.error}`);
+      return [];
+    }
+
+    return this.processTradingSignals(scanner.symbol, scanner.granularity, result.trading_signals);
+  }
+
+  /**
+   * Opens/closes virtual positions for one symbol based on trading signals
+   * LONG_ENTRY and SHORT_ENTRY reverse an opposite position, EXIT_WARNING closes any position
+   * Returns the fills that were executed
+   */
+  async processTradingSignals(symbol, granularity, tradingSignals = []) {
+    const actionable = tradingSignals.find(signal =>
+      ['EXIT_WARNING', 'LONG_ENTRY', 'SHORT_ENTRY'].includes(signal.type) && signal.price
+    );
+
+    if (!actionable) return [];
+
+    return this.serialize(async () => {
+      let account = await this.loadAccount();
+      const [position] = await this.getOpenPositions(account.id, { symbol, granularity });
+      const fills = [];
+
+      const targetSide = actionable.type === 'LONG_ENTRY' ? 'long'
+        : actionable.type === 'SHORT_ENTRY' ? 'short'
+          : null;
+
+      if (position && position.side !== targetSide) {
+        const result = await this.closePosition(account, position, actionable.price, actionable.type);
+        account = result.account;
+        fills.push(result.fill);
+      }
+
+      if (targetSide && (!position || position.side !== targetSide)) {
+        const result = await this.openPosition(account, {
+          symbol,
+          granularity,
+          side: targetSide,
+          marketPrice: actionable.price,
+          signalType: actionable.type
+        });
+
+        if (result) fills.push(result.fill);
+      }
+
+      return fills;
+    });
+  }
+
+  /**
+   * Applies slippage against the trader: buys fill higher, sells fill lower
+   */
+  applySlippage(price, orderSide, account) {
+    const slippage = parseFloat(account.slippage_percent) / 100;
+    return orderSide === 'buy' ? price * (1 + slippage) : price * (1 - slippage);
+  }
+
+  async openPosition(account, { symbol, granularity, side, marketPrice, signalType }) {
+    const { supabase } = await import('./supabase.js');
+
+    const cash = parseFloat(account.cash_balance);
+    const feeRate = parseFloat(account.fee_percent) / 100;
+    const openPositions = await this.getOpenPositions(account.id);
+    const bookEquity = cash + openPositions.reduce((sum, p) => sum + parseFloat(p.cost_basis), 0);
+
+    // Size from total equity, but never commit more cash than is available
+    const notional = Math.min(
+      bookEquity * (parseFloat(account.position_size_percent) / 100),
+      cash / (1 + feeRate)
+    );
+
+    if (notional <= 0) {
+      console.log(`⚠️ Paper account "${this.name}" has no free cash for ${symbol} ${side}`);
+      return null;
+    }
+
+    const orderSide = side === 'long' ? 'buy' : 'sell';
+    const fillPrice = this.applySlippage(marketPrice, orderSide, account);
+    const quantity = notional / fillPrice;
+    const fee = notional * feeRate;
+    const cashAfter = cash - notional - fee;
+    const timestamp = new Date().toISOString();
+
+    const { data: position, error: positionError } = await supabase
+      .from('paper_positions')
+      .insert([{
+        account_id: account.id,
+        symbol,
+        granularity,
+        side,
+        status: 'open',
+        quantity,
+        entry_price: fillPrice,
+        cost_basis: notional,
+        entry_fee: fee,
+        entry_signal: signalType,
+        opened_at: timestamp
+      }])
+      .select()
+      .single();
+
+    if (positionError) {
+      throw new Error(`Failed to open paper position: ${positionError.message}`);
+    }
+
+    const fill = await this.recordFill(account, position, {
+      action: 'open',
+      side: orderSide,
+      quantity,
+      marketPrice,
+      fillPrice,
+      fee,
+      signalType,
+      cashAfter,
+      timestamp
+    });
+
+    const updated = await this.updateAccount(account, { cash_balance: cashAfter });
+
+    console.log(`📝 Paper ${side.toUpperCase()} opened: ${quantity.toFixed(6)} ${symbol} @ $${fillPrice.toFixed(4)}`);
+    return { account: updated, position, fill };
+  }
+
+  async closePosition(account, position, marketPrice, signalType) {
+    const { supabase } = await import('./supabase.js');
+
+    const quantity = parseFloat(position.quantity);
+    const entryPrice = parseFloat(position.entry_price);
+    const orderSide = position.side === 'long' ? 'sell' : 'buy';
+    const fillPrice = this.applySlippage(marketPrice, orderSide, account);
+    const grossPnl = position.side === 'long'
+      ? (fillPrice - entryPrice) * quantity
+      : (entryPrice - fillPrice) * quantity;
+    const fee = fillPrice * quantity * (parseFloat(account.fee_percent) / 100);
+    const realizedPnl = grossPnl - fee - parseFloat(position.entry_fee);
+    const cashAfter = parseFloat(account.cash_balance) + parseFloat(position.cost_basis) + grossPnl - fee;
+    const timestamp = new Date().toISOString();
+
+    const { error: positionError } = await supabase
+      .from('paper_positions')
+      .update({
+        status: 'closed',
+        exit_price: fillPrice,
+        exit_fee: fee,
+        exit_signal: signalType,
+        realized_pnl: realizedPnl,
+        closed_at: timestamp
+      })
+      .eq('id', position.id);
+
+    if (positionError) {
+      throw new Error(`Failed to close paper position: ${positionError.message}`);
+    }
+
+    const fill = await this.recordFill(account, position, {
+      action: 'close',
+      side: orderSide,
+      quantity,
+      marketPrice,
+      fillPrice,
+      fee,
+      signalType,
+      cashAfter,
+      timestamp
+    });
+
+    const updated = await this.updateAccount(account, {
+      cash_balance: cashAfter,
+      realized_pnl: parseFloat(account.realized_pnl) + realizedPnl
+    });
+
+    console.log(`📝 Paper ${position.side.toUpperCase()} closed: ${position.symbol} @ $${fillPrice.toFixed(4)} (P&L $${realizedPnl.toFixed(2)})`);
+    return { account: updated, fill };
+  }
+
+  async recordFill(account, position, fill) {
+    const { supabase } = await import('./supabase.js');
+
+    const row = {
+      account_id: account.id,
+      position_id: position.id,
+      symbol: position.symbol,
+      granularity: position.granularity,
+      action: fill.action,
+      side: fill.side,
+      quantity: fill.quantity,
+      market_price: fill.marketPrice,
+      fill_price: fill.fillPrice,
+      fee: fill.fee,
+      signal_type: fill.signalType,
+      cash_balance_after: fill.cashAfter,
+      timestamp: fill.timestamp
+    };
+
+    const { error } = await supabase.from('paper_fills').insert([row]);
+
+    if (error) {
+      throw new Error(`Failed to record paper fill: ${error.message}`);
+    }
+
+    return row;
+  }
+
+  async updateAccount(account, changes) {
+    const { supabase } = await import('./supabase.js');
+
+    const { data, error } = await supabase
+      .from('paper_accounts')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', account.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update paper account: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Updates sizing/fee settings without touching balances or positions
+   */
+  async configure(settings) {
+    return this.serialize(async () => {
+      const account = await this.loadAccount();
+      const changes = {};
+
+      if (settings.positionSizePercent !== undefined) changes.position_size_percent = settings.positionSizePercent;
+      if (settings.feePercent !== undefined) changes.fee_percent = settings.feePercent;
+      if (settings.slippagePercent !== undefined) changes.slippage_percent = settings.slippagePercent;
+      if (settings.startingBalance !== undefined) changes.starting_balance = settings.startingBalance;
+
+      return Object.keys(changes).length > 0 ? this.updateAccount(account, changes) : account;
+    });
+  }
+
+  /**
+   * Deletes all positions and fills and restores the starting balance
+   */
+  async reset(settings = {}) {
+    return this.serialize(async () => {
+      const { supabase } = await import('./supabase.js');
+      const account = await this.loadAccount();
+
+      const { error: positionsError } = await supabase
+        .from('paper_positions')
+        .delete()
+        .eq('account_id', account.id);
+
+      if (positionsError) {
+        throw new Error(`Failed to reset paper positions: ${positionsError.message}`);
+      }
+
+      const { error: fillsError } = await supabase
+        .from('paper_fills')
+        .delete()
+        .eq('account_id', account.id);
+
+      if (fillsError) {
+        throw new Error(`Failed to reset paper fills: ${fillsError.message}`);
+      }
+
+      const startingBalance = settings.startingBalance ?? parseFloat(account.starting_balance);
+
+      console.log(`🔄 Paper account "${this.name}" reset to $${startingBalance}`);
+
+      return this.updateAccount(account, {
+        starting_balance: startingBalance,
+        cash_balance: startingBalance,
+        realized_pnl: 0,
+        position_size_percent: settings.positionSizePercent ?? account.position_size_percent,
+        fee_percent: settings.feePercent ?? account.fee_percent,
+        slippage_percent: settings.slippagePercent ?? account.slippage_percent
+      });
+    });
+  }
+
+  async getLatestPrice(symbol, granularity) {
+    const { supabase } = await import('./supabase.js');
+
+    const { data } = await supabase
+      .from('sol_price_data')
+      .select('price, timestamp')
+      .eq('symbol', symbol)
+      .eq('granularity', granularity)
+      .order('timestamp', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return data ? parseFloat(data.price) : null;
+  }
+
+  /**
+   * Balances, open positions with unrealized P&L (marked at the latest stored price) and recent fills
+   */
+  async getAccountSummary(fillsLimit = 20) {
+    const { supabase } = await import('./supabase.js');
+
+    const account = await this.loadAccount();
+    const openPositions = await this.getOpenPositions(account.id);
+
+    const positions = [];
+    for (const position of openPositions) {
+      const quantity = parseFloat(position.quantity);
+      const entryPrice = parseFloat(position.entry_price);
+      const currentPrice = await this.getLatestPrice(position.symbol, position.granularity) ?? entryPrice;
+      const unrealizedPnl = position.side === 'long'
+        ? (currentPrice - entryPrice) * quantity
+        : (entryPrice - currentPrice) * quantity;
+
+      positions.push({
+        id: position.id,
+        symbol: position.symbol,
+        granularity: position.granularity,
+        side: position.side,
+        quantity,
+        entryPrice,
+        currentPrice,
+        costBasis: parseFloat(position.cost_basis),
+        unrealizedPnl,
+        unrealizedPercent: (unrealizedPnl / parseFloat(position.cost_basis)) * 100,
+        entrySignal: position.entry_signal,
+        openedAt: position.opened_at
+      });
+    }
+
+    const { data: fills } = await supabase
+      .from('paper_fills')
+      .select('*')
+      .eq('account_id', account.id)
+      .order('timestamp', { ascending: false })
+      .limit(fillsLimit);
+
+    const cashBalance = parseFloat(account.cash_balance);
+    const startingBalance = parseFloat(account.starting_balance);
+    const unrealizedPnl = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+    const equity = cashBalance + positions.reduce((sum, p) => sum + p.costBasis + p.unrealizedPnl, 0);
+
+    return {
+      account: {
+        name: account.name,
+        startingBalance,
+        cashBalance,
+        equity,
+        realizedPnl: parseFloat(account.realized_pnl),
+        unrealizedPnl,
+        totalReturnPercent: ((equity - startingBalance) / startingBalance) * 100,
+        settings: {
+          positionSizePercent: parseFloat(account.position_size_percent),
+          feePercent: parseFloat(account.fee_percent),
+          slippagePercent: parseFloat(account.slippage_percent)
+        },
+        updatedAt: account.updated_at
+      },
+      openPositions: positions,
+      recentFills: fills || []
+    };
+  }
+}
+
+export default PaperTradingAccount;
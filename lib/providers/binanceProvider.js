@@ -0,0 +1,78 @@
+/**
+ * Binance Market Data Provider
+ * Public REST endpoints: /api/v3/ticker/24hr and /api/v3/klines
+ * Coinbase style symbols are mapped to Binance pairs (SOL-USD -> SOLUSDT)
+ */
+
+import { granularityLabel } from '../timeframes.js';
+
+class BinanceProvider {
+  constructor(options = {}) {
+    this.name = 'binance';
+    this.baseUrl = options.baseUrl || process.env.BINANCE_API_BASE_URL || 'https://api.binance.com';
+    // Binance spot has no USD books - USD quotes use USDT unless overridden
+    this.usdQuote = options.usdQuote || process.env.BINANCE_USD_QUOTE || 'USDT';
+    this.maxCandlesPerRequest = 1000;
+  }
+
+  toExchangeSymbol(symbol) {
+    const [base, quote] = symbol.split('-');
+    return `${base}${quote === 'USD' ? this.usdQuote : quote}`;
+  }
+
+  async fetchTicker(symbol) {
+    const startTime = Date.now();
+    const response = await fetch(`${this.baseUrl}/api/v3/ticker/24hr?symbol=${this.toExchangeSymbol(symbol)}`);
+    const apiResponseTime = Date.now() - startTime;
+
+    if (!response.ok) {
+      throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      price: parseFloat(data.lastPrice),
+      volume: parseFloat(data.volume || 0),
+      timestamp: new Date(),
+      apiResponseTime
+    };
+  }
+
+  /**
+   * Returns OHLCV candles between start and end (unix seconds), oldest first
+   */
+  async fetchCandles(symbol, granularity, { start, end }) {
+    const params = new URLSearchParams({
+      symbol: this.toExchangeSymbol(symbol),
+      interval: granularityLabel(granularity),
+      startTime: String(start * 1000),
+      endTime: String(end * 1000),
+      limit: String(this.maxCandlesPerRequest)
+    });
+
+    const response = await fetch(`${this.baseUrl}/api/v3/klines?${params}`);
+
+    if (!response.ok) {
+      throw new Error(`Binance historical API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data)) {
+      throw new Error('Binance historical API error: invalid klines format');
+    }
+
+    // Binance kline: [openTime, open, high, low, close, volume, closeTime, ...]
+    return data.map(kline => ({
+      timestamp: new Date(kline[0]),
+      open: parseFloat(kline[1]),
+      high: parseFloat(kline[2]),
+      low: parseFloat(kline[3]),
+      close: parseFloat(kline[4]),
+      volume: parseFloat(kline[5])
+    })).sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+export default BinanceProvider;
@@ -0,0 +1,62 @@
+/**
+ * Coinbase Exchange Market Data Provider
+ * Public REST endpoints: /products/{symbol}/ticker and /products/{symbol}/candles
+ */
+
+class CoinbaseProvider {
+  constructor(options = {}) {
+    this.name = 'coinbase';
+    this.baseUrl = options.baseUrl || process.env.COINBASE_API_BASE_URL || 'https://api.exchange.coinbase.com';
+    this.maxCandlesPerRequest = 300;
+  }
+
+  async fetchTicker(symbol) {
+    const startTime = Date.now();
+    const response = await fetch(`${this.baseUrl}/products/${symbol}/ticker`);
+    const apiResponseTime = Date.now() - startTime;
+
+    if (!response.ok) {
+      throw new Error(`Coinbase API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      price: parseFloat(data.price),
+      volume: parseFloat(data.volume_24h || data.volume || 0),
+      timestamp: new Date(),
+      apiResponseTime
+    };
+  }
+
+  /**
+   * Returns OHLCV candles between start and end (unix seconds), oldest first
+   */
+  async fetchCandles(symbol, granularity, { start, end }) {
+    const response = await fetch(
+      `${this.baseUrl}/products/${symbol}/candles?start=${start}&end=${end}&granularity=${granularity}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`Coinbase historical API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (!Array.isArray(data)) {
+      throw new Error('Coinbase historical API error: invalid candles format');
+    }
+
+    // Coinbase candle: [time, low, high, open, close, volume]
+    return data.map(candle => ({
+      timestamp: new Date(candle[0] * 1000),
+      open: parseFloat(candle[3]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[1]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[5])
+    })).sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+export default CoinbaseProvider;
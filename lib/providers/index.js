@@ -0,0 +1,30 @@
+/**
+ * Market Data Providers
+ * Every provider implements:
+ *   fetchTicker(symbol) -> { price, volume, timestamp, apiResponseTime }
+ *   fetchCandles(symbol, granularity, { start, end }) -> [{ timestamp, open, high, low, close, volume }]
+ * and exposes name and maxCandlesPerRequest
+ */
+
+import BinanceProvider from './binanceProvider.js';
+import CoinbaseProvider from './coinbaseProvider.js';
+import MockProvider from './mockProvider.js';
+
+export const PROVIDERS = {
+  coinbase: CoinbaseProvider,
+  binance: BinanceProvider,
+  mock: MockProvider
+};
+
+export const DEFAULT_PROVIDER = 'coinbase';
+
+export function createMarketDataProvider(name = null, options = {}) {
+  const providerName = (name || process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const Provider = PROVIDERS[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown market data provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
@@ -0,0 +1,305 @@
+/**
+ * Scan Scheduler
+ * Owns the process-wide ScannerManager and persists the desired scanner state
+ * (running / stopped, symbols, scheduling mode) in the scanner_schedule table,
+ * so a redeploy, hot reload or recycled serverless instance picks the scanners up again:
+ *   interval - timers in this process, restarted by resume() on boot
+ *   external - no timers, a cron job calls /api/scanner/tick and due symbols are scanned
+ */
+
+import ScannerManager from './scannerManager.js';
+import { LEASE_GRACE_MS } from './scannerLease.js';
+import { loadScannerSettings } from './scannerSettings.js';
+import { previousScanTime } from './timeframes.js';
+
+export const SCHEDULER_MODES = ['interval', 'external'];
+
+export const DEFAULT_SCHEDULER_MODE = SCHEDULER_MODES.includes(process.env.SCANNER_SCHEDULER_MODE)
+  ? process.env.SCANNER_SCHEDULER_MODE
+  : 'interval';
+
+const SCHEDULE_NAME = 'default';
+
+// A cron firing this close before a scan slot is told when the slot is due instead of scanning late
+const TICK_TOLERANCE_MS = 30 * 1000;
+
+export async function loadSchedule() {
+  try {
+    const { supabase } = await import('./supabase.js');
+
+    const { data, error } = await supabase
+      .from('scanner_schedule')
+      .select('*')
+      .eq('name', SCHEDULE_NAME)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.log('Note: Could not load scanner schedule:', error.message);
+    return null;
+  }
+}
+
+export async function saveSchedule(updates) {
+  try {
+    const { supabase } = await import('./supabase.js');
+
+    const { data, error } = await supabase
+      .from('scanner_schedule')
+      .upsert([{
+        name: SCHEDULE_NAME,
+        ...updates,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.log('Note: Could not store scanner schedule:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Scan slot (candle boundary + offset) a tick at `now` should serve,
+ * or null when the symbol was already scanned after that candle closed
+ */
+export function getDueScanTime(lastScanAt, granularity, offsetSeconds, now = new Date()) {
+  const slot = previousScanTime(now.getTime() + TICK_TOLERANCE_MS, granularity, offsetSeconds);
+  const candleClose = slot.getTime() - offsetSeconds * 1000;
+
+  if (lastScanAt && new Date(lastScanAt).getTime() >= candleClose) return null;
+  return slot;
+}
+
+class ScanScheduler {
+  constructor() {
+    this.manager = null;
+    this.mode = DEFAULT_SCHEDULER_MODE;
+    this.resuming = null;
+  }
+
+  /**
+   * The process-wide manager - created from the stored settings and schedule on first use
+   */
+  async getManager(schedule = null) {
+    if (!this.manager) {
+      const settings = await loadScannerSettings();
+      this.rebuildManager(schedule?.symbols?.length ? schedule.symbols : null, settings);
+    }
+
+    return this.manager;
+  }
+
+  rebuildManager(symbols, settings) {
+    this.manager = new ScannerManager({
+      ...settings,
+      ...(symbols && { symbols }),
+      // A stop through any instance stands the timers down everywhere
+      scheduleGuard: async () => (await loadSchedule())?.desired_state !== 'stopped'
+    });
+    console.log(`🔁 Scanner manager configured for ${this.manager.symbols.join(', ')} (${this.manager.getScanner().maConfig}, ${this.manager.getScanner().timeframe})`);
+    return this.manager;
+  }
+
+  get isRunning() {
+    return !!this.manager?.isRunning;
+  }
+
+  /**
+   * Starts the scanners and records "running" as the desired state
+   */
+  async start({ symbols = null, settings = null, mode = null } = {}) {
+    if (this.manager?.isRunning) {
+      await this.manager.stopScanning();
+      console.log('🛑 Stopped existing scanner before restart');
+    }
+
+    const resolvedSettings = settings || await loadScannerSettings();
+    const manager = await this.getManager();
+
+    // Rebuild the manager when a different symbol list or setup is requested
+    if ((symbols && !manager.hasSymbols(symbols)) || !manager.hasSettings(resolvedSettings)) {
+      this.rebuildManager(symbols || manager.symbols, resolvedSettings);
+    }
+
+    this.mode = SCHEDULER_MODES.includes(mode) ? mode : this.mode;
+
+    // Stored first - the scanners' schedule guard must already see "running"
+    await saveSchedule({
+      desired_state: 'running',
+      mode: this.mode,
+      symbols: this.manager.symbols,
+      started_at: new Date().toISOString(),
+      stopped_at: null
+    });
+    await this.manager.startScanning({ interval: this.mode === 'interval' });
+
+    return this.manager;
+  }
+
+  async stop() {
+    const manager = await this.getManager();
+
+    // Scanners driven by ticks (or started by another process) only know they run from the stored status
+    if (!manager.isRunning) {
+      for (const scanner of manager.scanners.values()) {
+        const status = await scanner.getScannerStatus();
+        if (status.isRunning) scanner.restoreStatus(status);
+      }
+    }
+
+    await manager.stopScanning();
+    await saveSchedule({
+      desired_state: 'stopped',
+      mode: this.mode,
+      symbols: manager.symbols,
+      stopped_at: new Date().toISOString()
+    });
+
+    return manager;
+  }
+
+  /**
+   * Applies new settings, restarting the scanners when they should be running
+   */
+  async configure({ symbols = null, settings }) {
+    const schedule = await loadSchedule();
+    const shouldRun = this.isRunning || schedule?.desired_state === 'running';
+
+    if (this.manager?.isRunning) {
+      await this.manager.stopScanning();
+    }
+
+    const manager = await this.getManager(schedule);
+    this.rebuildManager(symbols || manager.symbols, settings);
+
+    if (shouldRun) {
+      await this.start({ symbols: this.manager.symbols, settings, mode: schedule?.mode });
+    } else {
+      await saveSchedule({ symbols: this.manager.symbols });
+    }
+
+    return { manager: this.manager, restarted: shouldRun };
+  }
+
+  /**
+   * Restarts interval scanning in a fresh process when the stored schedule says "running"
+   * Runs once per process - later calls return the first result
+   */
+  resume() {
+    if (!this.resuming) {
+      this.resuming = this.doResume().catch(error => {
+        console.error('❌ Could not resume scanner schedule:', error.message);
+        return false;
+      });
+    }
+
+    return this.resuming;
+  }
+
+  async doResume() {
+    const schedule = await loadSchedule();
+
+    if (schedule?.mode) {
+      this.mode = schedule.mode;
+    }
+
+    if (schedule?.desired_state !== 'running' || this.isRunning) {
+      return false;
+    }
+
+    const manager = await this.getManager(schedule);
+
+    // External mode has nothing to restart - the next tick scans whatever is due
+    if (this.mode === 'external') {
+      return false;
+    }
+
+    console.log(`♻️ Resuming scanners for ${manager.symbols.join(', ')} (desired state: running)`);
+    await manager.startScanning({ interval: true });
+    return true;
+  }
+
+  /**
+   * One external tick: scans every symbol that hasn't been scanned since the last candle close
+   * A symbol whose slot (close + offset) is still ahead is skipped, not waited for - sleeping
+   * inside the request could outlast a serverless timeout; the next tick scans it
+   */
+  async tick(now = new Date()) {
+    const schedule = await loadSchedule();
+
+    if (schedule?.desired_state !== 'running') {
+      return { scanned: [], skipped: [], reason: 'Scanner is stopped' };
+    }
+
+    const manager = await this.getManager(schedule);
+    const scanned = [];
+    const skipped = [];
+    const results = {};
+
+    // Sequential on purpose - keeps exchange request rate low
+    for (const [symbol, scanner] of manager.scanners) {
+      const status = await scanner.getScannerStatus();
+
+      const dueAt = getDueScanTime(status.lastScanAt, scanner.granularity, scanner.scanOffsetSeconds, now);
+
+      if (!dueAt) {
+        skipped.push(symbol);
+        continue;
+      }
+
+      if (dueAt > now) {
+        skipped.push(symbol);
+        results[symbol] = { skipped: true, reason: 'not_due', dueAt: dueAt.toISOString() };
+        continue;
+      }
+
+      scanner.restoreStatus(status);
+      // Short lease - the next tick may land on another instance and must not be locked out
+      const result = await scanner.scanPriceAutomatic({ leaseDuration: LEASE_GRACE_MS });
+
+      // Previous scan still running or another instance holds the lease
+      if (result.skipped) {
+        skipped.push(symbol);
+        results[symbol] = { skipped: true, reason: result.reason };
+        continue;
+      }
+
+      scanned.push(symbol);
+      results[symbol] = {
+        success: result.success,
+        price: result.price ?? null,
+        crossover: result.crossover ?? null,
+        error: result.error || null
+      };
+    }
+
+    await manager.checkHealth();
+
+    const tickResult = { scanned, skipped, results };
+    await saveSchedule({
+      last_tick_at: now.toISOString(),
+      last_tick_result: tickResult
+    });
+
+    return tickResult;
+  }
+}
+
+/**
+ * One scheduler per process - kept on globalThis so a hot reload
+ * doesn't leave the old module's timers running next to new ones
+ */
+export function getScanScheduler() {
+  if (!globalThis.__scanScheduler) {
+    globalThis.__scanScheduler = new ScanScheduler();
+  }
+
+  return globalThis.__scanScheduler;
+}
+
+export default ScanScheduler;
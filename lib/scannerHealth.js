@@ -0,0 +1,269 @@
+/**
+ * Scanner Health Monitor
+ * Raises alerts for repeated scan failures, stalled scanners and slow market data APIs,
+ * and sends a recovery notification once the condition clears.
+ * Active alerts live in the scanner_alerts table so every process sees the same state;
+ * the failure streak is counted from scan_history for the same reason.
+ */
+
+export const HEALTH_ALERT_TYPES = {
+  consecutive_failures: 'Consecutive failed scans',
+  stale_scanner: 'Running scanner stopped scanning',
+  high_latency: 'Market data API latency above threshold'
+};
+
+export const DEFAULT_HEALTH_SETTINGS = {
+  failureThreshold: parseInt(process.env.SCANNER_ALERT_FAILURES) || 3,
+  latencyThresholdMs: parseInt(process.env.SCANNER_ALERT_LATENCY_MS) || 5000,
+  // A running scanner is stale when it has not scanned within this many intervals
+  staleIntervals: 2
+};
+
+// Most recent scans read when counting a failure streak
+const FAILURE_LOOKBACK = 50;
+
+class ScannerHealthMonitor {
+  constructor(scanner, settings = {}) {
+    this.scanner = scanner;
+    this.settings = { ...DEFAULT_HEALTH_SETTINGS, ...settings };
+    // Fallbacks for when the scan_history / scanner_alerts tables are unavailable
+    this.consecutiveFailures = 0;
+    this.activeAlerts = new Map();
+  }
+
+  /**
+   * Failed scans in a row, newest first, from scan_history - shared by every process
+   * and external tick, unlike a per-process counter
+   * skipLatest: count the streak before the latest scan (the one that just succeeded)
+   */
+  async countConsecutiveFailures({ skipLatest = false } = {}) {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('scan_history')
+        .select('status, scan_type, timestamp')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .in('scan_type', ['automatic', 'manual'])
+        .order('timestamp', { ascending: false })
+        .limit(FAILURE_LOOKBACK);
+
+      if (error) throw error;
+
+      const scans = (data || []).slice(skipLatest ? 1 : 0);
+      const streakEnd = scans.findIndex(scan => scan.status !== 'error');
+      return streakEnd === -1 ? scans.length : streakEnd;
+    } catch (error) {
+      console.log('Note: Could not count failed scans:', error.message);
+      return this.consecutiveFailures;
+    }
+  }
+
+  /**
+   * Active alerts of this scanner, keyed by alert type
+   */
+  async getActiveAlerts() {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('scanner_alerts')
+        .select('*')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .eq('status', 'active');
+
+      if (error) throw error;
+
+      return new Map((data || []).map(alert => [alert.alert_type, alert]));
+    } catch (error) {
+      console.log('Note: Could not load scanner alerts:', error.message);
+      return this.activeAlerts;
+    }
+  }
+
+  /**
+   * Called after every scan with the scanPrice result
+   */
+  async recordScan(result) {
+    const active = await this.getActiveAlerts();
+
+    if (!result.success) {
+      this.consecutiveFailures++;
+      const failures = await this.countConsecutiveFailures();
+
+      if (failures >= this.settings.failureThreshold && !active.has('consecutive_failures')) {
+        await this.raise('consecutive_failures', {
+          message: `${failures} scans in a row failed`,
+          failures,
+          threshold: this.settings.failureThreshold,
+          error: result.error
+        });
+      }
+      return;
+    }
+
+    this.consecutiveFailures = 0;
+
+    if (active.has('consecutive_failures')) {
+      const failures = await this.countConsecutiveFailures({ skipLatest: true });
+      await this.resolve(active.get('consecutive_failures'), {
+        message: `Scans succeed again after ${failures} failures`,
+        failures
+      });
+    }
+
+    if (active.has('stale_scanner')) {
+      await this.resolve(active.get('stale_scanner'), { message: 'Scanner is scanning again' });
+    }
+
+    const latency = result.apiResponseTime;
+    if (latency === null || latency === undefined) return;
+
+    if (latency > this.settings.latencyThresholdMs && !active.has('high_latency')) {
+      await this.raise('high_latency', {
+        message: `${this.scanner.provider.name} responded in ${latency}ms (threshold ${this.settings.latencyThresholdMs}ms)`,
+        latencyMs: latency,
+        thresholdMs: this.settings.latencyThresholdMs
+      });
+    } else if (latency <= this.settings.latencyThresholdMs && active.has('high_latency')) {
+      await this.resolve(active.get('high_latency'), {
+        message: `${this.scanner.provider.name} latency back to ${latency}ms`,
+        latencyMs: latency
+      });
+    }
+  }
+
+  /**
+   * Alerts when the persisted status says "running" but the last scan is older
+   * than staleIntervals × scanInterval. Works from any process - the check only
+   * reads the status stored in scan_history.
+   */
+  async checkStale(now = new Date()) {
+    const status = await this.scanner.getScannerStatus();
+    const active = await this.getActiveAlerts();
+    const staleAfter = this.settings.staleIntervals * this.scanner.scanInterval;
+    const lastScanAge = status.lastScanAt ? now - new Date(status.lastScanAt) : null;
+    const isStale = status.isRunning && lastScanAge !== null && lastScanAge > staleAfter;
+
+    if (isStale && !active.has('stale_scanner')) {
+      await this.raise('stale_scanner', {
+        message: `No scan for ${Math.round(lastScanAge / 60000)} minutes (expected every ${this.scanner.scanInterval / 60000} minutes)`,
+        lastScanAt: status.lastScanAt,
+        lastScanAgeMs: lastScanAge,
+        staleAfterMs: staleAfter
+      });
+    } else if (!isStale && active.has('stale_scanner')) {
+      await this.resolve(active.get('stale_scanner'), {
+        message: status.isRunning ? 'Scanner is scanning again' : 'Scanner was stopped',
+        lastScanAt: status.lastScanAt || null
+      });
+    }
+
+    return isStale;
+  }
+
+  async raise(type, details) {
+    const alert = {
+      symbol: this.scanner.symbol,
+      granularity: this.scanner.granularity,
+      alert_type: type,
+      status: 'active',
+      message: details.message,
+      details,
+      triggered_at: new Date().toISOString()
+    };
+
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('scanner_alerts')
+        .insert([alert])
+        .select()
+        .single();
+
+      // Unique index on active alerts - another process raised it first
+      if (error?.code === '23505') return null;
+      if (error) throw error;
+
+      this.activeAlerts.set(type, data);
+    } catch (error) {
+      console.log('Note: Could not store scanner alert:', error.message);
+      this.activeAlerts.set(type, alert);
+    }
+
+    console.error(`🚨 ${this.scanner.symbol} health alert (${type}): ${details.message}`);
+    await this.scanner.notifyScannerEvent('scanner_health_alert', {
+      alert: type,
+      description: HEALTH_ALERT_TYPES[type],
+      ...details
+    });
+
+    return alert;
+  }
+
+  async resolve(alert, details) {
+    const resolvedAt = new Date();
+
+    try {
+      if (alert.id) {
+        const { supabase } = await import('./supabase.js');
+
+        const { data, error } = await supabase
+          .from('scanner_alerts')
+          .update({ status: 'resolved', resolved_at: resolvedAt.toISOString() })
+          .eq('id', alert.id)
+          .eq('status', 'active')
+          .select();
+
+        if (error) throw error;
+        // Already resolved by another process
+        if ((data || []).length === 0) return null;
+      }
+    } catch (error) {
+      console.log('Note: Could not resolve scanner alert:', error.message);
+    }
+
+    this.activeAlerts.delete(alert.alert_type);
+
+    const durationMs = resolvedAt - new Date(alert.triggered_at);
+    console.log(`✅ ${this.scanner.symbol} recovered (${alert.alert_type}) after ${Math.round(durationMs / 1000)}s`);
+    await this.scanner.notifyScannerEvent('scanner_recovered', {
+      alert: alert.alert_type,
+      description: HEALTH_ALERT_TYPES[alert.alert_type],
+      triggeredAt: alert.triggered_at,
+      durationMs,
+      ...details
+    });
+
+    return alert;
+  }
+}
+
+/**
+ * Alerts from every scanner, newest first
+ */
+export async function listScannerAlerts({ status = null, symbol = null, limit = 50 } = {}) {
+  const { supabase } = await import('./supabase.js');
+
+  let query = supabase
+    .from('scanner_alerts')
+    .select('*')
+    .order('triggered_at', { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq('status', status);
+  if (symbol) query = query.eq('symbol', symbol);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list scanner alerts: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+export default ScannerHealthMonitor;
@@ -0,0 +1,136 @@
+/**
+ * Scanner Lease
+ * Database-backed leader lock per symbol / timeframe (scanner_leases table). Every process may
+ * run timers, but only the lease holder scans - the others stand by and take over once the
+ * leader stops renewing. Without the table the lock is skipped and every process scans;
+ * any other database error counts as a lost lease, so two processes never scan on a guess.
+ */
+
+import os from 'os';
+
+// Identifies this process as a lease holder
+export const PROCESS_HOLDER_ID = `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+
+// Lease outlives one scan interval by this much, so a leader scanning late keeps it
+export const LEASE_GRACE_MS = 2 * 60 * 1000;
+
+/**
+ * Postgres undefined_table (42P01) or the PostgREST wording for it - the migration wasn't run
+ */
+export function isMissingTableError(error) {
+  return error?.code === '42P01' || /relation .* does not exist/i.test(error?.message || '');
+}
+
+class ScannerLease {
+  constructor(scanner, holderId = PROCESS_HOLDER_ID) {
+    this.scanner = scanner;
+    this.holderId = holderId;
+  }
+
+  get duration() {
+    return this.scanner.scanInterval + LEASE_GRACE_MS;
+  }
+
+  /**
+   * Takes or renews the lease - true when this process may scan
+   * durationMs: external ticks only need the lease for one scan, timers until the next candle
+   */
+  async acquire(durationMs = this.duration) {
+    const now = new Date();
+    const lease = {
+      holder_id: this.holderId,
+      heartbeat_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + durationMs).toISOString()
+    };
+
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      // Renew our own lease or take over an expired one - the condition is re-checked under the row lock
+      const { data: updated, error: updateError } = await supabase
+        .from('scanner_leases')
+        .update(lease)
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .or(`holder_id.eq.${this.holderId},expires_at.lt.${now.toISOString()}`)
+        .select();
+
+      if (updateError) throw updateError;
+      if (updated?.length > 0) return true;
+
+      const { error: insertError } = await supabase
+        .from('scanner_leases')
+        .insert([{
+          symbol: this.scanner.symbol,
+          granularity: this.scanner.granularity,
+          acquired_at: now.toISOString(),
+          ...lease
+        }]);
+
+      // Unique (symbol, granularity) - another process holds a live lease
+      if (insertError?.code === '23505') return false;
+      if (insertError) throw insertError;
+
+      console.log(`👑 ${this.scanner.symbol} ${this.scanner.timeframe} lease acquired by ${this.holderId}`);
+      return true;
+    } catch (error) {
+      if (isMissingTableError(error)) {
+        console.log('Note: Could not acquire scanner lease (scanner_leases table missing), scanning without a lock:', error.message);
+        return true;
+      }
+
+      console.error(`❌ Could not acquire ${this.scanner.symbol} ${this.scanner.timeframe} scanner lease, standing by:`, error.message);
+      return false;
+    }
+  }
+
+  async release() {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { error } = await supabase
+        .from('scanner_leases')
+        .delete()
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .eq('holder_id', this.holderId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.log('Note: Could not release scanner lease:', error.message);
+    }
+  }
+
+  /**
+   * Current lease row, or null when nobody holds one
+   */
+  async getHolder() {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('scanner_leases')
+        .select('*')
+        .eq('symbol', this.scanner.symbol)
+        .eq('granularity', this.scanner.granularity)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      return {
+        holderId: data.holder_id,
+        acquiredAt: data.acquired_at,
+        heartbeatAt: data.heartbeat_at,
+        expiresAt: data.expires_at,
+        expired: new Date(data.expires_at) < new Date(),
+        heldByThisProcess: data.holder_id === this.holderId
+      };
+    } catch (error) {
+      console.log('Note: Could not load scanner lease:', error.message);
+      return null;
+    }
+  }
+}
+
+export default ScannerLease;
@@ -0,0 +1,171 @@
+/**
+ * Multi-Symbol Scanner Manager
+ * Runs one SolanaScanner per configured Coinbase product so every symbol
+ * keeps its own EMA state, signals, scan history and webhook payloads
+ */
+
+import PaperTradingAccount from './paperTrading.js';
+import SolanaScanner, { getDefaultSymbols, parseSymbols } from './solanaScanner.js';
+import WebhookQueue from './webhookQueue.js';
+
+// How often a running manager checks its scanners for staleness
+const HEALTH_CHECK_INTERVAL_MS = 60 * 1000;
+
+class ScannerManager {
+  constructor(options = {}) {
+    const symbols = parseSymbols(options.symbols || []);
+
+    this.symbols = symbols.length > 0 ? symbols : getDefaultSymbols();
+    // Shared by all scanners so one retry loop serves every symbol
+    this.webhookQueue = new WebhookQueue();
+    this.settings = {
+      fastPeriod: options.fastPeriod,
+      slowPeriod: options.slowPeriod,
+      fastMaType: options.fastMaType,
+      slowMaType: options.slowMaType,
+      granularity: options.granularity,
+      scanOffsetSeconds: options.scanOffsetSeconds,
+      exchange: options.exchange,
+      evaluationMode: options.evaluationMode,
+      rsiPeriod: options.rsiPeriod,
+      rsiOverbought: options.rsiOverbought,
+      rsiOversold: options.rsiOversold,
+      rsiFilter: options.rsiFilter,
+      macdFastPeriod: options.macdFastPeriod,
+      macdSlowPeriod: options.macdSlowPeriod,
+      macdSignalPeriod: options.macdSignalPeriod,
+      bbPeriod: options.bbPeriod,
+      bbStdDev: options.bbStdDev,
+      bbSqueezeLookback: options.bbSqueezeLookback,
+      atrPeriod: options.atrPeriod,
+      atrStopMultiplier: options.atrStopMultiplier,
+      atrTakeProfitMultiplier: options.atrTakeProfitMultiplier,
+      confirmationBars: options.confirmationBars,
+      minSpreadPercent: options.minSpreadPercent,
+      minSpreadAtr: options.minSpreadAtr
+    };
+    // One shared paper account trades every symbol (PAPER_TRADING_ENABLED=true)
+    const paperTrading = options.paperTrading ?? process.env.PAPER_TRADING_ENABLED === 'true';
+    this.paperTrader = paperTrading ? new PaperTradingAccount() : null;
+    this.scanners = new Map(
+      this.symbols.map(symbol => [symbol, new SolanaScanner({
+        ...this.settings,
+        symbol,
+        webhookQueue: this.webhookQueue,
+        paperTrader: this.paperTrader,
+        scheduleGuard: options.scheduleGuard
+      })])
+    );
+    this.isRunning = false;
+    this.healthCheckId = null;
+  }
+
+  get defaultSymbol() {
+    return this.symbols[0];
+  }
+
+  get scanInterval() {
+    return this.getScanner().scanInterval;
+  }
+
+  /**
+   * Returns the scanner for a symbol (or the default symbol when none is given)
+   */
+  getScanner(symbol = null) {
+    const [normalized] = parseSymbols([symbol || this.defaultSymbol]);
+    return this.scanners.get(normalized) || null;
+  }
+
+  hasSymbols(symbols) {
+    const requested = parseSymbols(symbols);
+    return requested.length === this.symbols.length &&
+      requested.every(symbol => this.scanners.has(symbol));
+  }
+
+  hasSettings(settings) {
+    const scanner = this.getScanner();
+    return scanner.fastPeriod === settings.fastPeriod &&
+      scanner.slowPeriod === settings.slowPeriod &&
+      scanner.fastMaType === settings.fastMaType &&
+      scanner.slowMaType === settings.slowMaType &&
+      scanner.granularity === settings.granularity &&
+      scanner.scanOffsetSeconds === settings.scanOffsetSeconds &&
+      scanner.provider.name === settings.exchange &&
+      scanner.evaluationMode === settings.evaluationMode &&
+      scanner.rsiPeriod === settings.rsiPeriod &&
+      scanner.rsiFilter.mode === settings.rsiFilter &&
+      scanner.rsiFilter.overbought === settings.rsiOverbought &&
+      scanner.rsiFilter.oversold === settings.rsiOversold &&
+      scanner.macdSettings.fastPeriod === settings.macdFastPeriod &&
+      scanner.macdSettings.slowPeriod === settings.macdSlowPeriod &&
+      scanner.macdSettings.signalPeriod === settings.macdSignalPeriod &&
+      scanner.bollingerSettings.period === settings.bbPeriod &&
+      scanner.bollingerSettings.stdDev === settings.bbStdDev &&
+      scanner.bollingerSettings.squeezeLookback === settings.bbSqueezeLookback &&
+      scanner.atrSettings.period === settings.atrPeriod &&
+      scanner.atrSettings.stopMultiplier === settings.atrStopMultiplier &&
+      scanner.atrSettings.takeProfitMultiplier === settings.atrTakeProfitMultiplier &&
+      scanner.confirmationSettings.bars === settings.confirmationBars &&
+      scanner.confirmationSettings.minSpreadPercent === settings.minSpreadPercent &&
+      scanner.confirmationSettings.minSpreadAtr === settings.minSpreadAtr;
+  }
+
+  /**
+   * interval: false - no timers, scans are driven by ScanScheduler.tick
+   */
+  async startScanning({ interval = true } = {}) {
+    console.log(`🚀 Starting scanners for ${this.symbols.join(', ')}`);
+
+    for (const scanner of this.scanners.values()) {
+      await scanner.startScanning({ interval });
+    }
+
+    if (interval) {
+      this.healthCheckId = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL_MS);
+      this.healthCheckId.unref?.();
+    }
+
+    this.isRunning = true;
+    return this.isRunning;
+  }
+
+  /**
+   * Raises / clears stale scanner alerts - a scan stuck on a hung request
+   * is caught here even though its own interval never completes
+   */
+  async checkHealth() {
+    for (const scanner of this.scanners.values()) {
+      try {
+        await scanner.healthMonitor.checkStale();
+      } catch (error) {
+        console.error(`❌ Health check failed for ${scanner.symbol}:`, error.message);
+      }
+    }
+  }
+
+  async stopScanning() {
+    if (this.healthCheckId) {
+      clearInterval(this.healthCheckId);
+      this.healthCheckId = null;
+    }
+
+    for (const scanner of this.scanners.values()) {
+      await scanner.stopScanning();
+    }
+
+    this.isRunning = false;
+    console.log(`🛑 Stopped scanners for ${this.symbols.join(', ')}`);
+  }
+
+  async getScannerStatuses() {
+    const statuses = {};
+
+    for (const [symbol, scanner] of this.scanners) {
+      statuses[symbol] = await scanner.getScannerStatus();
+    }
+
+    return statuses;
+  }
+}
+
+export default ScannerManager;
@@ -0,0 +1,276 @@
+/**
+ * Persistent Scanner Settings
+ * Stores scanner configuration (EMA periods, candle granularity, data provider, ...) in the scanner_settings table
+ * so it survives restarts and is shared by every API route
+ */
+
+import {
+  DEFAULT_ATR_SETTINGS,
+  DEFAULT_BOLLINGER_SETTINGS,
+  DEFAULT_MACD_SETTINGS,
+  RSI_FILTER_MODES
+} from './indicators.js';
+import { DEFAULT_CONFIRMATION_SETTINGS } from './crossoverConfirmation.js';
+import { DEFAULT_MA_TYPE, MA_TYPES, parseMovingAverageType } from './movingAverages.js';
+import { DEFAULT_PROVIDER, PROVIDERS } from './providers/index.js';
+import {
+  DEFAULT_FAST_PERIOD,
+  EVALUATION_MODES,
+  DEFAULT_RSI_OVERBOUGHT,
+  DEFAULT_RSI_OVERSOLD,
+  DEFAULT_RSI_PERIOD,
+  DEFAULT_SLOW_PERIOD
+} from './solanaScanner.js';
+import { DEFAULT_GRANULARITY, DEFAULT_SCAN_OFFSET_SECONDS, GRANULARITIES, parseGranularity } from './timeframes.js';
+
+const SETTINGS_KEY = 'scanner';
+
+const MIN_PERIOD = 2;
+const MAX_PERIOD = 250;
+
+const MAX_SCAN_OFFSET_SECONDS = 300;
+
+export const DEFAULT_SCANNER_SETTINGS = {
+  fastPeriod: DEFAULT_FAST_PERIOD,
+  slowPeriod: DEFAULT_SLOW_PERIOD,
+  // sma | ema | wma | dema | tema | hma - smoothing of the fast and slow line
+  fastMaType: DEFAULT_MA_TYPE,
+  slowMaType: DEFAULT_MA_TYPE,
+  granularity: DEFAULT_GRANULARITY,
+  // Seconds after each candle close before the automatic scan runs
+  scanOffsetSeconds: DEFAULT_SCAN_OFFSET_SECONDS,
+  exchange: process.env.MARKET_DATA_PROVIDER || DEFAULT_PROVIDER,
+  // closed - last closed candle | intrabar - forming candle at the live price
+  evaluationMode: 'closed',
+  rsiPeriod: DEFAULT_RSI_PERIOD,
+  rsiOverbought: DEFAULT_RSI_OVERBOUGHT,
+  rsiOversold: DEFAULT_RSI_OVERSOLD,
+  // off | downrank | suppress - crossovers against an RSI extreme
+  rsiFilter: 'off',
+  macdFastPeriod: DEFAULT_MACD_SETTINGS.fastPeriod,
+  macdSlowPeriod: DEFAULT_MACD_SETTINGS.slowPeriod,
+  macdSignalPeriod: DEFAULT_MACD_SETTINGS.signalPeriod,
+  bbPeriod: DEFAULT_BOLLINGER_SETTINGS.period,
+  bbStdDev: DEFAULT_BOLLINGER_SETTINGS.stdDev,
+  // Squeeze = bandwidth at its lowest of this many candles
+  bbSqueezeLookback: DEFAULT_BOLLINGER_SETTINGS.squeezeLookback,
+  atrPeriod: DEFAULT_ATR_SETTINGS.period,
+  // Stop-loss / take-profit distance from the signal price in ATRs
+  atrStopMultiplier: DEFAULT_ATR_SETTINGS.stopMultiplier,
+  atrTakeProfitMultiplier: DEFAULT_ATR_SETTINGS.takeProfitMultiplier,
+  // Crossover confirmation - 0 disables a filter, all 0 signals every crossover at once
+  confirmationBars: DEFAULT_CONFIRMATION_SETTINGS.bars,
+  minSpreadPercent: DEFAULT_CONFIRMATION_SETTINGS.minSpreadPercent,
+  minSpreadAtr: DEFAULT_CONFIRMATION_SETTINGS.minSpreadAtr
+};
+
+/**
+ * Validates a partial settings update merged onto the current settings
+ * Returns { settings, errors } - settings is null when validation failed
+ */
+export function validateScannerSettings(updates = {}, current = DEFAULT_SCANNER_SETTINGS) {
+  const errors = [];
+  const settings = { ...current };
+
+  ['fastPeriod', 'slowPeriod', 'macdFastPeriod', 'macdSlowPeriod', 'macdSignalPeriod', 'bbPeriod', 'bbSqueezeLookback', 'atrPeriod'].forEach(field => {
+    if (updates[field] === undefined || updates[field] === null) return;
+
+    const value = Number(updates[field]);
+    if (!Number.isInteger(value) || value < MIN_PERIOD || value > MAX_PERIOD) {
+      errors.push(`${field} must be an integer between ${MIN_PERIOD} and ${MAX_PERIOD}`);
+      return;
+    }
+
+    settings[field] = value;
+  });
+
+  ['fastMaType', 'slowMaType'].forEach(field => {
+    if (updates[field] === undefined || updates[field] === null) return;
+
+    const type = parseMovingAverageType(updates[field]);
+    if (type) {
+      settings[field] = type;
+    } else {
+      errors.push(`${field} must be one of ${MA_TYPES.join(', ')}`);
+    }
+  });
+
+  if (updates.granularity !== undefined && updates.granularity !== null) {
+    const granularity = parseGranularity(updates.granularity);
+    if (granularity) {
+      settings.granularity = granularity;
+    } else {
+      errors.push(`granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+    }
+  }
+
+  if (updates.scanOffsetSeconds !== undefined && updates.scanOffsetSeconds !== null) {
+    const value = Number(updates.scanOffsetSeconds);
+    if (Number.isInteger(value) && value >= 0 && value <= MAX_SCAN_OFFSET_SECONDS) {
+      settings.scanOffsetSeconds = value;
+    } else {
+      errors.push(`scanOffsetSeconds must be an integer between 0 and ${MAX_SCAN_OFFSET_SECONDS}`);
+    }
+  }
+
+  if (updates.exchange !== undefined && updates.exchange !== null) {
+    const exchange = String(updates.exchange).toLowerCase();
+    if (PROVIDERS[exchange]) {
+      settings.exchange = exchange;
+    } else {
+      errors.push(`exchange must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+  }
+
+  if (updates.evaluationMode !== undefined && updates.evaluationMode !== null) {
+    const mode = String(updates.evaluationMode).toLowerCase();
+    if (EVALUATION_MODES.includes(mode)) {
+      settings.evaluationMode = mode;
+    } else {
+      errors.push(`evaluationMode must be one of ${EVALUATION_MODES.join(', ')}`);
+    }
+  }
+
+  if (updates.rsiPeriod !== undefined && updates.rsiPeriod !== null) {
+    const value = Number(updates.rsiPeriod);
+    if (Number.isInteger(value) && value >= MIN_PERIOD && value <= MAX_PERIOD) {
+      settings.rsiPeriod = value;
+    } else {
+      errors.push(`rsiPeriod must be an integer between ${MIN_PERIOD} and ${MAX_PERIOD}`);
+    }
+  }
+
+  ['rsiOverbought', 'rsiOversold'].forEach(field => {
+    if (updates[field] === undefined || updates[field] === null) return;
+
+    const value = Number(updates[field]);
+    if (!Number.isFinite(value) || value <= 0 || value >= 100) {
+      errors.push(`${field} must be a number between 0 and 100`);
+      return;
+    }
+
+    settings[field] = value;
+  });
+
+  if (updates.bbStdDev !== undefined && updates.bbStdDev !== null) {
+    const value = Number(updates.bbStdDev);
+    if (Number.isFinite(value) && value > 0 && value <= 5) {
+      settings.bbStdDev = value;
+    } else {
+      errors.push('bbStdDev must be a number between 0 and 5');
+    }
+  }
+
+  ['atrStopMultiplier', 'atrTakeProfitMultiplier'].forEach(field => {
+    if (updates[field] === undefined || updates[field] === null) return;
+
+    const value = Number(updates[field]);
+    if (!Number.isFinite(value) || value <= 0 || value > 20) {
+      errors.push(`${field} must be a number between 0 and 20`);
+      return;
+    }
+
+    settings[field] = value;
+  });
+
+  if (updates.confirmationBars !== undefined && updates.confirmationBars !== null) {
+    const value = Number(updates.confirmationBars);
+    if (Number.isInteger(value) && value >= 0 && value <= 50) {
+      settings.confirmationBars = value;
+    } else {
+      errors.push('confirmationBars must be an integer between 0 and 50');
+    }
+  }
+
+  ['minSpreadPercent', 'minSpreadAtr'].forEach(field => {
+    if (updates[field] === undefined || updates[field] === null) return;
+
+    const value = Number(updates[field]);
+    if (!Number.isFinite(value) || value < 0 || value > 10) {
+      errors.push(`${field} must be a number between 0 and 10`);
+      return;
+    }
+
+    settings[field] = value;
+  });
+
+  if (updates.rsiFilter !== undefined && updates.rsiFilter !== null) {
+    const mode = String(updates.rsiFilter).toLowerCase();
+    if (RSI_FILTER_MODES.includes(mode)) {
+      settings.rsiFilter = mode;
+    } else {
+      errors.push(`rsiFilter must be one of ${RSI_FILTER_MODES.join(', ')}`);
+    }
+  }
+
+  if (errors.length === 0 && settings.fastPeriod >= settings.slowPeriod) {
+    errors.push('fastPeriod must be lower than slowPeriod');
+  }
+
+  if (errors.length === 0 && settings.scanOffsetSeconds >= settings.granularity) {
+    errors.push('scanOffsetSeconds must be shorter than one candle');
+  }
+
+  if (errors.length === 0 && settings.macdFastPeriod >= settings.macdSlowPeriod) {
+    errors.push('macdFastPeriod must be lower than macdSlowPeriod');
+  }
+
+  if (errors.length === 0 && settings.rsiOversold >= settings.rsiOverbought) {
+    errors.push('rsiOversold must be lower than rsiOverbought');
+  }
+
+  return { settings: errors.length === 0 ? settings : null, errors };
+}
+
+export async function loadScannerSettings() {
+  try {
+    const { supabase } = await import('./supabase.js');
+
+    const { data, error } = await supabase
+      .from('scanner_settings')
+      .select('value')
+      .eq('key', SETTINGS_KEY)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Error loading scanner settings:', error);
+      return { ...DEFAULT_SCANNER_SETTINGS };
+    }
+
+    return { ...DEFAULT_SCANNER_SETTINGS, ...(data?.value || {}) };
+  } catch (error) {
+    console.error('❌ Exception in loadScannerSettings:', error);
+    return { ...DEFAULT_SCANNER_SETTINGS };
+  }
+}
+
+/**
+ * Validates and persists a partial settings update
+ * Throws when the update is invalid or cannot be stored
+ */
+export async function saveScannerSettings(updates) {
+  const current = await loadScannerSettings();
+  const { settings, errors } = validateScannerSettings(updates, current);
+
+  if (!settings) {
+    throw new Error(`Invalid scanner settings: ${errors.join(', ')}`);
+  }
+
+  const { supabase } = await import('./supabase.js');
+
+  const { error } = await supabase
+    .from('scanner_settings')
+    .upsert([{
+      key: SETTINGS_KEY,
+      value: settings,
+      updated_at: new Date().toISOString()
+    }], { onConflict: 'key' });
+
+  if (error) {
+    console.error('❌ Error saving scanner settings:', error);
+    throw error;
+  }
+
+  console.log('⚙️ Scanner settings saved:', settings);
+  return settings;
+}
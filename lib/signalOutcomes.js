@@ -0,0 +1,275 @@
+/**
+ * Signal Outcome Tracking
+ * Measures what the price did after each EMA crossover: forward returns at fixed
+ * horizons (from sol_price_data) plus max favorable / adverse excursion (from the
+ * high / low of the closed bars in the candles table)
+ */
+
+// Horizon label -> seconds after the signal (also the ema_signals column suffix)
+export const OUTCOME_HORIZONS = {
+  '1h': 3600,
+  '4h': 14400,
+  '24h': 86400,
+  '7d': 604800
+};
+
+const OUTCOME_WINDOW_SECONDS = OUTCOME_HORIZONS['7d'];
+// Signals whose window ended this long ago are closed even if price data has gaps
+const OUTCOME_GRACE_SECONDS = 86400;
+const PAGE_SIZE = 1000;
+
+const round = (value) => value === null ? null : Math.round(value * 1e6) / 1e6;
+
+/**
+ * Calculates outcomes for one signal from the prices and closed candles that followed it
+ * prices: [{ timestamp, price }] ascending, starting at the signal time
+ * candles: [{ timestamp|open_time, high, low }] closed bars opened at or after the signal -
+ *   excursions fall back to the prices when none are stored
+ * Horizons shorter than the candle granularity are not measurable and stay null; a horizon
+ * whose first sample lands more than one candle after it (data gap) stays pending
+ */
+export function calculateSignalOutcome(signal, prices, now = new Date(), candles = []) {
+  const signalTime = new Date(signal.timestamp).getTime();
+  const entryPrice = parseFloat(signal.price);
+  const granularity = signal.granularity || 0;
+  const direction = signal.signal_type === 'bearish' ? -1 : 1;
+  const windowEnd = signalTime + OUTCOME_WINDOW_SECONDS * 1000;
+
+  // Samples up to one candle past the window - the 7d horizon is served by the first scan after it
+  const forward = prices
+    .map(row => ({ time: new Date(row.timestamp).getTime(), price: parseFloat(row.price) }))
+    .filter(row => row.time > signalTime && row.time <= windowEnd + granularity * 1000 && row.price > 0);
+
+  const returns = {};
+  let resolved = 0;
+  let measurable = 0;
+
+  Object.entries(OUTCOME_HORIZONS).forEach(([label, seconds]) => {
+    returns[label] = null;
+    if (seconds < granularity) return;
+
+    measurable++;
+    const target = signalTime + seconds * 1000;
+    const point = forward.find(row => row.time >= target);
+
+    // After an outage the next sample may be days later - not a price at this horizon
+    if (point && point.time - target <= granularity * 1000) {
+      returns[label] = round(((point.price - entryPrice) / entryPrice) * 100);
+      resolved++;
+    }
+  });
+
+  let mfe = null;
+  let mae = null;
+
+  const bars = candles
+    .map(candle => ({
+      time: new Date(candle.timestamp || candle.open_time).getTime(),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low)
+    }))
+    .filter(bar => bar.time >= signalTime && bar.time + granularity * 1000 <= windowEnd && bar.high > 0 && bar.low > 0);
+
+  if (bars.length > 0) {
+    // Bullish: the best move is up to the high, the worst down to the low - mirrored for bearish
+    const favorable = bars.map(bar => ((direction === 1 ? bar.high : bar.low) - entryPrice) / entryPrice * 100 * direction);
+    const adverse = bars.map(bar => ((direction === 1 ? bar.low : bar.high) - entryPrice) / entryPrice * 100 * direction);
+    mfe = round(Math.max(0, ...favorable));
+    mae = round(Math.min(0, ...adverse));
+  } else if (forward.some(row => row.time <= windowEnd)) {
+    const moves = forward.filter(row => row.time <= windowEnd).map(row => direction * ((row.price - entryPrice) / entryPrice) * 100);
+    mfe = round(Math.max(0, ...moves));
+    mae = round(Math.min(0, ...moves));
+  }
+
+  const expired = now.getTime() > windowEnd + OUTCOME_GRACE_SECONDS * 1000;
+
+  return {
+    returns,
+    mfePercent: mfe,
+    maePercent: mae,
+    complete: resolved === measurable || expired
+  };
+}
+
+/**
+ * Maps a stored ema_signals row to the outcome shape used by the API
+ */
+export function getStoredOutcome(signal) {
+  const parse = (value) => value === null || value === undefined ? null : parseFloat(value);
+
+  return {
+    returns: Object.fromEntries(
+      Object.keys(OUTCOME_HORIZONS).map(label => [label, parse(signal[`return_${label}`])])
+    ),
+    mfePercent: parse(signal.mfe_percent),
+    maePercent: parse(signal.mae_percent),
+    complete: !!signal.outcomes_complete
+  };
+}
+
+/**
+ * Aggregates stored outcomes - returns are direction adjusted so a positive
+ * average means the crossover called the move correctly
+ */
+export function summarizeOutcomes(signals = []) {
+  const outcomes = signals.map(signal => ({
+    direction: signal.signal_type === 'bearish' ? -1 : 1,
+    ...getStoredOutcome(signal)
+  }));
+
+  const average = (values) => values.length > 0
+    ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+
+  const horizons = Object.fromEntries(Object.keys(OUTCOME_HORIZONS).map(label => {
+    const values = outcomes
+      .filter(outcome => outcome.returns[label] !== null)
+      .map(outcome => outcome.direction * outcome.returns[label]);
+
+    return [label, {
+      samples: values.length,
+      avgReturnPercent: average(values),
+      winRate: values.length > 0
+        ? Math.round((values.filter(value => value > 0).length / values.length) * 10000) / 100
+        : null
+    }];
+  }));
+
+  const withExcursions = outcomes.filter(outcome => outcome.mfePercent !== null);
+
+  return {
+    horizons,
+    avgMfePercent: average(withExcursions.map(outcome => outcome.mfePercent)),
+    avgMaePercent: average(withExcursions.map(outcome => outcome.maePercent)),
+    completeCount: outcomes.filter(outcome => outcome.complete).length,
+    pendingCount: outcomes.filter(outcome => !outcome.complete).length
+  };
+}
+
+async function loadForwardPrices(supabase, signal) {
+  const from = new Date(signal.timestamp);
+  const to = new Date(from.getTime() + (OUTCOME_WINDOW_SECONDS + (signal.granularity || 0)) * 1000);
+  const prices = [];
+
+  // Page through the window - 1m data is more than one response can hold
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('sol_price_data')
+      .select('timestamp, price')
+      .eq('symbol', signal.symbol)
+      .eq('granularity', signal.granularity)
+      .gt('timestamp', from.toISOString())
+      .lte('timestamp', to.toISOString())
+      .order('timestamp', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load prices after signal ${signal.id}: ${error.message}`);
+    }
+
+    prices.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return prices;
+}
+
+async function loadForwardCandles(supabase, signal) {
+  const from = new Date(signal.timestamp);
+  const to = new Date(from.getTime() + OUTCOME_WINDOW_SECONDS * 1000);
+  const candles = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('candles')
+      .select('open_time, high, low')
+      .eq('symbol', signal.symbol)
+      .eq('granularity', signal.granularity)
+      .gte('open_time', from.toISOString())
+      .lt('open_time', to.toISOString())
+      .order('open_time', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load candles after signal ${signal.id}: ${error.message}`);
+    }
+
+    candles.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return candles;
+}
+
+/**
+ * Recomputes outcomes for signals of one indicator that are not complete yet
+ * Least recently scored signals go first, so signals still waiting for their
+ * 7d window rotate to the back instead of blocking newer ones
+ * Returns the number of updated signals
+ */
+export async function updateSignalOutcomes({ symbol = null, granularity = null, indicator = 'ema', limit = 50 } = {}) {
+  const { supabase } = await import('./supabase.js');
+
+  let query = supabase
+    .from('ema_signals')
+    .select('id, timestamp, symbol, granularity, signal_type, price')
+    .eq('indicator', indicator)
+    .or('outcomes_complete.is.null,outcomes_complete.eq.false')
+    .order('outcomes_updated_at', { ascending: true, nullsFirst: true })
+    .order('timestamp', { ascending: true })
+    .limit(limit);
+
+  if (symbol) query = query.eq('symbol', symbol);
+  if (granularity) query = query.eq('granularity', granularity);
+
+  const { data: pending, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load pending signal outcomes: ${error.message}`);
+  }
+
+  let updated = 0;
+  const now = new Date();
+
+  for (const signal of pending || []) {
+    const prices = await loadForwardPrices(supabase, signal);
+    const candles = await loadForwardCandles(supabase, signal).catch(error => {
+      console.log('Note: Could not load candles for excursions, using prices:', error.message);
+      return [];
+    });
+    const outcome = calculateSignalOutcome(signal, prices, now, candles);
+
+    const { data: updatedRows, error: updateError } = await supabase
+      .from('ema_signals')
+      .update({
+        ...Object.fromEntries(
+          Object.entries(outcome.returns).map(([label, value]) => [`return_${label}`, value])
+        ),
+        mfe_percent: outcome.mfePercent,
+        mae_percent: outcome.maePercent,
+        outcomes_complete: outcome.complete,
+        outcomes_updated_at: now.toISOString()
+      })
+      .eq('id', signal.id)
+      .select('id');
+
+    if (updateError) {
+      console.error(`❌ Failed to store outcome for signal ${signal.id}:`, updateError.message);
+      continue;
+    }
+
+    // RLS silently filters an UPDATE it doesn't allow - every other signal would fail the same way
+    if (!updatedRows || updatedRows.length === 0) {
+      throw new Error(`Outcome update for signal ${signal.id} matched no rows - check the UPDATE policy on ema_signals (sql/signal_outcomes.sql)`);
+    }
+
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`📐 Updated outcomes for ${updated} signal(s)${symbol ? ` of ${symbol}` : ''}`);
+  }
+
+  return updated;
+}
@@ -1,17 +1,159 @@
 /**
  * Enhanced Solana Price Scanner with Persistent Status & Webhooks
  * Features: Persistent scanner status, signal tracking, webhook notifications
+ * One instance scans one Coinbase product - see ScannerManager for multi-symbol scanning
  */
 
+import { DEFAULT_BACKFILL_CANDLES, backfillCandles } from './candleBackfill.js';
+import { loadCandles, upsertCandles } from './candleStore.js';
+import { alignCandles, filterClosedCandles, findFirstMissingOpen, normalizeCandles } from './candleUtils.js';
+import CrossoverConfirmation, { DEFAULT_CONFIRMATION_SETTINGS } from './crossoverConfirmation.js';
+import IndicatorStateTracker from './indicatorState.js';
+import {
+  DEFAULT_ATR_SETTINGS,
+  DEFAULT_BOLLINGER_SETTINGS,
+  DEFAULT_MACD_SETTINGS,
+  calculateATR,
+  calculateBollingerBands,
+  calculateMACD,
+  calculateRSI,
+  calculateRiskLevels,
+  detectEMACrossover,
+  detectMACDSignals,
+  evaluateRSIFilter,
+  getRSIState
+} from './indicators.js';
+import {
+  DEFAULT_MA_TYPE,
+  getMovingAverageLookback,
+  movingAverageConfigLabel,
+  parseMovingAverageType
+} from './movingAverages.js';
+import { createMarketDataProvider } from './providers/index.js';
+import ScannerHealthMonitor from './scannerHealth.js';
+import ScannerLease, { LEASE_GRACE_MS } from './scannerLease.js';
+import { updateSignalOutcomes } from './signalOutcomes.js';
+import {
+  DEFAULT_GRANULARITY,
+  DEFAULT_SCAN_OFFSET_SECONDS,
+  candleOpenTime,
+  granularityLabel,
+  nextScanTime,
+  parseGranularity
+} from './timeframes.js';
+import WebhookQueue from './webhookQueue.js';
+
+export const DEFAULT_SYMBOL = 'SOL-USD';
+export const DEFAULT_FAST_PERIOD = 12;
+export const DEFAULT_SLOW_PERIOD = 25;
+export const DEFAULT_RSI_PERIOD = 14;
+export const DEFAULT_RSI_OVERBOUGHT = 70;
+export const DEFAULT_RSI_OVERSOLD = 30;
+
+// closed   - indicators use closed candles only, signals are stamped at the bar close
+// intrabar - the forming candle is evaluated at the live price (never stored as a bar)
+export const EVALUATION_MODES = ['closed', 'intrabar'];
+
+/**
+ * Parses a list of Coinbase product ids from an array or a comma separated string
+ * (e.g. "SOL-USD, eth-usd") into normalized, de-duplicated symbols.
+ */
+export function parseSymbols(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const symbols = list
+    .map(symbol => String(symbol).trim().toUpperCase())
+    .filter(symbol => /^[A-Z0-9]+-[A-Z0-9]+$/.test(symbol));
+
+  return [...new Set(symbols)];
+}
+
+/**
+ * Symbols tracked when nothing else is configured (SCANNER_SYMBOLS env variable)
+ */
+export function getDefaultSymbols() {
+  const symbols = parseSymbols(process.env.SCANNER_SYMBOLS);
+  return symbols.length > 0 ? symbols : [DEFAULT_SYMBOL];
+}
+
 class SolanaScanner {
-  constructor() {
-    this.baseUrl = process.env.COINBASE_API_BASE_URL || 'https://api.exchange.coinbase.com';
-    this.symbol = 'SOL-USD';
-    this.ema12Period = 12;
-    this.ema25Period = 25;
-    this.scanInterval = 15 * 60 * 1000; // 15 minutes
-    this.historicalDataPoints = 100;
-    this.webhookUrl = process.env.WEBHOOK_URL || null;
+  constructor(options = {}) {
+    this.provider = options.provider || createMarketDataProvider(options.exchange);
+    this.symbol = parseSymbols([options.symbol])[0] || DEFAULT_SYMBOL;
+    // Fast/slow EMA periods are stored in the ema_12/ema_25 columns
+    this.fastPeriod = options.fastPeriod || DEFAULT_FAST_PERIOD;
+    this.slowPeriod = options.slowPeriod || DEFAULT_SLOW_PERIOD;
+    // Smoothing of each line - any two types can be compared (e.g. HMA 9 vs EMA 21)
+    this.fastMaType = parseMovingAverageType(options.fastMaType) || DEFAULT_MA_TYPE;
+    this.slowMaType = parseMovingAverageType(options.slowMaType) || DEFAULT_MA_TYPE;
+    this.rsiPeriod = options.rsiPeriod || DEFAULT_RSI_PERIOD;
+    // Crossovers against an RSI extreme are kept (off), down-ranked or suppressed
+    this.rsiFilter = {
+      mode: options.rsiFilter || 'off',
+      overbought: options.rsiOverbought || DEFAULT_RSI_OVERBOUGHT,
+      oversold: options.rsiOversold || DEFAULT_RSI_OVERSOLD
+    };
+    this.macdSettings = {
+      fastPeriod: options.macdFastPeriod || DEFAULT_MACD_SETTINGS.fastPeriod,
+      slowPeriod: options.macdSlowPeriod || DEFAULT_MACD_SETTINGS.slowPeriod,
+      signalPeriod: options.macdSignalPeriod || DEFAULT_MACD_SETTINGS.signalPeriod
+    };
+    this.bollingerSettings = {
+      period: options.bbPeriod || DEFAULT_BOLLINGER_SETTINGS.period,
+      stdDev: options.bbStdDev || DEFAULT_BOLLINGER_SETTINGS.stdDev,
+      squeezeLookback: options.bbSqueezeLookback || DEFAULT_BOLLINGER_SETTINGS.squeezeLookback
+    };
+    // Stop-loss / take-profit suggestions at ATR multiples from the signal price
+    this.atrSettings = {
+      period: options.atrPeriod || DEFAULT_ATR_SETTINGS.period,
+      stopMultiplier: options.atrStopMultiplier || DEFAULT_ATR_SETTINGS.stopMultiplier,
+      takeProfitMultiplier: options.atrTakeProfitMultiplier || DEFAULT_ATR_SETTINGS.takeProfitMultiplier
+    };
+    // EMA crossovers stay unconfirmed until they hold for N bars and clear the minimum spread
+    this.confirmationSettings = {
+      bars: options.confirmationBars ?? DEFAULT_CONFIRMATION_SETTINGS.bars,
+      minSpreadPercent: options.minSpreadPercent ?? DEFAULT_CONFIRMATION_SETTINGS.minSpreadPercent,
+      minSpreadAtr: options.minSpreadAtr ?? DEFAULT_CONFIRMATION_SETTINGS.minSpreadAtr
+    };
+    // Candle size in seconds - one scan per candle
+    this.granularity = parseGranularity(options.granularity) || DEFAULT_GRANULARITY;
+    this.timeframe = granularityLabel(this.granularity);
+    this.scanInterval = this.granularity * 1000;
+    // Automatic scans run this many seconds after each candle boundary, not N minutes after Start
+    this.scanOffsetSeconds = Math.min(options.scanOffsetSeconds ?? DEFAULT_SCAN_OFFSET_SECONDS, this.granularity - 1);
+    this.evaluationMode = EVALUATION_MODES.includes(options.evaluationMode) ? options.evaluationMode : 'closed';
+    // Closed candles in the indicator series - one provider request also returns the forming candle
+    this.historicalDataPoints = Math.min(
+      this.provider.maxCandlesPerRequest - 1,
+      Math.max(
+        100,
+        this.slowPeriod * 2,
+        getMovingAverageLookback(this.fastPeriod, this.fastMaType) * 2,
+        getMovingAverageLookback(this.slowPeriod, this.slowMaType) * 2,
+        this.rsiPeriod * 4,
+        (this.macdSettings.slowPeriod + this.macdSettings.signalPeriod) * 2,
+        (this.bollingerSettings.period + this.bollingerSettings.squeezeLookback) * 2
+      )
+    );
+    // Persistent delivery queue - fans events out to the endpoints in webhook_endpoints
+    this.webhookQueue = options.webhookQueue || new WebhookQueue();
+    // Optional PaperTradingAccount that follows the trading signals after every scan
+    this.paperTrader = options.paperTrader || null;
+    // Failure / staleness / latency alerts with recovery notifications
+    this.healthMonitor = new ScannerHealthMonitor(this, options.healthSettings);
+    this.crossoverConfirmation = new CrossoverConfirmation(this, this.confirmationSettings);
+    // Fast/slow lines carried forward bar by bar (indicator_state table)
+    this.indicatorState = new IndicatorStateTracker(this);
+    // Leader lock - one process scans this symbol / timeframe, the others stand by
+    this.lease = new ScannerLease(this);
+    this.isLeader = false;
+    // Length of the leader's lease - timers hold it until the next candle, external ticks briefly
+    this.leaseDuration = null;
+    // Optional async check of the persisted desired state (see ScanScheduler) - false stands the timers down
+    this.scheduleGuard = options.scheduleGuard || null;
+    // Set while an automatic scan runs - the next timer / tick skips instead of overlapping
+    this.scanInProgress = false;
+    // Report of the candle backfill run on start
+    this.lastBackfill = null;
     
     // Enhanced status tracking
     this.currentStatus = {
@@ -26,171 +168,180 @@ class SolanaScanner {
 
   async fetchCurrentPrice() {
     try {
-      console.log('📊 Fetching current price from Coinbase...');
-      const startTime = Date.now();
-      const response = await fetch(`${this.baseUrl}/products/${this.symbol}/ticker`);
-      const apiResponseTime = Date.now() - startTime;
+      console.log(`📊 Fetching current ${this.symbol} price from ${this.provider.name}...`);
+      const priceData = await this.provider.fetchTicker(this.symbol);
+      console.log('✅ Current price fetched successfully:', priceData.price);
       
-      if (!response.ok) {
-        throw new Error(`Coinbase API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      console.log('✅ Current price fetched successfully:', data.price);
-      
-      return {
-        price: parseFloat(data.price),
-        volume: parseFloat(data.volume_24h || 0),
-        timestamp: new Date(),
-        apiResponseTime
-      };
+      return priceData;
     } catch (error) {
       console.error('❌ Error fetching current price:', error);
       throw error;
     }
   }
 
-  async fetchHistoricalData(points = null) {
+  /**
+   * Fetches candles between two times (seconds) from the provider and upserts the closed ones
+   * Returns the closed candles, oldest first
+   */
+  async fetchCandleRange(start, end) {
     try {
-      const dataPoints = points || this.historicalDataPoints;
-      const endTime = Math.floor(Date.now() / 1000);
-      const startTime = endTime - (dataPoints * 15 * 60);
-
-      console.log(`📥 Fetching ${dataPoints} historical data points...`);
-
-      const response = await fetch(
-        `${this.baseUrl}/products/${this.symbol}/candles?start=${startTime}&end=${endTime}&granularity=900`
-      );
+      console.log(`📥 Fetching ${this.symbol} ${this.timeframe} candles from ${this.provider.name}...`);
 
-      if (!response.ok) {
-        throw new Error(`Coinbase historical API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      
-      if (!Array.isArray(data)) {
-        console.warn('⚠️ Invalid historical data format received');
-        return [];
-      }
-
-      const historicalData = data.map(candle => ({
-        timestamp: new Date(candle[0] * 1000),
-        price: parseFloat(candle[4]),
-        volume: parseFloat(candle[5])
-      })).sort((a, b) => a.timestamp - b.timestamp);
+      const candles = await this.provider.fetchCandles(this.symbol, this.granularity, { start, end });
+      await this.storeCandles(candles);
 
-      console.log(`✅ Retrieved ${historicalData.length} historical data points`);
-      return historicalData;
+      const closed = filterClosedCandles(normalizeCandles(candles), this.granularity);
+      console.log(`✅ Retrieved ${closed.length} closed candles`);
+      return closed;
     } catch (error) {
-      console.error('❌ Error fetching historical data:', error);
+      console.error('❌ Error fetching candles:', error);
       return [];
     }
   }
 
-  async getLastStoredData(limit = 50) {
+  /**
+   * Upserts fetched OHLCV bars into the candles table (the forming bar is skipped)
+   */
+  async storeCandles(candles) {
     try {
-      console.log('🔍 Fetching stored data from Supabase...');
-      
-      const { supabase } = await import('./supabase.js');
-      
-      const { data, error } = await supabase
-        .from('sol_price_data')
-        .select('*')
-        .order('timestamp', { ascending: false })
-        .limit(limit);
+      const stored = await upsertCandles({
+        symbol: this.symbol,
+        granularity: this.granularity,
+        candles,
+        source: this.provider.name
+      });
 
-      if (error) {
-        console.error('❌ Supabase fetch error:', error);
-        return [];
+      if (stored > 0) {
+        console.log(`🕯️ Stored ${stored} ${this.symbol} ${this.timeframe} candles`);
       }
-
-      console.log(`📊 Retrieved ${data?.length || 0} stored records`);
-      return data ? data.reverse() : [];
+      return stored;
     } catch (error) {
-      console.error('❌ Error fetching stored data:', error);
-      return [];
+      console.log('Note: Could not store candles:', error.message);
+      return 0;
     }
   }
 
-  async getCombinedPriceData() {
+  /**
+   * Risk level columns stored with a signal (all null when ATR is unavailable)
+   */
+  getRiskLevels(price, direction, atr) {
+    const levels = calculateRiskLevels(price, direction, atr, this.atrSettings);
+
+    return {
+      atr: levels?.atr ?? null,
+      atr_period: levels ? this.atrSettings.period : null,
+      stop_loss: levels?.stopLoss ?? null,
+      take_profit: levels?.takeProfit ?? null,
+      risk_reward: levels?.riskReward ?? null
+    };
+  }
+
+  /**
+   * Risk levels for the webhook next_action block
+   */
+  toRiskPayload(signalData) {
+    if (signalData.stop_loss === null || signalData.stop_loss === undefined) return {};
+
+    return {
+      stop_loss: signalData.stop_loss,
+      take_profit: signalData.take_profit,
+      risk_reward: signalData.risk_reward,
+      atr: signalData.atr,
+      atr_period: signalData.atr_period,
+      atr_multiples: {
+        stop_loss: this.atrSettings.stopMultiplier,
+        take_profit: this.atrSettings.takeProfitMultiplier
+      }
+    };
+  }
+
+  /**
+   * Detects holes in the stored candle history and fills them from the exchange
+   */
+  async backfillCandleHistory(options = {}) {
     try {
-      const storedData = await this.getLastStoredData(50);
-      
-      let historicalData = [];
-      let combinedData = [];
+      const report = await backfillCandles({
+        symbol: this.symbol,
+        granularity: this.granularity,
+        provider: this.provider,
+        maxCandles: Math.max(this.historicalDataPoints, DEFAULT_BACKFILL_CANDLES),
+        ...options
+      });
 
-      if (storedData.length === 0) {
-        console.log('📥 No stored data - fetching full historical dataset...');
-        historicalData = await this.fetchHistoricalData(this.historicalDataPoints);
-        combinedData = historicalData.map(item => item.price);
-      } else {
-        console.log(`📊 Found ${storedData.length} stored records`);
-        const neededPoints = Math.max(0, this.ema25Period - storedData.length);
-        
-        if (neededPoints > 0) {
-          console.log(`📥 Need ${neededPoints} more historical points for EMA25...`);
-          historicalData = await this.fetchHistoricalData(neededPoints + 10);
-          
-          if (historicalData.length > 0) {
-            const latestStoredTime = new Date(storedData[storedData.length - 1].timestamp);
-            const filteredHistorical = historicalData.filter(item => 
-              item.timestamp < latestStoredTime
-            );
-            
-            combinedData = [
-              ...filteredHistorical.map(item => item.price),
-              ...storedData.map(item => parseFloat(item.price))
-            ];
-          } else {
-            combinedData = storedData.map(item => parseFloat(item.price));
-          }
-        } else {
-          combinedData = storedData.map(item => parseFloat(item.price));
-        }
+      console.log(`🧩 ${this.symbol} ${this.timeframe} backfill: ${report.missingBefore} missing in ${report.gaps.length} gap(s), ${report.filled} filled with ${report.requests} request(s)`);
+      if (report.errors.length > 0) {
+        console.error(`❌ ${this.symbol} backfill errors:`, report.errors.map(error => error.error).join('; '));
       }
 
-      console.log(`📊 Combined dataset: ${combinedData.length} price points`);
-      return {
-        prices: combinedData,
-        storedCount: storedData.length,
-        historicalCount: historicalData.length
-      };
+      return report;
     } catch (error) {
-      console.error('❌ Error combining price data:', error);
-      return { prices: [], storedCount: 0, historicalCount: 0 };
+      console.error(`❌ Candle backfill failed for ${this.symbol}:`, error.message);
+      return null;
     }
   }
 
-  calculateEMA(prices, period) {
-    if (!Array.isArray(prices) || prices.length < period) {
-      console.log(`⚠️ Insufficient data for EMA${period}: ${prices?.length || 0} < ${period}`);
-      return null;
+  async getStoredCandles(from) {
+    try {
+      return await loadCandles({
+        symbol: this.symbol,
+        granularity: this.granularity,
+        from: new Date(from * 1000),
+        limit: this.historicalDataPoints
+      });
+    } catch (error) {
+      console.log('Note: Could not load stored candles:', error.message);
+      return [];
     }
+  }
+
+  /**
+   * Closed bars on a strict time grid, ending with the last closed candle.
+   * Bars missing from the candles table are fetched from the provider (and stored);
+   * if a hole remains the series starts after it, so indicators never span a gap.
+   */
+  async getCandleSeries(now = new Date()) {
+    const lastClosedOpen = candleOpenTime(now, this.granularity) - this.granularity;
+    const firstOpen = lastClosedOpen - (this.historicalDataPoints - 1) * this.granularity;
 
-    const multiplier = 2 / (period + 1);
-    let ema = prices.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
+    const stored = await this.getStoredCandles(firstOpen);
+    const firstMissing = findFirstMissingOpen(stored, this.granularity, firstOpen, lastClosedOpen);
 
-    for (let i = period; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
+    let fetched = [];
+    if (firstMissing !== null) {
+      console.log(`📥 ${this.symbol} candles missing from ${new Date(firstMissing * 1000).toISOString()}`);
+      fetched = await this.fetchCandleRange(firstMissing, lastClosedOpen + this.granularity);
     }
 
-    return ema;
+    const candles = alignCandles([...stored, ...fetched], this.granularity, lastClosedOpen);
+
+    console.log(`📊 Price series: ${candles.length} closed ${this.timeframe} candles (${stored.length} stored, ${fetched.length} fetched)`);
+    return {
+      candles,
+      lastClosedOpen,
+      storedCount: stored.length,
+      historicalCount: fetched.length
+    };
   }
 
-  detectEMACrossover(currentEMA12, currentEMA25, previousEMA12, previousEMA25) {
-    if (!previousEMA12 || !previousEMA25 || !currentEMA12 || !currentEMA25) {
-      return null;
-    }
+  /**
+   * "HMA9/EMA21" - signals are grouped by this label so stats don't mix configurations
+   */
+  get maConfig() {
+    return movingAverageConfigLabel(this.fastMaType, this.fastPeriod, this.slowMaType, this.slowPeriod);
+  }
 
-    if (previousEMA12 <= previousEMA25 && currentEMA12 > currentEMA25) {
-      return 'bullish';
-    }
-    
-    if (previousEMA12 >= previousEMA25 && currentEMA12 < currentEMA25) {
-      return 'bearish';
-    }
+  /**
+   * Moving average types stored next to ema_12 / ema_25
+   */
+  getMAColumns() {
+    return {
+      ma_fast_type: this.fastMaType,
+      ma_slow_type: this.slowMaType
+    };
+  }
 
-    return null;
+  detectEMACrossover(currentFastEMA, currentSlowEMA, previousFastEMA, previousSlowEMA) {
+    return detectEMACrossover(currentFastEMA, currentSlowEMA, previousFastEMA, previousSlowEMA);
   }
 
   async storePriceData(priceData) {
@@ -201,7 +352,7 @@ class SolanaScanner {
 
       const { error } = await supabase
         .from('sol_price_data')
-        .insert([priceData]);
+        .insert([{ symbol: this.symbol, granularity: this.granularity, ...priceData }]);
 
       if (error) {
         console.error('❌ Error storing price data:', error);
@@ -223,7 +374,7 @@ class SolanaScanner {
 
       const { error } = await supabase
         .from('ema_signals')
-        .insert([signalData]);
+        .insert([{ symbol: this.symbol, granularity: this.granularity, indicator: 'ema', rule: 'crossover', ...signalData }]);
 
       if (error) {
         console.error('❌ Error storing EMA signal:', error);
@@ -238,14 +389,37 @@ class SolanaScanner {
   }
 
   /**
-   * NEW: Send webhook notification for EMA crossover signals
+   * Whether this signal (same bar open time, indicator, rule and direction) is already stored
+   * Keyed on the bar rather than the signal timestamp - intrabar signals carry the ticker time,
+   * which differs on every scan of the same forming bar
    */
-  async sendWebhookNotification(signalData, priceData, emaData) {
-    if (!this.webhookUrl) {
-      console.log('⚠️ No webhook URL configured, skipping notification');
-      return null;
+  async isSignalStored(signalData) {
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data, error } = await supabase
+        .from('ema_signals')
+        .select('id')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('bar_time', signalData.bar_time)
+        .eq('indicator', signalData.indicator || 'ema')
+        .eq('rule', signalData.rule || 'crossover')
+        .eq('signal_type', signalData.signal_type)
+        .limit(1);
+
+      if (error) throw error;
+      return (data || []).length > 0;
+    } catch (error) {
+      console.log('Note: Could not check for an existing signal:', error.message);
+      return false;
     }
+  }
 
+  /**
+   * NEW: Send webhook notification for EMA crossover signals
+   */
+  async sendWebhookNotification(signalData, priceData, emaData) {
     try {
       console.log('🔗 Sending webhook notification...');
       
@@ -253,77 +427,193 @@ class SolanaScanner {
         event: 'ema_crossover_detected',
         timestamp: new Date().toISOString(),
         symbol: this.symbol,
+        timeframe: this.timeframe,
+        exchange: this.provider.name,
         signal: {
           type: signalData.signal_type,
           direction: signalData.signal_type === 'bullish' ? 'BUY' : 'SELL',
-          confidence: 'CONFIRMED' // EMA crossover is confirmed signal
+          // CONFIRMED, or LOW when the crossover goes against an RSI extreme
+          confidence: signalData.confidence || 'CONFIRMED',
+          ...(signalData.confidence_reason && { confidence_reason: signalData.confidence_reason })
         },
         price: {
           current: priceData.price,
           volume_24h: priceData.volume
         },
         technical_analysis: {
-          ema_12: emaData.ema12,
-          ema_25: emaData.ema25,
-          previous_ema_12: emaData.previousEMA12,
-          previous_ema_25: emaData.previousEMA25,
-          crossover_strength: Math.abs(emaData.ema12 - emaData.ema25).toFixed(4)
+          ema_12: emaData.fastEMA,
+          ema_25: emaData.slowEMA,
+          previous_ema_12: emaData.previousFastEMA,
+          previous_ema_25: emaData.previousSlowEMA,
+          ema_fast_period: this.fastPeriod,
+          ema_slow_period: this.slowPeriod,
+          ...this.getMAColumns(),
+          ma_config: this.maConfig,
+          rsi: emaData.rsi,
+          rsi_period: this.rsiPeriod,
+          rsi_state: getRSIState(emaData.rsi, this.rsiFilter),
+          bollinger: this.toBollingerPayload(emaData.bollinger),
+          crossover_strength: Math.abs(emaData.fastEMA - emaData.slowEMA).toFixed(4)
         },
         context: {
           scan_type: signalData.scan_type || 'automatic',
+          evaluation_mode: signalData.evaluation_mode || this.evaluationMode,
+          bar_time: signalData.bar_time || null,
+          signal_price: signalData.price,
+          ...(signalData.crossover_bar_time && {
+            crossover_bar_time: signalData.crossover_bar_time,
+            confirmation_bars: signalData.confirmation_bars
+          }),
           data_points_used: emaData.dataPoints,
           api_response_time_ms: priceData.apiResponseTime
         },
         next_action: {
           suggested: signalData.signal_type === 'bullish' ? 'ANALYZE_FOR_ENTRY' : 'ANALYZE_FOR_EXIT',
-          webhook_id: `sol_${Date.now()}_${signalData.signal_type}`
+          webhook_id: `${this.symbol.toLowerCase()}_${Date.now()}_${signalData.signal_type}`,
+          ...this.toRiskPayload(signalData)
         }
       };
 
       console.log('Webhook payload:', JSON.stringify(webhookPayload, null, 2));
 
-      const response = await fetch(this.webhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'BOB13-Solana-Scanner/1.0'
-        },
-        body: JSON.stringify(webhookPayload)
-      });
+      // Failed deliveries stay queued and are retried with backoff
+      const result = await this.webhookQueue.publish(
+        signalData.signal_type,
+        webhookPayload,
+        webhookPayload.next_action.webhook_id
+      );
 
-      const responseText = await response.text();
-      
-      // Log webhook response to database if webhook_responses table exists
-      try {
-        const { supabase } = await import('./supabase.js');
-        await supabase.from('webhook_responses').insert([{
-          webhook_url: this.webhookUrl,
-          payload: webhookPayload,
-          response_status: response.status,
-          response_body: responseText,
-          timestamp: new Date().toISOString()
-        }]);
-      } catch (dbError) {
-        console.log('Note: Could not log webhook response to database:', dbError.message);
+      if (!result) {
+        return null;
       }
 
-      if (response.ok) {
+      if (result.success) {
         console.log('✅ Webhook sent successfully');
-        console.log('Response status:', response.status);
-        console.log('Response:', responseText);
-        return { success: true, status: response.status, response: responseText };
+        console.log('Response status:', result.status);
+        console.log('Response:', result.response);
       } else {
         console.error('❌ Webhook failed');
-        console.error('Status:', response.status);
-        console.error('Response:', responseText);
-        return { success: false, status: response.status, error: responseText };
+        console.error('Status:', result.status);
+        console.error('Response:', result.error);
       }
+
+      return result;
     } catch (error) {
       console.error('❌ Error sending webhook:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Bollinger block of the webhook technical_analysis section
+   */
+  toBollingerPayload(bollinger) {
+    if (!bollinger) return null;
+
+    return {
+      upper: bollinger.upper,
+      middle: bollinger.middle,
+      lower: bollinger.lower,
+      bandwidth: bollinger.bandwidth,
+      percent_b: bollinger.percentB,
+      period: this.bollingerSettings.period,
+      std_dev: this.bollingerSettings.stdDev,
+      squeeze: bollinger.squeeze,
+      breakout: bollinger.breakout,
+      squeeze_breakout: bollinger.squeezeBreakout
+    };
+  }
+
+  /**
+   * Sends MACD signals to endpoints subscribed to macd_bullish / macd_bearish
+   */
+  async sendMACDNotification(signalData, priceData, macd, bollinger = null) {
+    try {
+      const timestamp = new Date();
+      const webhookId = `${this.symbol.toLowerCase()}_${timestamp.getTime()}_macd_${signalData.rule}_${signalData.signal_type}`;
+
+      return await this.webhookQueue.publish(`macd_${signalData.signal_type}`, {
+        event: 'macd_signal_detected',
+        timestamp: timestamp.toISOString(),
+        symbol: this.symbol,
+        timeframe: this.timeframe,
+        exchange: this.provider.name,
+        signal: {
+          type: signalData.signal_type,
+          direction: signalData.signal_type === 'bullish' ? 'BUY' : 'SELL',
+          indicator: 'macd',
+          rule: signalData.rule,
+          confidence: signalData.confidence
+        },
+        price: {
+          current: priceData.price,
+          volume_24h: priceData.volume
+        },
+        technical_analysis: {
+          macd: macd.macd,
+          macd_signal: macd.signal,
+          macd_histogram: macd.histogram,
+          previous_macd: macd.previousMacd,
+          previous_macd_histogram: macd.previousHistogram,
+          macd_periods: [this.macdSettings.fastPeriod, this.macdSettings.slowPeriod, this.macdSettings.signalPeriod],
+          ema_12: signalData.ema_12,
+          ema_25: signalData.ema_25,
+          ema_fast_period: this.fastPeriod,
+          ema_slow_period: this.slowPeriod,
+          rsi: signalData.rsi,
+          rsi_period: this.rsiPeriod,
+          rsi_state: getRSIState(signalData.rsi, this.rsiFilter),
+          bollinger: this.toBollingerPayload(bollinger)
+        },
+        context: {
+          scan_type: signalData.scan_type || 'automatic',
+          evaluation_mode: signalData.evaluation_mode || this.evaluationMode,
+          bar_time: signalData.bar_time || null,
+          signal_price: signalData.price,
+          api_response_time_ms: priceData.apiResponseTime
+        },
+        next_action: {
+          suggested: signalData.signal_type === 'bullish' ? 'ANALYZE_FOR_ENTRY' : 'ANALYZE_FOR_EXIT',
+          webhook_id: webhookId,
+          ...this.toRiskPayload(signalData)
+        }
+      }, webhookId);
+    } catch (error) {
+      console.error('❌ Error sending MACD webhook:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Notifies endpoints subscribed to scanner lifecycle events
+   * (scanner_started, scanner_stopped, scanner_error)
+   */
+  async notifyScannerEvent(event, details = {}) {
+    try {
+      const timestamp = new Date();
+
+      return await this.webhookQueue.publish(event, {
+        event,
+        timestamp: timestamp.toISOString(),
+        symbol: this.symbol,
+        timeframe: this.timeframe,
+        exchange: this.provider.name,
+        scanner: {
+          isRunning: this.currentStatus.isRunning,
+          startedAt: this.currentStatus.startedAt,
+          lastScanAt: this.currentStatus.lastScanAt,
+          scanCount: this.currentStatus.scanCount,
+          emaPeriods: [this.fastPeriod, this.slowPeriod],
+          maConfig: this.maConfig
+        },
+        details
+      }, `${this.symbol.toLowerCase()}_${timestamp.getTime()}_${event}`);
+    } catch (error) {
+      console.error(`❌ Error sending ${event} webhook:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * ENHANCED: Get current signal status and time since last crossover
    */
@@ -335,6 +625,9 @@ class SolanaScanner {
       const { data: latestSignal } = await supabase
         .from('ema_signals')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('indicator', 'ema')
         .order('timestamp', { ascending: false })
         .limit(1)
         .single();
@@ -383,6 +676,8 @@ class SolanaScanner {
       
       const statusData = {
         scan_type: 'scanner_status_update',
+        symbol: this.symbol,
+        granularity: this.granularity,
         timestamp: new Date().toISOString(),
         status: status,
         total_scanned: this.currentStatus.scanCount,
@@ -397,13 +692,16 @@ class SolanaScanner {
             nextScanAt: this.currentStatus.nextScanAt,
             scanCount: this.currentStatus.scanCount,
             scanInterval: this.scanInterval,
+            scanOffsetSeconds: this.scanOffsetSeconds,
+            symbol: this.symbol,
+            timeframe: this.timeframe,
             ...additionalData
           }
         }
       };
 
       await supabase.from('scan_history').insert([statusData]);
-      console.log(`📊 Scanner status updated: ${status}`);
+      console.log(`📊 Scanner status updated (${this.symbol}): ${status}`);
     } catch (error) {
       console.error('❌ Error updating scanner status:', error);
     }
@@ -417,6 +715,8 @@ class SolanaScanner {
         .from('scan_history')
         .select('*')
         .eq('scan_type', 'scanner_status_update')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
         .order('timestamp', { ascending: false })
         .limit(1)
         .single();
@@ -426,7 +726,7 @@ class SolanaScanner {
         
         if (savedStatus.isRunning && savedStatus.lastScanAt) {
           const lastScan = new Date(savedStatus.lastScanAt);
-          const nextScan = new Date(lastScan.getTime() + this.scanInterval);
+          const nextScan = this.getNextScanTime(lastScan);
           const now = new Date();
           
           return {
@@ -471,6 +771,8 @@ class SolanaScanner {
       
       const mappedData = {
         scan_type: scanData.scan_type || 'manual',
+        symbol: this.symbol,
+        granularity: this.granularity,
         timestamp: scanData.timestamp || new Date().toISOString(),
         status: scanData.status || 'unknown',
         total_scanned: scanData.data_points || 0,
@@ -482,18 +784,32 @@ class SolanaScanner {
           volume: scanData.volume,
           ema_12: scanData.ema_12,
           ema_25: scanData.ema_25,
+          rsi: scanData.rsi,
+          macd: scanData.macd || null,
+          bollinger: scanData.bollinger || null,
           crossover_detected: scanData.crossover_detected,
+          raw_crossover: scanData.raw_crossover || null,
+          crossover_confirmation: scanData.crossover_confirmation || null,
+          rsi_filter: scanData.rsi_filter || null,
+          macd_signals: scanData.macd_signals || [],
           data_points: scanData.data_points,
+          ma_state: scanData.ma_state || null,
+          evaluation_mode: scanData.evaluation_mode || null,
+          bar_time: scanData.bar_time || null,
           historical_count: scanData.historical_count,
           stored_count: scanData.stored_count,
           error_message: scanData.error_message,
           execution_time_ms: scanData.execution_time_ms,
           api_response_time_ms: scanData.api_response_time_ms,
           webhook_sent: scanData.webhook_sent || false,
+          webhook_delivery_id: scanData.webhook_delivery_id || null,
           scanner_metadata: {
             version: '2.0',
-            ema_periods: [12, 25],
-            symbol: 'SOL-USD',
+            ema_periods: [this.fastPeriod, this.slowPeriod],
+            ma_config: this.maConfig,
+            symbol: this.symbol,
+            granularity: this.granularity,
+            exchange: this.provider.name,
             scan_count: this.currentStatus.scanCount
           }
         }
@@ -524,6 +840,8 @@ class SolanaScanner {
         .from('scan_history')
         .select('*')
         .not('scan_type', 'eq', 'scanner_status_update')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
         .order('timestamp', { ascending: false })
         .limit(limit);
 
@@ -535,12 +853,15 @@ class SolanaScanner {
       const mappedData = data?.map(record => ({
         id: record.id,
         scan_type: record.scan_type,
+        symbol: record.symbol,
+        granularity: record.granularity,
         timestamp: record.timestamp,
         status: record.status,
         price: record.details?.price,
         volume: record.details?.volume,
         ema_12: record.details?.ema_12,
         ema_25: record.details?.ema_25,
+        rsi: record.details?.rsi,
         crossover_detected: record.details?.crossover_detected,
         data_points: record.details?.data_points || record.total_scanned,
         historical_count: record.details?.historical_count,
@@ -563,42 +884,92 @@ class SolanaScanner {
     const scanStartTime = Date.now();
     const scanTimestamp = new Date();
     let webhookSent = false;
+    let webhookDeliveryId = null;
 
     try {
-      console.log(`🔍 === Starting ${scanType} Solana scan at ${scanTimestamp.toISOString()} ===`);
+      console.log(`🔍 === Starting ${scanType} ${this.symbol} scan at ${scanTimestamp.toISOString()} ===`);
 
       this.currentStatus.scanCount++;
       this.currentStatus.lastScanAt = scanTimestamp.toISOString();
       
       if (scanType === 'automatic') {
-        this.currentStatus.nextScanAt = new Date(scanTimestamp.getTime() + this.scanInterval).toISOString();
+        this.currentStatus.nextScanAt = this.getNextScanTime(scanTimestamp).toISOString();
       }
 
       const currentPriceData = await this.fetchCurrentPrice();
-      const combinedData = await this.getCombinedPriceData();
-      const allPrices = [...combinedData.prices, currentPriceData.price];
+      const series = await this.getCandleSeries(scanTimestamp);
+      const lastBar = series.candles[series.candles.length - 1] || null;
+      const intrabar = this.evaluationMode === 'intrabar';
+
+      // Closed mode evaluates the last closed bar; intrabar appends the live price as the forming bar
+      const allPrices = [
+        ...series.candles.map(candle => candle.close),
+        ...(intrabar ? [currentPriceData.price] : [])
+      ];
+      const barOpenTime = intrabar || !lastBar
+        ? new Date((series.lastClosedOpen + this.granularity) * 1000)
+        : lastBar.timestamp;
+      const signalTime = intrabar || !lastBar
+        ? currentPriceData.timestamp
+        : new Date(lastBar.timestamp.getTime() + this.granularity * 1000);
+      const signalPrice = intrabar || !lastBar ? currentPriceData.price : lastBar.close;
+
+      // Fast/slow lines keep their EMA names - they hold whichever moving average is configured
+      const lines = await this.indicatorState.calculateLines(
+        series.candles,
+        intrabar ? currentPriceData.price : null
+      );
+      const fastEMA = lines.fast.current;
+      const slowEMA = lines.slow.current;
+      const previousFastEMA = lines.fast.previous;
+      const previousSlowEMA = lines.slow.previous;
 
-      let ema12 = null, ema25 = null, previousEMA12 = null, previousEMA25 = null;
+      if (fastEMA === null || slowEMA === null) {
+        console.log(`⚠️ Insufficient data for ${this.maConfig}: ${allPrices.length} prices`);
+      }
 
-      if (allPrices.length >= this.ema12Period) {
-        ema12 = this.calculateEMA(allPrices, this.ema12Period);
-        if (allPrices.length > this.ema12Period) {
-          previousEMA12 = this.calculateEMA(allPrices.slice(0, -1), this.ema12Period);
-        }
+      const rsi = calculateRSI(allPrices, this.rsiPeriod);
+      const macd = calculateMACD(allPrices, this.macdSettings);
+      const macdSignals = detectMACDSignals(macd);
+      const bollinger = calculateBollingerBands(allPrices, this.bollingerSettings);
+      const volatility = {
+        bb_squeeze: bollinger?.squeeze ?? null,
+        bb_breakout: bollinger?.breakout ?? null
+      };
+
+      if (bollinger?.squeezeBreakout) {
+        console.log(`💥 ${this.symbol} Bollinger squeeze breakout: ${bollinger.breakout.toUpperCase()}`);
       }
 
-      if (allPrices.length >= this.ema25Period) {
-        ema25 = this.calculateEMA(allPrices, this.ema25Period);
-        if (allPrices.length > this.ema25Period) {
-          previousEMA25 = this.calculateEMA(allPrices.slice(0, -1), this.ema25Period);
+      const atr = calculateATR(series.candles, this.atrSettings.period);
+
+      let rawCrossover = null;
+      if (fastEMA && slowEMA && previousFastEMA && previousSlowEMA) {
+        rawCrossover = this.detectEMACrossover(fastEMA, slowEMA, previousFastEMA, previousSlowEMA);
+        if (rawCrossover) {
+          console.log(`🚨 ${this.symbol} EMA Crossover: ${rawCrossover.toUpperCase()}!`);
         }
       }
 
-      let crossover = null;
-      if (ema12 && ema25 && previousEMA12 && previousEMA25) {
-        crossover = this.detectEMACrossover(ema12, ema25, previousEMA12, previousEMA25);
-        if (crossover) {
-          console.log(`🚨 EMA Crossover: ${crossover.toUpperCase()}!`);
+      // Only confirmed crossovers become signals
+      let crossover = rawCrossover;
+      let confirmation = null;
+      if (this.crossoverConfirmation.enabled && fastEMA && slowEMA) {
+        confirmation = await this.crossoverConfirmation.process(rawCrossover, {
+          fastEMA,
+          slowEMA,
+          price: signalPrice,
+          atr,
+          barOpen: barOpenTime
+        });
+        crossover = confirmation.confirmed?.signal_type || null;
+      }
+
+      let rsiFilter = null;
+      if (crossover) {
+        rsiFilter = evaluateRSIFilter(crossover, rsi, this.rsiFilter);
+        if (rsiFilter.action !== 'allow') {
+          console.log(`⚠️ ${this.symbol} crossover ${rsiFilter.action === 'suppress' ? 'suppressed' : 'down-ranked'}: ${rsiFilter.reason}`);
         }
       }
 
@@ -606,31 +977,102 @@ class SolanaScanner {
         timestamp: currentPriceData.timestamp.toISOString(),
         price: currentPriceData.price,
         volume: currentPriceData.volume,
-        ema_12: ema12,
-        ema_25: ema25
+        ema_12: fastEMA,
+        ema_25: slowEMA,
+        ema_fast_period: this.fastPeriod,
+        ema_slow_period: this.slowPeriod,
+        ...this.getMAColumns(),
+        rsi,
+        rsi_period: this.rsiPeriod,
+        macd: macd?.macd ?? null,
+        macd_signal: macd?.signal ?? null,
+        macd_histogram: macd?.histogram ?? null,
+        bb_upper: bollinger?.upper ?? null,
+        bb_middle: bollinger?.middle ?? null,
+        bb_lower: bollinger?.lower ?? null,
+        bb_bandwidth: bollinger?.bandwidth ?? null,
+        ...volatility,
+        bar_time: barOpenTime.toISOString(),
+        evaluation_mode: this.evaluationMode
       });
 
-      if (crossover && ema12 && ema25) {
+      const barContext = {
+        bar_time: barOpenTime.toISOString(),
+        evaluation_mode: this.evaluationMode
+      };
+
+      if (crossover && fastEMA && slowEMA && rsiFilter.action !== 'suppress') {
         const signalData = {
-          timestamp: currentPriceData.timestamp.toISOString(),
+          timestamp: signalTime.toISOString(),
           signal_type: crossover,
-          price: currentPriceData.price,
-          ema_12: ema12,
-          ema_25: ema25,
-          previous_ema_12: previousEMA12,
-          previous_ema_25: previousEMA25,
+          price: signalPrice,
+          ema_12: fastEMA,
+          ema_25: slowEMA,
+          previous_ema_12: previousFastEMA,
+          previous_ema_25: previousSlowEMA,
+          ema_fast_period: this.fastPeriod,
+          ema_slow_period: this.slowPeriod,
+          ...this.getMAColumns(),
+          rsi,
+          rsi_period: this.rsiPeriod,
+          confidence: rsiFilter.confidence,
+          ...volatility,
+          ...this.getRiskLevels(signalPrice, crossover, atr),
+          ...barContext,
+          ...(confirmation?.confirmed && {
+            crossover_bar_time: confirmation.confirmed.bar_time,
+            confirmation_bars: confirmation.evaluation.barsHeld
+          }),
           scan_type: scanType
         };
 
-        await this.storeEMASignal(signalData);
+        // A bar is evaluated on every scan until the next one closes - closed or still forming
+        if (await this.isSignalStored(signalData)) {
+          console.log(`⏭️ ${this.symbol} ${crossover} crossover of this bar already recorded`);
+        } else {
+          await this.storeEMASignal(signalData);
+
+          const webhookResult = await this.sendWebhookNotification(
+            { ...signalData, confidence_reason: rsiFilter.reason },
+            currentPriceData,
+            { fastEMA, slowEMA, previousFastEMA, previousSlowEMA, rsi, bollinger, dataPoints: allPrices.length }
+          );
+
+          webhookSent = webhookResult?.success || false;
+          webhookDeliveryId = webhookResult?.deliveryId || null;
+        }
+      }
+
+      for (const macdSignal of macdSignals) {
+        console.log(`🚨 ${this.symbol} MACD ${macdSignal.rule}: ${macdSignal.type.toUpperCase()}!`);
 
-        const webhookResult = await this.sendWebhookNotification(
-          signalData, 
-          currentPriceData, 
-          { ema12, ema25, previousEMA12, previousEMA25, dataPoints: allPrices.length }
-        );
+        const signalData = {
+          timestamp: signalTime.toISOString(),
+          signal_type: macdSignal.type,
+          indicator: 'macd',
+          rule: macdSignal.rule,
+          price: signalPrice,
+          ema_12: fastEMA,
+          ema_25: slowEMA,
+          ema_fast_period: this.fastPeriod,
+          ema_slow_period: this.slowPeriod,
+          ...this.getMAColumns(),
+          macd: macd.macd,
+          macd_signal: macd.signal,
+          macd_histogram: macd.histogram,
+          rsi,
+          rsi_period: this.rsiPeriod,
+          confidence: 'CONFIRMED',
+          ...volatility,
+          ...this.getRiskLevels(signalPrice, macdSignal.type, atr),
+          ...barContext,
+          scan_type: scanType
+        };
+
+        if (await this.isSignalStored(signalData)) continue;
 
-        webhookSent = webhookResult?.success || false;
+        await this.storeEMASignal(signalData);
+        await this.sendMACDNotification(signalData, currentPriceData, macd, bollinger);
       }
 
       const executionTime = Date.now() - scanStartTime;
@@ -641,15 +1083,32 @@ class SolanaScanner {
         status: 'success',
         price: currentPriceData.price,
         volume: currentPriceData.volume,
-        ema_12: ema12,
-        ema_25: ema25,
+        ema_12: fastEMA,
+        ema_25: slowEMA,
+        rsi,
         crossover_detected: crossover,
+        raw_crossover: rawCrossover,
+        crossover_confirmation: confirmation?.evaluation
+          ? {
+            status: confirmation.evaluation.status,
+            reason: confirmation.evaluation.reason,
+            bars_held: confirmation.evaluation.barsHeld
+          }
+          : null,
+        rsi_filter: rsiFilter,
+        macd,
+        macd_signals: macdSignals,
+        bollinger,
         data_points: allPrices.length,
-        historical_count: combinedData.historicalCount,
-        stored_count: combinedData.storedCount,
+        ma_state: lines.mode,
+        evaluation_mode: this.evaluationMode,
+        bar_time: barOpenTime.toISOString(),
+        historical_count: series.historicalCount,
+        stored_count: series.storedCount,
         execution_time_ms: executionTime,
         api_response_time_ms: currentPriceData.apiResponseTime,
-        webhook_sent: webhookSent
+        webhook_sent: webhookSent,
+        webhook_delivery_id: webhookDeliveryId
       });
 
       if (scanType === 'automatic') {
@@ -660,15 +1119,55 @@ class SolanaScanner {
         });
       }
 
-      return {
+      try {
+        await this.webhookQueue.processDue();
+      } catch (queueError) {
+        console.error('❌ Webhook retry processing failed:', queueError.message);
+      }
+
+      try {
+        await updateSignalOutcomes({ symbol: this.symbol, granularity: this.granularity, limit: 20 });
+      } catch (outcomeError) {
+        console.error(`❌ Signal outcome update failed for ${this.symbol}:`, outcomeError.message);
+      }
+
+      if (this.paperTrader) {
+        try {
+          await this.paperTrader.followSignals(this, { atr });
+        } catch (paperError) {
+          console.error(`❌ Paper trading failed for ${this.symbol}:`, paperError.message);
+        }
+      }
+
+      const result = {
         success: true,
+        symbol: this.symbol,
+        timeframe: this.timeframe,
         price: currentPriceData.price,
-        ema12, ema25, crossover,
+        ema12: fastEMA,
+        ema25: slowEMA,
+        emaPeriods: [this.fastPeriod, this.slowPeriod],
+        maConfig: this.maConfig,
+        maState: lines.mode,
+        rsi,
+        rsiPeriod: this.rsiPeriod,
+        macd,
+        bollinger,
+        crossover,
+        rawCrossover,
+        pendingCrossover: confirmation?.pending || null,
+        rsiFilter,
+        macdSignals,
+        atr,
         dataPoints: allPrices.length,
         executionTime,
+        apiResponseTime: currentPriceData.apiResponseTime,
         webhookSent
       };
 
+      await this.recordHealth(result);
+      return result;
+
     } catch (error) {
       console.error('❌ === Scan failed ===', error);
       
@@ -686,46 +1185,203 @@ class SolanaScanner {
         await this.updateScannerStatus('error', { lastError: error.message });
       }
 
-      return { success: false, error: error.message, executionTime };
+      await this.notifyScannerEvent('scanner_error', { scanType, error: error.message, executionTime });
+
+      const result = { success: false, symbol: this.symbol, error: error.message, executionTime };
+      await this.recordHealth(result);
+      return result;
     }
   }
 
+  async recordHealth(result) {
+    try {
+      await this.healthMonitor.recordScan(result);
+    } catch (healthError) {
+      console.error(`❌ Health check failed for ${this.symbol}:`, healthError.message);
+    }
+  }
+
+  /**
+   * Continues the persisted run (start time, scan count) in a fresh process
+   */
+  restoreStatus(status) {
+    this.currentStatus.isRunning = true;
+    this.currentStatus.startedAt = status.startedAt || this.currentStatus.startedAt || new Date().toISOString();
+    this.currentStatus.scanCount = Math.max(this.currentStatus.scanCount, status.scanCount || 0);
+    this.currentStatus.lastScanAt = status.lastScanAt || this.currentStatus.lastScanAt;
+  }
+
+  /**
+   * Next candle boundary + scanOffsetSeconds after `from`
+   */
+  getNextScanTime(from = new Date()) {
+    return nextScanTime(from, this.granularity, this.scanOffsetSeconds);
+  }
+
+  /**
+   * Arms a one-shot timer for the next candle-aligned scan
+   * Re-armed from the wall clock after every scan, so late timers and slow scans never accumulate drift
+   */
+  scheduleNextScan() {
+    const scheduledAt = this.getNextScanTime();
+
+    clearTimeout(this.currentStatus.intervalId);
+    this.currentStatus.nextScanAt = scheduledAt.toISOString();
+    this.currentStatus.intervalId = setTimeout(() => this.runScheduledScan(scheduledAt), scheduledAt - Date.now());
+    return this.currentStatus.intervalId;
+  }
+
+  async runScheduledScan(scheduledAt) {
+    if (!this.currentStatus.isRunning) return;
+
+    // Fired early (system clock adjusted) - wait for the rest instead of scanning the forming candle
+    if (Date.now() < scheduledAt.getTime()) {
+      this.currentStatus.intervalId = setTimeout(() => this.runScheduledScan(scheduledAt), scheduledAt - Date.now());
+      return;
+    }
+
+    console.log(`⏰ Scheduled automatic ${this.symbol} scan triggered (${Date.now() - scheduledAt.getTime()}ms after ${scheduledAt.toISOString()})`);
+    await this.scanPriceAutomatic();
+
+    if (this.currentStatus.isRunning) {
+      this.scheduleNextScan();
+    }
+  }
+
+  /**
+   * Manual scans share the overlap guard and the lease with automatic ones - a process that
+   * doesn't hold a live lease takes a short one for this scan and hands it back afterwards;
+   * the leader re-takes an expired lease for its usual length
+   */
   async scanPriceManual() {
-    return await this.scanPrice('manual');
+    if (this.scanInProgress) {
+      console.log(`⏭️ ${this.symbol} manual scan skipped - a scan is already running`);
+      return { success: false, skipped: true, reason: 'previous_scan_running' };
+    }
+
+    this.scanInProgress = true;
+    let borrowed = false;
+
+    try {
+      const holder = await this.lease.getHolder();
+
+      // The leader scans under its own lease - renewing it here would change its length
+      if (!holder?.heldByThisProcess || holder.expired) {
+        borrowed = await this.lease.acquire(this.isLeader ? this.leaseDuration ?? this.lease.duration : LEASE_GRACE_MS);
+
+        if (!borrowed) {
+          const current = await this.lease.getHolder();
+          console.log(`⏸️ ${this.symbol} ${this.timeframe} manual scan skipped - lease held by ${current?.holderId || 'another instance'}`);
+          return { success: false, skipped: true, reason: 'lease_held', leaseHolder: current?.holderId || null };
+        }
+      }
+
+      return await this.scanPrice('manual');
+    } finally {
+      // A short lease left behind would lock the leader out of its next scan
+      if (borrowed && !this.isLeader) {
+        await this.lease.release();
+      }
+      this.scanInProgress = false;
+    }
   }
 
-  async scanPriceAutomatic() {
-    return await this.scanPrice('automatic');
+  /**
+   * Automatic scans go through the overlap guard and the leader lease
+   * Skipped scans return { success: false, skipped: true, reason } without touching the stored status
+   */
+  async scanPriceAutomatic({ leaseDuration } = {}) {
+    if (this.scanInProgress) {
+      console.log(`⏭️ ${this.symbol} scan skipped - previous scan still running`);
+      return { success: false, skipped: true, reason: 'previous_scan_running' };
+    }
+
+    this.scanInProgress = true;
+
+    try {
+      // Stopped through another instance - drop the timers here too instead of taking over
+      if (this.scheduleGuard && !(await this.scheduleGuard())) {
+        console.log(`🛑 ${this.symbol} scanner standing down - desired state is stopped`);
+        clearTimeout(this.currentStatus.intervalId);
+        this.currentStatus.intervalId = null;
+        this.currentStatus.isRunning = false;
+        await this.lease.release();
+        return { success: false, skipped: true, reason: 'schedule_stopped' };
+      }
+
+      const duration = leaseDuration ?? this.lease.duration;
+
+      if (!(await this.lease.acquire(duration))) {
+        const holder = await this.lease.getHolder();
+        this.isLeader = false;
+        console.log(`⏸️ ${this.symbol} ${this.timeframe} scan skipped - lease held by ${holder?.holderId || 'another instance'}`);
+        return { success: false, skipped: true, reason: 'lease_held', leaseHolder: holder?.holderId || null };
+      }
+
+      if (!this.isLeader) {
+        // Taking over from a leader that stopped renewing - continue its scan count
+        this.restoreStatus(await this.getScannerStatus());
+        this.isLeader = true;
+        console.log(`👑 ${this.symbol} ${this.timeframe} scanner is now the leader (${this.lease.holderId})`);
+      }
+      this.leaseDuration = duration;
+
+      return await this.scanPrice('automatic');
+    } finally {
+      this.scanInProgress = false;
+    }
   }
 
-  async startScanning() {
-    console.log(`🚀 Starting enhanced scanner with ${this.scanInterval / 1000 / 60} minute intervals`);
+  /**
+   * interval: false leaves the scheduling to an external caller (see ScanScheduler.tick)
+   */
+  async startScanning({ interval = true } = {}) {
+    console.log(`🚀 Starting enhanced ${this.symbol} ${this.timeframe} scanner, scanning ${this.scanOffsetSeconds}s after each candle close${interval ? '' : ' (external ticks)'}`);
     
     this.currentStatus.isRunning = true;
     this.currentStatus.startedAt = new Date().toISOString();
-    
+
+    // Another instance leads this symbol / timeframe - only arm the timer, so it can take over later
+    if (!(await this.lease.acquire())) {
+      console.log(`⏸️ ${this.symbol} ${this.timeframe} standing by - another instance holds the scanner lease`);
+      return interval ? this.scheduleNextScan() : null;
+    }
+
+    this.isLeader = true;
     await this.updateScannerStatus('starting');
+    // Fill the history first so the first scan doesn't build indicators across a gap
+    this.lastBackfill = await this.backfillCandleHistory();
     await this.scanPriceAutomatic();
     await this.updateScannerStatus('running');
     
-    const intervalId = setInterval(async () => {
-      console.log('⏰ Scheduled automatic scan triggered');
-      await this.scanPriceAutomatic();
-    }, this.scanInterval);
-
-    this.currentStatus.intervalId = intervalId;
+    const intervalId = interval ? this.scheduleNextScan() : null;
+
+    await this.notifyScannerEvent('scanner_started', {
+      scanInterval: this.scanInterval,
+      scanOffsetSeconds: this.scanOffsetSeconds,
+      nextScanAt: this.currentStatus.nextScanAt,
+      scheduling: interval ? 'interval' : 'external',
+      backfill: this.lastBackfill && {
+        missing: this.lastBackfill.missingBefore,
+        filled: this.lastBackfill.filled,
+        remainingMissing: this.lastBackfill.remainingMissing
+      }
+    });
     return intervalId;
   }
 
   async stopScanning(intervalId) {
-    if (intervalId || this.currentStatus.intervalId) {
-      clearInterval(intervalId || this.currentStatus.intervalId);
-      console.log('🛑 Scanner stopped');
+    if (intervalId || this.currentStatus.intervalId || this.currentStatus.isRunning) {
+      clearTimeout(intervalId || this.currentStatus.intervalId);
+      console.log(`🛑 ${this.symbol} scanner stopped`);
       
       this.currentStatus.isRunning = false;
       this.currentStatus.intervalId = null;
+      this.isLeader = false;
+      await this.lease.release();
       
       await this.updateScannerStatus('stopped');
+      await this.notifyScannerEvent('scanner_stopped');
     }
   }
 
@@ -736,6 +1392,8 @@ class SolanaScanner {
       const { data, error } = await supabase
         .from('ema_signals')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
         .order('timestamp', { ascending: false })
         .limit(limit);
 
@@ -758,6 +1416,8 @@ class SolanaScanner {
       const { data: latestPrice } = await supabase
         .from('sol_price_data')
         .select('*')
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
         .order('timestamp', { ascending: false })
         .limit(1)
         .single();
@@ -767,23 +1427,52 @@ class SolanaScanner {
       const { data: bullishSignals, count: bullishCount } = await supabase
         .from('ema_signals')
         .select('id', { count: 'exact' })
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('indicator', 'ema')
         .eq('signal_type', 'bullish')
         .gte('timestamp', weekAgo);
 
       const { data: bearishSignals, count: bearishCount } = await supabase
         .from('ema_signals')
         .select('id', { count: 'exact' })
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity)
+        .eq('indicator', 'ema')
         .eq('signal_type', 'bearish')
         .gte('timestamp', weekAgo);
 
       const { count: totalDataPoints } = await supabase
         .from('sol_price_data')
-        .select('id', { count: 'exact' });
+        .select('id', { count: 'exact' })
+        .eq('symbol', this.symbol)
+        .eq('granularity', this.granularity);
 
       return {
         latestPrice: latestPrice?.price || null,
         latestEMA12: latestPrice?.ema_12 || null,
         latestEMA25: latestPrice?.ema_25 || null,
+        latestRSI: latestPrice?.rsi ?? null,
+        latestRSIPeriod: latestPrice?.rsi_period || null,
+        latestMACD: latestPrice?.macd_histogram !== null && latestPrice?.macd_histogram !== undefined ? {
+          macd: latestPrice.macd,
+          signal: latestPrice.macd_signal,
+          histogram: latestPrice.macd_histogram
+        } : null,
+        latestBollinger: latestPrice?.bb_bandwidth !== null && latestPrice?.bb_bandwidth !== undefined ? {
+          upper: latestPrice.bb_upper,
+          middle: latestPrice.bb_middle,
+          lower: latestPrice.bb_lower,
+          bandwidth: latestPrice.bb_bandwidth,
+          squeeze: latestPrice.bb_squeeze,
+          breakout: latestPrice.bb_breakout
+        } : null,
+        latestEMAPeriods: latestPrice?.ema_fast_period && latestPrice?.ema_slow_period
+          ? [latestPrice.ema_fast_period, latestPrice.ema_slow_period]
+          : null,
+        latestMAConfig: latestPrice?.ema_fast_period && latestPrice?.ema_slow_period
+          ? movingAverageConfigLabel(latestPrice.ma_fast_type, latestPrice.ema_fast_period, latestPrice.ma_slow_type, latestPrice.ema_slow_period)
+          : null,
         lastScanTime: latestPrice?.timestamp || null,
         weeklyBullishSignals: bullishCount || 0,
         weeklyBearishSignals: bearishCount || 0,
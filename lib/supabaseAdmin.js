@@ -0,0 +1,18 @@
+/**
+ * Server-only Supabase client (service role)
+ * For tables the public anon key must not reach, e.g. webhook_endpoints with its signing secrets.
+ * SUPABASE_SERVICE_ROLE_KEY bypasses RLS - never expose it through NEXT_PUBLIC_* or next.config env
+ */
+
+import { createClient } from '@supabase/supabase-js'
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  throw new Error('Missing Supabase service role environment variables (SUPABASE_SERVICE_ROLE_KEY)')
+}
+
+export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false, autoRefreshToken: false }
+})
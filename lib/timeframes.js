@@ -0,0 +1,60 @@
+/**
+ * Candle Timeframes
+ * Granularities supported by the Coinbase candles endpoint (in seconds)
+ */
+
+export const GRANULARITIES = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '6h': 21600,
+  '1d': 86400
+};
+
+export const DEFAULT_GRANULARITY = GRANULARITIES['15m'];
+
+/**
+ * Accepts a label ("1h") or a number of seconds (3600 / "3600")
+ * Returns the granularity in seconds or null when it is not supported
+ */
+export function parseGranularity(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const label = String(value).trim().toLowerCase();
+  if (GRANULARITIES[label]) return GRANULARITIES[label];
+
+  const seconds = Number(label);
+  return Object.values(GRANULARITIES).includes(seconds) ? seconds : null;
+}
+
+export function granularityLabel(seconds) {
+  const entry = Object.entries(GRANULARITIES).find(([, value]) => value === Number(seconds));
+  return entry ? entry[0] : `${seconds}s`;
+}
+
+/**
+ * Open time (unix seconds) of the candle that contains `date`
+ * All supported granularities divide a UTC day, so candles are aligned to the epoch
+ */
+export function candleOpenTime(date, granularity) {
+  return Math.floor(new Date(date).getTime() / 1000 / granularity) * granularity;
+}
+
+// Seconds after a candle closes before the scan runs - gives the exchange time to publish the candle
+export const DEFAULT_SCAN_OFFSET_SECONDS = 5;
+
+/**
+ * Latest scheduled scan time (candle boundary + offset) at or before `date`
+ */
+export function previousScanTime(date, granularity, offsetSeconds = DEFAULT_SCAN_OFFSET_SECONDS) {
+  const boundary = candleOpenTime(new Date(date).getTime() - offsetSeconds * 1000, granularity);
+  return new Date((boundary + offsetSeconds) * 1000);
+}
+
+/**
+ * First scheduled scan time (candle boundary + offset) after `date`
+ */
+export function nextScanTime(date, granularity, offsetSeconds = DEFAULT_SCAN_OFFSET_SECONDS) {
+  return new Date(previousScanTime(date, granularity, offsetSeconds).getTime() + granularity * 1000);
+}
@@ -0,0 +1,285 @@
+/**
+ * Webhook Endpoints
+ * Named webhook receivers stored in the webhook_endpoints table, each with its own
+ * signing secret, enabled flag, event subscriptions and message format
+ * Server-side only - read and written through the service role client
+ */
+
+import { NOTIFICATION_FORMATS } from './notificationFormatters.js';
+
+export const WEBHOOK_EVENTS = {
+  bullish: 'Bullish EMA crossover',
+  bearish: 'Bearish EMA crossover',
+  scanner_error: 'Scan failed',
+  scanner_started: 'Scanner started',
+  scanner_stopped: 'Scanner stopped',
+  macd_bullish: 'Bullish MACD signal-line or zero-line cross',
+  macd_bearish: 'Bearish MACD signal-line or zero-line cross',
+  scanner_health_alert: 'Repeated failures, stalled scanner or high API latency',
+  scanner_recovered: 'Health alert cleared'
+};
+
+/**
+ * Endpoints hold signing secrets, so the table is only reachable with the service role
+ * (sql/webhook_endpoints.sql gives the anon role no access)
+ */
+async function getAdminClient() {
+  const { supabaseAdmin } = await import('./supabaseAdmin.js');
+  return supabaseAdmin;
+}
+
+export const DEFAULT_ENDPOINT_EVENTS = ['bullish', 'bearish'];
+
+// Endpoint registered through the legacy webhookUrl field of /api/scanner/control
+export const DEFAULT_ENDPOINT_NAME = 'default';
+
+// Loopback, private, link-local (cloud metadata) and unique-local addresses
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/,
+  /\.localhost$/,
+  /\.internal$/,
+  /^0\.0\.0\.0$/,
+  /^127\./,
+  /^10\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^192\.168\./,
+  /^169\.254\./,
+  /^\[?::1?\]?$/,
+  /^\[?f[cd][0-9a-f]{2}:/,
+  /^\[?fe[89ab][0-9a-f]:/,
+  /^\[?::ffff:/
+];
+
+/**
+ * True for hosts the server must not be used to reach (SSRF)
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lifts the check for local development receivers
+ */
+export function isPrivateWebhookHost(hostname) {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return false;
+
+  const host = String(hostname || '').toLowerCase();
+  return PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(host));
+}
+
+/**
+ * Validates an endpoint definition (partial when updating)
+ * Returns { endpoint, errors } - endpoint is null when validation failed
+ */
+export function validateWebhookEndpoint(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const endpoint = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 100) {
+      errors.push('name is required (max 100 characters)');
+    } else {
+      endpoint.name = name;
+    }
+  }
+
+  if (input.url !== undefined || !partial) {
+    try {
+      const url = new URL(String(input.url || ''));
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('protocol');
+
+      if (isPrivateWebhookHost(url.hostname)) {
+        errors.push('url must not point to a private, loopback or link-local address');
+      } else {
+        endpoint.url = url.toString();
+      }
+    } catch {
+      errors.push('url must be a valid http(s) URL');
+    }
+  }
+
+  if (input.secret !== undefined) {
+    endpoint.secret = input.secret ? String(input.secret) : null;
+  }
+
+  if (input.enabled !== undefined) {
+    endpoint.enabled = input.enabled === true || input.enabled === 'true';
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = input.events === undefined
+      ? DEFAULT_ENDPOINT_EVENTS
+      : (Array.isArray(input.events) ? input.events : String(input.events).split(','))
+        .map(event => String(event).trim())
+        .filter(Boolean);
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+
+    if (events.length === 0 || unknown.length > 0) {
+      errors.push(`events must be a non-empty list of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    } else {
+      endpoint.events = [...new Set(events)];
+    }
+  }
+
+  if (input.format !== undefined || !partial) {
+    const format = String(input.format || 'json').toLowerCase();
+    if (NOTIFICATION_FORMATS.includes(format)) {
+      endpoint.format = format;
+    } else {
+      errors.push(`format must be one of ${NOTIFICATION_FORMATS.join(', ')}`);
+    }
+  }
+
+  if (input.formatOptions !== undefined) {
+    if (input.formatOptions && typeof input.formatOptions === 'object' && !Array.isArray(input.formatOptions)) {
+      endpoint.format_options = input.formatOptions;
+    } else {
+      errors.push('formatOptions must be an object');
+    }
+  }
+
+  // Telegram's sendMessage needs to know which chat to post to
+  if (endpoint.format === 'telegram' && !(endpoint.format_options || input.formatOptions)?.chatId) {
+    errors.push('telegram format requires formatOptions.chatId');
+  }
+
+  return { endpoint: errors.length === 0 ? endpoint : null, errors };
+}
+
+/**
+ * Hides the secret in API responses
+ */
+export function toPublicEndpoint(endpoint) {
+  const { secret, ...rest } = endpoint;
+  return { ...rest, signed: !!secret };
+}
+
+export async function listWebhookEndpoints({ enabledOnly = false } = {}) {
+  const supabase = await getAdminClient();
+
+  let query = supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (enabledOnly) query = query.eq('enabled', true);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list webhook endpoints: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+export async function getWebhookEndpoint(id) {
+  const supabase = await getAdminClient();
+
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load webhook endpoint: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Enabled endpoints subscribed to an event
+ */
+export async function getEndpointsForEvent(event) {
+  const endpoints = await listWebhookEndpoints({ enabledOnly: true });
+  return endpoints.filter(endpoint => (endpoint.events || []).includes(event));
+}
+
+/**
+ * Creates an endpoint, or updates the endpoint with the same name
+ */
+export async function saveWebhookEndpoint(input) {
+  const { endpoint, errors } = validateWebhookEndpoint(input);
+
+  if (!endpoint) {
+    throw new Error(`Invalid webhook endpoint: ${errors.join(', ')}`);
+  }
+
+  const supabase = await getAdminClient();
+
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .upsert([{
+      enabled: true,
+      ...endpoint,
+      updated_at: new Date().toISOString()
+    }], { onConflict: 'name' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Error saving webhook endpoint:', error);
+    throw error;
+  }
+
+  console.log(`🔗 Webhook endpoint "${data.name}" saved (${data.events.join(', ')})`);
+  return data;
+}
+
+/**
+ * Points the "default" endpoint at a URL, keeping its subscriptions
+ * (and its secret when no new one is given)
+ */
+export async function registerDefaultEndpoint(url, secret = undefined) {
+  const supabase = await getAdminClient();
+
+  const { data: existing } = await supabase
+    .from('webhook_endpoints')
+    .select('id')
+    .eq('name', DEFAULT_ENDPOINT_NAME)
+    .maybeSingle();
+
+  if (existing) {
+    return updateWebhookEndpoint(existing.id, { url, enabled: true, ...(secret !== undefined && { secret }) });
+  }
+
+  return saveWebhookEndpoint({ name: DEFAULT_ENDPOINT_NAME, url, secret });
+}
+
+export async function updateWebhookEndpoint(id, updates) {
+  const { endpoint, errors } = validateWebhookEndpoint(updates, { partial: true });
+
+  if (!endpoint) {
+    throw new Error(`Invalid webhook endpoint: ${errors.join(', ')}`);
+  }
+
+  const supabase = await getAdminClient();
+
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .update({ ...endpoint, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('❌ Error updating webhook endpoint:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+export async function deleteWebhookEndpoint(id) {
+  const supabase = await getAdminClient();
+
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    console.error('❌ Error deleting webhook endpoint:', error);
+    throw error;
+  }
+
+  return (data || []).length > 0;
+}
@@ -0,0 +1,556 @@
+/**
+ * Persistent Webhook Delivery Queue
+ * Every webhook is stored in webhook_deliveries and retried with exponential backoff
+ * until it succeeds or runs out of attempts, then moved to webhook_dead_letters
+ * Events are fanned out to every subscribed endpoint in webhook_endpoints
+ * Server-side only - the queue tables are read and written through the service role client
+ */
+
+import { formatWebhookPayload } from './notificationFormatters.js';
+import { PROCESS_HOLDER_ID } from './scannerLease.js';
+import { DEFAULT_ENDPOINT_EVENTS, getEndpointsForEvent, getWebhookEndpoint, listWebhookEndpoints } from './webhookEndpoints.js';
+import { signWebhookPayload } from './webhookSigning.js';
+
+export const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+export const RETRY_BASE_DELAY_MS = 30 * 1000;
+export const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A delivery left in "processing" this long (process died mid-attempt) can be claimed again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Queue rows name the endpoint whose secret signs them, so the tables are only reachable
+ * with the service role (sql/webhook_queue.sql gives the anon role no access)
+ */
+async function getAdminClient() {
+  const { supabaseAdmin } = await import('./supabaseAdmin.js');
+  return supabaseAdmin;
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts (30s, 1m, 2m, 4m, ... capped at 1h)
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+class WebhookQueue {
+  constructor(options = {}) {
+    // Env-configured receiver (WEBHOOK_URL / WEBHOOK_SECRET) - crossover events only
+    this.url = options.url ?? process.env.WEBHOOK_URL ?? null;
+    this.secret = options.secret ?? process.env.WEBHOOK_SECRET ?? null;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.userAgent = options.userAgent || 'BOB13-Solana-Scanner/1.0';
+    this.retryTimer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Endpoints that receive an event (all enabled endpoints when no event is given)
+   * Returns [{ endpointId, name, url, secret, format, formatOptions }]
+   */
+  async getTargets(event = null) {
+    let endpoints = [];
+
+    try {
+      endpoints = event ? await getEndpointsForEvent(event) : await listWebhookEndpoints({ enabledOnly: true });
+    } catch (error) {
+      console.log('Note: Could not load webhook endpoints:', error.message);
+    }
+
+    const targets = endpoints.map(endpoint => ({
+      endpointId: endpoint.id,
+      name: endpoint.name,
+      url: endpoint.url,
+      secret: endpoint.secret,
+      format: endpoint.format || 'json',
+      formatOptions: endpoint.format_options || {}
+    }));
+
+    const envSubscribed = !event || DEFAULT_ENDPOINT_EVENTS.includes(event);
+    if (this.url && envSubscribed && !targets.some(target => target.url === this.url)) {
+      targets.push({ endpointId: null, name: 'env', url: this.url, secret: this.secret, format: 'json', formatOptions: {} });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Queues one delivery per subscribed endpoint
+   * Returns null when nobody is subscribed, otherwise the combined result
+   * (success when at least one endpoint accepted the first attempt)
+   */
+  async publish(event, payload, deliveryId) {
+    const targets = await this.getTargets(event);
+
+    if (targets.length === 0) {
+      console.log(`⚠️ No webhook endpoints subscribed to "${event}", skipping notification`);
+      return null;
+    }
+
+    const deliveries = [];
+    for (const target of targets) {
+      const result = await this.enqueue({
+        target,
+        payload,
+        event,
+        // One queue row per endpoint - all share the event's base id
+        deliveryId: target.endpointId ? `${deliveryId}:${target.endpointId}` : deliveryId
+      });
+
+      deliveries.push({ endpoint: target.name, ...result });
+    }
+
+    const delivered = deliveries.find(delivery => delivery.success);
+
+    return {
+      success: !!delivered,
+      status: (delivered || deliveries[0]).status,
+      response: delivered?.response,
+      error: delivered ? undefined : deliveries.map(delivery => `${delivery.endpoint}: ${delivery.error}`).join('; '),
+      deliveryId,
+      deliveries
+    };
+  }
+
+  /**
+   * Stores a new delivery and makes the first attempt right away
+   * The row starts claimed by this process, so processDue elsewhere doesn't send it as well
+   * Falls back to a single unqueued attempt when the queue table is unavailable
+   */
+  async enqueue({
+    target,
+    payload,
+    deliveryId,
+    event = payload.event,
+    symbol = payload.symbol
+  }) {
+    const delivery = {
+      // No webhook_url - Discord/Slack/Telegram URLs carry the credential, only the endpoint id is kept
+      delivery_id: deliveryId,
+      endpoint_id: target.endpointId,
+      event,
+      symbol,
+      payload,
+      body: formatWebhookPayload(target.format, payload, target.formatOptions),
+      status: 'processing',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: new Date().toISOString(),
+      claimed_by: PROCESS_HOLDER_ID,
+      claimed_at: new Date().toISOString()
+    };
+
+    let data = null;
+
+    try {
+      const supabase = await getAdminClient();
+
+      const { data: queued, error } = await supabase
+        .from('webhook_deliveries')
+        .insert([delivery])
+        .select()
+        .single();
+
+      if (error) throw error;
+      data = queued;
+    } catch (error) {
+      console.log('Note: Could not queue webhook delivery, sending without retries:', error.message);
+      const result = await this.send(target, delivery);
+      return { ...result, deliveryId, queued: false };
+    }
+
+    // The scan is recorded after the first attempt, with its webhook_sent result
+    const result = await this.attempt(data, { updateScan: false, target });
+    return { ...result, deliveryId, queued: true };
+  }
+
+  /**
+   * Where and how a queued delivery is sent, read again from webhook_endpoints (or the env
+   * receiver) on every attempt - the row's own webhook_url is never used
+   * Throws when the endpoint was disabled or removed
+   */
+  async resolveTarget(delivery) {
+    if (!delivery.endpoint_id) {
+      if (!this.url) {
+        throw new Error('WEBHOOK_URL is no longer configured');
+      }
+
+      return { endpointId: null, url: this.url, secret: this.secret, format: 'json', formatOptions: {} };
+    }
+
+    const endpoint = await getWebhookEndpoint(delivery.endpoint_id);
+    if (!endpoint || !endpoint.enabled) {
+      throw new Error('Webhook endpoint was disabled or removed');
+    }
+
+    return {
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      secret: endpoint.secret,
+      format: endpoint.format || 'json',
+      formatOptions: endpoint.format_options || {}
+    };
+  }
+
+  /**
+   * POSTs the delivery's payload in the target's format, signed when the target has a secret
+   * Redirects are not followed - a public URL could otherwise bounce the request to a private host
+   */
+  async send(target, delivery) {
+    const body = formatWebhookPayload(target.format, delivery.payload, target.formatOptions);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': this.userAgent,
+      ...(target.secret && signWebhookPayload(body, target.secret, {
+        deliveryId: delivery.delivery_id
+      }))
+    };
+
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (response.status >= 300 && response.status < 400) {
+        await this.logResponse(delivery, response.status, '');
+        return { success: false, status: response.status, error: `Redirect (HTTP ${response.status}) not followed` };
+      }
+
+      const responseText = await response.text();
+      await this.logResponse(delivery, response.status, responseText);
+
+      return response.ok
+        ? { success: true, status: response.status, response: responseText }
+        : { success: false, status: response.status, error: responseText };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Makes one attempt for a delivery claimed by this process and records the outcome,
+   * releasing the claim (pending for a retry, delivered or dead)
+   */
+  async attempt(delivery, { updateScan = true, target = null } = {}) {
+    const supabase = await getAdminClient();
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    let result;
+
+    try {
+      result = await this.send(target || await this.resolveTarget(delivery), delivery);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const update = {
+      attempts,
+      last_status: result.status || null,
+      last_error: result.success ? null : String(result.error || '').slice(0, 2000),
+      last_attempt_at: now.toISOString(),
+      claimed_by: null,
+      claimed_at: null
+    };
+
+    if (result.success) {
+      update.status = 'delivered';
+      update.delivered_at = now.toISOString();
+      update.next_attempt_at = null;
+      console.log(`✅ Webhook ${delivery.delivery_id} delivered (attempt ${attempts})`);
+    } else if (attempts >= delivery.max_attempts) {
+      update.status = 'dead';
+      update.next_attempt_at = null;
+      console.error(`💀 Webhook ${delivery.delivery_id} failed after ${attempts} attempts - moved to dead letters`);
+    } else {
+      const delay = getRetryDelay(attempts);
+      update.status = 'pending';
+      update.next_attempt_at = new Date(now.getTime() + delay).toISOString();
+      console.log(`🔁 Webhook ${delivery.delivery_id} failed (attempt ${attempts}/${delivery.max_attempts}), retrying in ${Math.round(delay / 1000)}s`);
+      this.scheduleRetry(delay);
+    }
+
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', delivery.id);
+
+    if (error) {
+      console.error('❌ Error updating webhook delivery:', error);
+    }
+
+    if (update.status === 'dead') {
+      await this.moveToDeadLetters({ ...delivery, ...update });
+    }
+
+    // A retry succeeded after the scan was already recorded as not sent
+    if (result.success && updateScan) {
+      await this.markScanWebhookSent(delivery.delivery_id);
+    }
+
+    return { ...result, attempts, status: result.status, deliveryStatus: update.status };
+  }
+
+  async moveToDeadLetters(delivery) {
+    const supabase = await getAdminClient();
+
+    const { error } = await supabase
+      .from('webhook_dead_letters')
+      .insert([{
+        delivery_id: delivery.delivery_id,
+        endpoint_id: delivery.endpoint_id,
+        event: delivery.event,
+        symbol: delivery.symbol,
+        payload: delivery.payload,
+        attempts: delivery.attempts,
+        last_status: delivery.last_status,
+        last_error: delivery.last_error,
+        failed_at: new Date().toISOString()
+      }]);
+
+    if (error) {
+      console.error('❌ Error storing webhook dead letter:', error);
+    }
+  }
+
+  async markScanWebhookSent(deliveryId) {
+    // Scans store the event's base id, without the ":<endpoint id>" suffix
+    const [baseId] = deliveryId.split(':');
+
+    try {
+      const { supabase } = await import('./supabase.js');
+
+      const { data: scans } = await supabase
+        .from('scan_history')
+        .select('id, details')
+        .eq('details->>webhook_delivery_id', baseId);
+
+      for (const scan of scans || []) {
+        const { data: updated, error } = await supabase
+          .from('scan_history')
+          .update({ details: { ...scan.details, webhook_sent: true } })
+          .eq('id', scan.id)
+          .select('id');
+
+        if (error) throw error;
+
+        // RLS filters a disallowed UPDATE without an error
+        if (!updated || updated.length === 0) {
+          throw new Error(`scan ${scan.id} not updated - check the UPDATE policy on scan_history (sql/webhook_queue.sql)`);
+        }
+      }
+    } catch (error) {
+      console.log('Note: Could not update scan webhook status:', error.message);
+    }
+  }
+
+  async logResponse(delivery, status, responseText) {
+    // Log webhook response to database if webhook_responses table exists (service role only)
+    try {
+      const supabase = await getAdminClient();
+      await supabase.from('webhook_responses').insert([{
+        endpoint_id: delivery.endpoint_id ?? null,
+        delivery_id: delivery.delivery_id,
+        payload: delivery.payload,
+        response_status: status,
+        response_body: responseText,
+        timestamp: new Date().toISOString()
+      }]);
+    } catch (dbError) {
+      console.log('Note: Could not log webhook response to database:', dbError.message);
+    }
+  }
+
+  /**
+   * Retries every pending delivery whose next attempt is due
+   * (and deliveries whose claim went stale because the claiming process died)
+   */
+  async processDue(limit = 20) {
+    // Scanners sharing a queue must not pick up the same delivery twice
+    if (this.processing) return { processed: 0, delivered: 0 };
+    this.processing = true;
+
+    try {
+      return await this.processDueDeliveries(limit);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processDueDeliveries(limit) {
+    let supabase;
+
+    try {
+      supabase = await getAdminClient();
+    } catch (error) {
+      console.log('Note: Could not open the webhook queue:', error.message);
+      return { processed: 0, delivered: 0 };
+    }
+
+    const now = new Date();
+    const staleClaim = new Date(now.getTime() - CLAIM_TIMEOUT_MS).toISOString();
+    const dueFilter = `and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.processing,claimed_at.lt.${staleClaim})`;
+
+    const { data: due, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .or(dueFilter)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      console.error('❌ Error loading due webhook deliveries:', error);
+      return { processed: 0, delivered: 0 };
+    }
+
+    let processed = 0;
+    let delivered = 0;
+    for (const candidate of due || []) {
+      const delivery = await this.claim(candidate, dueFilter);
+      // Claimed by another process (or another scanner's queue) in the meantime
+      if (!delivery) continue;
+
+      processed++;
+      const result = await this.attempt(delivery);
+      if (result.success) delivered++;
+    }
+
+    return { processed, delivered };
+  }
+
+  /**
+   * Marks a due delivery as processing by this process - the due condition is re-checked
+   * under the row lock, so of several processes only one gets the row back
+   */
+  async claim(delivery, dueFilter) {
+    const supabase = await getAdminClient();
+
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update({
+        status: 'processing',
+        claimed_by: PROCESS_HOLDER_ID,
+        claimed_at: new Date().toISOString()
+      })
+      .eq('id', delivery.id)
+      .or(dueFilter)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Error claiming webhook delivery ${delivery.delivery_id}:`, error);
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Keeps retries moving between scans (long timeframes scan rarely)
+   * Queued rows survive restarts - processDue after each scan picks them up again
+   */
+  scheduleRetry(delay) {
+    if (this.retryTimer) return;
+
+    this.retryTimer = setTimeout(async () => {
+      this.retryTimer = null;
+      await this.processDue();
+    }, delay);
+
+    this.retryTimer.unref?.();
+  }
+
+  /**
+   * Re-sends a failed delivery (by delivery_id) with a fresh attempt budget
+   */
+  async resend(deliveryId) {
+    const supabase = await getAdminClient();
+
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('delivery_id', deliveryId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load webhook delivery: ${error.message}`);
+    }
+
+    if (!delivery) return null;
+
+    if (delivery.status === 'delivered') {
+      throw new Error(`Delivery ${deliveryId} was already delivered`);
+    }
+
+    await supabase
+      .from('webhook_dead_letters')
+      .update({ resent_at: new Date().toISOString() })
+      .eq('delivery_id', deliveryId)
+      .is('resent_at', null);
+
+    // Claimed right away - processDue must not pick up the reset row as well
+    const reset = {
+      status: 'processing',
+      attempts: 0,
+      max_attempts: this.maxAttempts,
+      next_attempt_at: new Date().toISOString(),
+      claimed_by: PROCESS_HOLDER_ID,
+      claimed_at: new Date().toISOString()
+    };
+
+    await supabase
+      .from('webhook_deliveries')
+      .update(reset)
+      .eq('id', delivery.id);
+
+    console.log(`🔁 Manually re-sending webhook ${deliveryId}`);
+    return this.attempt({ ...delivery, ...reset });
+  }
+
+  async listDeliveries({ status = null, limit = 50 } = {}) {
+    const supabase = await getAdminClient();
+
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('id, delivery_id, endpoint_id, event, symbol, status, attempts, max_attempts, next_attempt_at, last_status, last_error, last_attempt_at, delivered_at, created_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  async listDeadLetters({ includeResent = false, limit = 50 } = {}) {
+    const supabase = await getAdminClient();
+
+    let query = supabase
+      .from('webhook_dead_letters')
+      .select('id, delivery_id, endpoint_id, event, symbol, payload, attempts, last_status, last_error, failed_at, resent_at')
+      .order('failed_at', { ascending: false })
+      .limit(limit);
+
+    if (!includeResent) query = query.is('resent_at', null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to list webhook dead letters: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+export default WebhookQueue;
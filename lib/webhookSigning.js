@@ -0,0 +1,116 @@
+/**
+ * Webhook Signing
+ * HMAC-SHA256 signatures over "<timestamp>.<raw body>" so receivers can verify
+ * that a delivery came from BOB13 and reject stale or replayed requests
+ *
+ * Headers sent with every signed delivery:
+ *   X-BOB13-Timestamp   - unix time (seconds) when the delivery was signed
+ *   X-BOB13-Delivery-Id - unique id of the delivery (same value on retries)
+ *   X-BOB13-Signature   - "v1=<hex hmac-sha256(secret, `${timestamp}.${body}`)>"
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-BOB13-Signature';
+export const TIMESTAMP_HEADER = 'X-BOB13-Timestamp';
+export const DELIVERY_ID_HEADER = 'X-BOB13-Delivery-Id';
+export const SIGNATURE_VERSION = 'v1';
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export function computeSignature(secret, timestamp, body) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Builds the signature headers for a raw (already serialized) body
+ */
+export function signWebhookPayload(body, secret, options = {}) {
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+  const deliveryId = options.deliveryId || randomUUID();
+
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [DELIVERY_ID_HEADER]: deliveryId,
+    [SIGNATURE_HEADER]: `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`
+  };
+}
+
+/**
+ * Remembers signatures for the tolerance window so a captured request
+ * cannot be re-sent while its timestamp is still accepted
+ * (the signature covers timestamp and body, so unlike the delivery id it cannot be altered)
+ */
+export function createReplayGuard(ttlSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  const seen = new Map();
+
+  return (key) => {
+    const now = Date.now();
+
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt <= now) seen.delete(id);
+    }
+
+    if (seen.has(key)) return false;
+
+    seen.set(key, now + ttlSeconds * 1000);
+    return true;
+  };
+}
+
+function getHeader(headers, name) {
+  if (typeof headers?.get === 'function') return headers.get(name);
+
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Verifies a received delivery
+ * body must be the raw request body exactly as received (not re-serialized JSON)
+ * headers may be a plain object (Node/Next.js req.headers) or a Fetch Headers instance
+ * checkReplay is an optional function (e.g. createReplayGuard()) returning false for an already seen signature
+ * Returns { valid, reason, deliveryId, timestamp }
+ */
+export function verifyWebhookSignature({
+  body,
+  headers,
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  checkReplay = null,
+  now = Date.now()
+}) {
+  const signature = getHeader(headers, SIGNATURE_HEADER);
+  const timestampHeader = getHeader(headers, TIMESTAMP_HEADER);
+  const deliveryId = getHeader(headers, DELIVERY_ID_HEADER);
+  const result = (valid, reason) => ({ valid, reason, deliveryId: deliveryId || null, timestamp: timestampHeader || null });
+
+  if (!secret) return result(false, 'missing_secret');
+  if (!signature || !timestampHeader) return result(false, 'missing_headers');
+
+  const timestamp = Number(timestampHeader);
+  if (!Number.isInteger(timestamp)) return result(false, 'invalid_timestamp');
+
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return result(false, 'stale_timestamp');
+  }
+
+  const [version, provided] = String(signature).split('=');
+  if (version !== SIGNATURE_VERSION || !provided) return result(false, 'unsupported_signature');
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body), 'hex');
+  const received = Buffer.from(provided, 'hex');
+
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return result(false, 'signature_mismatch');
+  }
+
+  // Only record the delivery once the signature is known to be genuine
+  if (checkReplay && !checkReplay(provided)) {
+    return result(false, 'replayed_delivery');
+  }
+
+  return result(true, null);
+}
@@ -13,6 +13,8 @@ const nextConfig = {
   // Enable experimental features if needed
   experimental: {
     // esmExternals: 'loose',
+    // instrumentation.js - resumes a running scanner schedule on boot
+    instrumentationHook: true,
   },
 }
 
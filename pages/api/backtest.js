@@ -0,0 +1,158 @@
+/**
+ * Backtest API
+ * Replays stored price data or an imported candle file through the EMA crossover strategy
+ */
+
+import Backtester from '../../lib/backtester.js';
+import { movingAverageConfigLabel } from '../../lib/movingAverages.js';
+import { DEFAULT_SCANNER_SETTINGS, validateScannerSettings } from '../../lib/scannerSettings.js';
+import { getDefaultSymbols, parseSymbols } from '../../lib/solanaScanner.js';
+import { granularityLabel } from '../../lib/timeframes.js';
+
+const MAX_IMPORTED_CANDLES = 20000;
+
+export default async function handler(req, res) {
+  console.log(`🧪 Backtest API called - Method: ${req.method}`);
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET', 'POST']
+    });
+  }
+
+  try {
+    const startTime = Date.now();
+    const params = req.method === 'POST' ? (req.body || {}) : req.query;
+
+    const {
+      source = 'stored',
+      candles,
+      from,
+      to,
+      initialCapital,
+      feePercent,
+      allowShort
+    } = params;
+
+    const [symbol] = params.symbol ? parseSymbols(params.symbol) : getDefaultSymbols();
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: params.symbol
+      });
+    }
+
+    if (!['stored', 'candles'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid source. Must be "stored" or "candles"',
+        receivedSource: source
+      });
+    }
+
+    const { settings, errors } = validateScannerSettings({
+      fastPeriod: params.fastPeriod,
+      slowPeriod: params.slowPeriod,
+      fastMaType: params.fastMaType,
+      slowMaType: params.slowMaType,
+      granularity: params.granularity
+    }, DEFAULT_SCANNER_SETTINGS);
+
+    if (!settings) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid backtest settings',
+        details: errors
+      });
+    }
+
+    const backtester = new Backtester({
+      fastPeriod: settings.fastPeriod,
+      slowPeriod: settings.slowPeriod,
+      fastMaType: settings.fastMaType,
+      slowMaType: settings.slowMaType,
+      initialCapital: parseFloat(initialCapital) || undefined,
+      feePercent: feePercent !== undefined && feePercent !== '' ? parseFloat(feePercent) : undefined,
+      allowShort: allowShort === true || allowShort === 'true'
+    });
+
+    let bars;
+    if (source === 'candles') {
+      if (!Array.isArray(candles) || candles.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'source "candles" requires a non-empty candles array'
+        });
+      }
+
+      if (candles.length > MAX_IMPORTED_CANDLES) {
+        return res.status(400).json({
+          success: false,
+          error: `Too many candles (max ${MAX_IMPORTED_CANDLES})`
+        });
+      }
+
+      bars = candles;
+    } else {
+      bars = await backtester.loadStoredPrices({
+        symbol,
+        granularity: settings.granularity,
+        from,
+        to
+      });
+    }
+
+    console.log(`📊 Backtesting ${symbol} ${movingAverageConfigLabel(settings.fastMaType, settings.fastPeriod, settings.slowMaType, settings.slowPeriod)} on ${bars.length} bars (${source})`);
+
+    let result;
+    try {
+      result = backtester.run(bars);
+    } catch (runError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Backtest could not run',
+        message: runError.message,
+        barsAvailable: bars.length
+      });
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    console.log(`✅ Backtest completed in ${responseTime}ms - ${result.summary.totalTrades} trades`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        meta: {
+          symbol,
+          timeframe: granularityLabel(settings.granularity),
+          source,
+          responseTime,
+          timestamp: new Date().toISOString()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error in backtest API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run backtest',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '5mb'
+    }
+  }
+};
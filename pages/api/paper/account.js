@@ -0,0 +1,97 @@
+/**
+ * Paper Trading Account API
+ * Returns balances, open positions and fills of the simulated account
+ * and allows configuring, resetting or manually syncing it with the latest signals
+ */
+
+import PaperTradingAccount, { validatePaperSettings } from '../../../lib/paperTrading.js';
+import { getDefaultSymbols, parseSymbols } from '../../../lib/solanaScanner.js';
+import { loadScannerSettings } from '../../../lib/scannerSettings.js';
+import { createMarketDataProvider } from '../../../lib/providers/index.js';
+
+const paperAccount = new PaperTradingAccount();
+
+export default async function handler(req, res) {
+  console.log(`💼 Paper Account API called - Method: ${req.method}`);
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET', 'POST']
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const fillsLimit = Math.min(parseInt(req.query.fills) || 20, 100);
+      const summary = await paperAccount.getAccountSummary(fillsLimit);
+
+      return res.status(200).json({
+        success: true,
+        data: summary,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { action, symbols, ...updates } = req.body || {};
+
+    if (!['configure', 'reset', 'sync'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action. Must be "configure", "reset" or "sync"',
+        receivedAction: action
+      });
+    }
+
+    const { settings, errors } = validatePaperSettings(updates);
+
+    if (!settings) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid paper trading settings',
+        details: errors
+      });
+    }
+
+    let result;
+
+    if (action === 'configure') {
+      await paperAccount.configure(settings);
+      result = { action: 'configured', message: 'Paper trading settings saved' };
+
+    } else if (action === 'reset') {
+      await paperAccount.reset(settings);
+      result = { action: 'reset', message: 'Paper account reset to its starting balance' };
+
+    } else {
+      // Act on the current trading signals right away instead of waiting for the next scan
+      const scannerSettings = await loadScannerSettings();
+      const provider = createMarketDataProvider(scannerSettings.exchange);
+      const syncSymbols = symbols ? parseSymbols(symbols) : getDefaultSymbols();
+      const fills = {};
+
+      for (const symbol of syncSymbols) {
+        fills[symbol] = await paperAccount.followSignals({ ...scannerSettings, provider, symbol });
+      }
+
+      result = { action: 'synced', message: `Processed trading signals for ${syncSymbols.join(', ')}`, fills };
+    }
+
+    res.status(200).json({
+      success: true,
+      ...result,
+      data: await paperAccount.getAccountSummary(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in paper account API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Paper account operation failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
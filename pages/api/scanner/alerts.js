@@ -0,0 +1,72 @@
+/**
+ * Scanner Alerts API
+ * Lists health alerts (consecutive failures, stale scanners, high API latency)
+ */
+
+import { HEALTH_ALERT_TYPES, listScannerAlerts } from '../../../lib/scannerHealth.js';
+import { parseSymbols } from '../../../lib/solanaScanner.js';
+
+const ALERT_STATUSES = ['active', 'resolved'];
+
+export default async function handler(req, res) {
+  console.log(`🚨 Scanner Alerts API called - Method: ${req.method}`);
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET']
+    });
+  }
+
+  try {
+    const { status, symbol, limit = 50 } = req.query;
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+    const [symbolFilter] = symbol ? parseSymbols(symbol) : [];
+
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${ALERT_STATUSES.join(', ')}`,
+        receivedStatus: status
+      });
+    }
+
+    if (symbol && !symbolFilter) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: symbol
+      });
+    }
+
+    const alerts = await listScannerAlerts({ status, symbol: symbolFilter, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts,
+        counts: {
+          total: alerts.length,
+          active: alerts.filter(alert => alert.status === 'active').length
+        },
+        alertTypes: HEALTH_ALERT_TYPES,
+        filters: {
+          status: status || 'all',
+          symbol: symbolFilter || 'all',
+          limit: limitNum
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in scanner alerts API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch scanner alerts',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Candle Backfill API
+ * Detects holes in the stored candle history and fills them from the exchange
+ * (the same job runs automatically when a scanner starts)
+ *
+ * POST { symbol?, granularity?, from?, to?, maxCandles?, dryRun? }
+ */
+
+import { DEFAULT_BACKFILL_CANDLES, backfillCandles } from '../../../lib/candleBackfill.js';
+import { createMarketDataProvider } from '../../../lib/providers/index.js';
+import { loadScannerSettings } from '../../../lib/scannerSettings.js';
+import { getDefaultSymbols, parseSymbols } from '../../../lib/solanaScanner.js';
+import { GRANULARITIES, parseGranularity } from '../../../lib/timeframes.js';
+
+const MAX_BACKFILL_CANDLES = 20000;
+
+export default async function handler(req, res) {
+  console.log(`🧩 Candle Backfill API called - Method: ${req.method}`);
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['POST']
+    });
+  }
+
+  try {
+    const params = req.body || {};
+    const settings = await loadScannerSettings();
+    const [symbol] = params.symbol ? parseSymbols(params.symbol) : getDefaultSymbols();
+    const granularity = params.granularity ? parseGranularity(params.granularity) : settings.granularity;
+    const maxCandles = params.maxCandles !== undefined ? parseInt(params.maxCandles) : DEFAULT_BACKFILL_CANDLES;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: params.symbol
+      });
+    }
+
+    if (!granularity) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity parameter. Use one of: ${Object.keys(GRANULARITIES).join(', ')}`,
+        receivedGranularity: params.granularity
+      });
+    }
+
+    if (!Number.isInteger(maxCandles) || maxCandles < 1 || maxCandles > MAX_BACKFILL_CANDLES) {
+      return res.status(400).json({
+        success: false,
+        error: `maxCandles must be an integer between 1 and ${MAX_BACKFILL_CANDLES}`,
+        receivedMaxCandles: params.maxCandles
+      });
+    }
+
+    if ([params.from, params.to].some(value => value && isNaN(new Date(value)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from/to must be valid dates',
+        receivedFrom: params.from,
+        receivedTo: params.to
+      });
+    }
+
+    const dryRun = params.dryRun === true || params.dryRun === 'true';
+    const report = await backfillCandles({
+      symbol,
+      granularity,
+      provider: createMarketDataProvider(settings.exchange),
+      from: params.from || null,
+      to: params.to || null,
+      maxCandles,
+      dryRun
+    });
+
+    res.status(200).json({
+      success: report.errors.length === 0,
+      message: dryRun
+        ? `${report.missingBefore} missing candles in ${report.gaps.length} gap(s)`
+        : `Filled ${report.filled} of ${report.missingBefore} missing candles`,
+      data: { ...report, dryRun },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in candle backfill API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Candle backfill failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Candles API
+ * Stored OHLCV bars for one symbol/timeframe, oldest first
+ */
+
+import { loadCandles } from '../../../lib/candleStore.js';
+import { getDefaultSymbols, parseSymbols } from '../../../lib/solanaScanner.js';
+import { DEFAULT_GRANULARITY, GRANULARITIES, granularityLabel, parseGranularity } from '../../../lib/timeframes.js';
+
+export default async function handler(req, res) {
+  console.log(`🕯️ Candles API called - Method: ${req.method}`);
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET']
+    });
+  }
+
+  try {
+    const { from, to, limit = 500 } = req.query;
+    const limitNum = Math.min(parseInt(limit) || 500, 5000);
+    const [symbol] = req.query.symbol ? parseSymbols(req.query.symbol) : getDefaultSymbols();
+    const granularity = req.query.granularity ? parseGranularity(req.query.granularity) : DEFAULT_GRANULARITY;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: req.query.symbol
+      });
+    }
+
+    if (!granularity) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity parameter. Use one of: ${Object.keys(GRANULARITIES).join(', ')}`,
+        receivedGranularity: req.query.granularity
+      });
+    }
+
+    if ([from, to].some(value => value && isNaN(new Date(value)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from/to must be valid dates',
+        receivedFrom: from,
+        receivedTo: to
+      });
+    }
+
+    const candles = await loadCandles({ symbol, granularity, from, to, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        candles: candles.map(candle => ({
+          ...candle,
+          timestamp: candle.timestamp.toISOString()
+        })),
+        count: candles.length,
+        filters: {
+          symbol,
+          timeframe: granularityLabel(granularity),
+          from: from || null,
+          to: to || null,
+          limit: limitNum
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in candles API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch candles',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
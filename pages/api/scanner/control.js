@@ -1,13 +1,16 @@
 /**
  * Enhanced Scanner Control API
  * Provides start/stop control with webhook configuration and persistent status
+ * for every configured symbol
  */
 
-import SolanaScanner from '../../../lib/solanaScanner.js';
+import { parseSymbols } from '../../../lib/solanaScanner.js';
+import { SCHEDULER_MODES, getScanScheduler, loadSchedule } from '../../../lib/scanScheduler.js';
+import { loadScannerSettings, saveScannerSettings, validateScannerSettings } from '../../../lib/scannerSettings.js';
+import { registerDefaultEndpoint } from '../../../lib/webhookEndpoints.js';
 
-// Global scanner instance to maintain state across requests
-let globalScanner = null;
-let globalIntervalId = null;
+// Process-wide scheduler - owns the scanner manager and the persisted desired state
+const scheduler = getScanScheduler();
 
 export default async function handler(req, res) {
   console.log(`🎛️ Scanner Control API called - Method: ${req.method}`);
@@ -20,15 +23,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Initialize scanner if not exists
-    if (!globalScanner) {
-      globalScanner = new SolanaScanner();
-      console.log('🆕 New scanner instance created');
-    }
+    // Pick up a "running" schedule left by a previous process before anything else
+    await scheduler.resume();
+    let globalManager = await scheduler.getManager(await loadSchedule());
 
     // Handle GET request - return current control status
     if (req.method === 'GET') {
-      const status = await globalScanner.getScannerStatus();
+      const statuses = await globalManager.getScannerStatuses();
+      const status = statuses[globalManager.defaultSymbol];
+      const webhookTargets = await globalManager.webhookQueue.getTargets();
+      const schedule = await loadSchedule();
       
       return res.status(200).json({
         success: true,
@@ -40,29 +44,139 @@ export default async function handler(req, res) {
           startedAt: status.startedAt,
           lastScanAt: status.lastScanAt,
           nextScanAt: status.nextScanAt,
-          hasGlobalInstance: !!globalScanner,
-          hasActiveInterval: !!globalIntervalId,
-          webhookConfigured: !!globalScanner.webhookUrl
+          symbols: globalManager.symbols,
+          symbolStatuses: statuses,
+          emaPeriods: [globalManager.getScanner().fastPeriod, globalManager.getScanner().slowPeriod],
+          timeframe: globalManager.getScanner().timeframe,
+          exchange: globalManager.getScanner().provider.name,
+          scanInterval: globalManager.scanInterval,
+          scanOffsetSeconds: globalManager.getScanner().scanOffsetSeconds,
+          hasGlobalInstance: !!globalManager,
+          hasActiveInterval: globalManager.isRunning,
+          schedule: {
+            desiredState: schedule?.desired_state || 'stopped',
+            mode: schedule?.mode || scheduler.mode,
+            lastTickAt: schedule?.last_tick_at || null,
+            updatedAt: schedule?.updated_at || null
+          },
+          webhookConfigured: webhookTargets.length > 0,
+          webhookEndpoints: webhookTargets.map(target => ({ name: target.name, signed: !!target.secret }))
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Handle POST request - start/stop scanner
-    const { action, webhookUrl } = req.body;
+    // Handle POST request - start/stop/configure scanner
+    const {
+      action,
+      webhookUrl,
+      webhookSecret,
+      symbols,
+      fastPeriod,
+      slowPeriod,
+      fastMaType,
+      slowMaType,
+      granularity,
+      scanOffsetSeconds,
+      exchange,
+      evaluationMode,
+      rsiPeriod,
+      rsiOverbought,
+      rsiOversold,
+      rsiFilter,
+      macdFastPeriod,
+      macdSlowPeriod,
+      macdSignalPeriod,
+      bbPeriod,
+      bbStdDev,
+      bbSqueezeLookback,
+      atrPeriod,
+      atrStopMultiplier,
+      atrTakeProfitMultiplier,
+      confirmationBars,
+      minSpreadPercent,
+      minSpreadAtr,
+      mode
+    } = req.body;
 
-    if (!action || !['start', 'stop'].includes(action)) {
+    if (!action || !['start', 'stop', 'configure'].includes(action)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid action. Must be "start" or "stop"',
+        error: 'Invalid action. Must be "start", "stop" or "configure"',
         receivedAction: action
       });
     }
 
-    // Configure webhook URL if provided
+    const settingsUpdate = {
+      fastPeriod,
+      slowPeriod,
+      fastMaType,
+      slowMaType,
+      granularity,
+      scanOffsetSeconds,
+      exchange,
+      evaluationMode,
+      rsiPeriod,
+      rsiOverbought,
+      rsiOversold,
+      rsiFilter,
+      macdFastPeriod,
+      macdSlowPeriod,
+      macdSignalPeriod,
+      bbPeriod,
+      bbStdDev,
+      bbSqueezeLookback,
+      atrPeriod,
+      atrStopMultiplier,
+      atrTakeProfitMultiplier,
+      confirmationBars,
+      minSpreadPercent,
+      minSpreadAtr
+    };
+    const hasSettingsUpdate = Object.values(settingsUpdate).some(value => value !== undefined);
+
+    if (hasSettingsUpdate) {
+      const { errors } = validateScannerSettings(settingsUpdate, await loadScannerSettings());
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scanner settings',
+          details: errors
+        });
+      }
+    }
+
+    if (mode !== undefined && !SCHEDULER_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid mode. Use one of: ${SCHEDULER_MODES.join(', ')}`,
+        receivedMode: mode
+      });
+    }
+
+    const requestedSymbols = symbols ? parseSymbols(symbols) : null;
+
+    if (requestedSymbols && requestedSymbols.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbols. Use Coinbase product ids, e.g. ["SOL-USD", "ETH-USD"]',
+        receivedSymbols: symbols
+      });
+    }
+
+    // A webhook URL given on start is stored as the "default" endpoint
     if (webhookUrl && action === 'start') {
-      globalScanner.webhookUrl = webhookUrl;
-      console.log(`🔗 Webhook URL configured: ${webhookUrl}`);
+      try {
+        await registerDefaultEndpoint(webhookUrl, webhookSecret);
+        console.log(`🔗 Default webhook endpoint configured: ${webhookUrl}${webhookSecret ? ' (signed)' : ''}`);
+      } catch (endpointError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook URL',
+          message: endpointError.message
+        });
+      }
     }
 
     let result;
@@ -70,27 +184,48 @@ export default async function handler(req, res) {
 
     if (action === 'start') {
       console.log('🚀 Starting scanner...');
-      
-      // Stop existing scanner if running
-      if (globalIntervalId) {
-        await globalScanner.stopScanning(globalIntervalId);
-        globalIntervalId = null;
-        console.log('🛑 Stopped existing scanner before restart');
-      }
 
-      // Start new scanner
-      globalIntervalId = await globalScanner.startScanning();
+      const settings = hasSettingsUpdate
+        ? await saveScannerSettings(settingsUpdate)
+        : await loadScannerSettings();
+
+      globalManager = await scheduler.start({ symbols: requestedSymbols, settings, mode });
       
-      const status = await globalScanner.getScannerStatus();
+      const status = await globalManager.getScanner().getScannerStatus();
+      const webhookTargets = await globalManager.webhookQueue.getTargets();
       
       result = {
         action: 'started',
         message: 'Scanner started successfully with enhanced features',
-        intervalId: !!globalIntervalId,
-        scanInterval: globalScanner.scanInterval,
-        scanIntervalMinutes: globalScanner.scanInterval / (1000 * 60),
-        webhookConfigured: !!globalScanner.webhookUrl,
-        webhookUrl: globalScanner.webhookUrl ? '***configured***' : null,
+        intervalId: globalManager.isRunning,
+        mode: scheduler.mode,
+        symbols: globalManager.symbols,
+        emaPeriods: [settings.fastPeriod, settings.slowPeriod],
+        maConfig: globalManager.getScanner().maConfig,
+        rsi: { period: settings.rsiPeriod, overbought: settings.rsiOverbought, oversold: settings.rsiOversold, filter: settings.rsiFilter },
+        macdPeriods: [settings.macdFastPeriod, settings.macdSlowPeriod, settings.macdSignalPeriod],
+        bollinger: { period: settings.bbPeriod, stdDev: settings.bbStdDev, squeezeLookback: settings.bbSqueezeLookback },
+        atr: {
+          period: settings.atrPeriod,
+          stopMultiplier: settings.atrStopMultiplier,
+          takeProfitMultiplier: settings.atrTakeProfitMultiplier
+        },
+        confirmation: {
+          bars: settings.confirmationBars,
+          minSpreadPercent: settings.minSpreadPercent,
+          minSpreadAtr: settings.minSpreadAtr
+        },
+        backfill: Object.fromEntries(
+          [...globalManager.scanners.values()].map(scanner => [scanner.symbol, scanner.lastBackfill])
+        ),
+        timeframe: globalManager.getScanner().timeframe,
+        evaluationMode: globalManager.getScanner().evaluationMode,
+        exchange: globalManager.getScanner().provider.name,
+        scanInterval: globalManager.scanInterval,
+        scanIntervalMinutes: globalManager.scanInterval / (1000 * 60),
+        scanOffsetSeconds: globalManager.getScanner().scanOffsetSeconds,
+        webhookConfigured: webhookTargets.length > 0,
+        webhookEndpoints: webhookTargets.map(target => ({ name: target.name, signed: !!target.secret })),
         scanner: {
           isRunning: status.isRunning,
           startedAt: status.startedAt,
@@ -99,25 +234,46 @@ export default async function handler(req, res) {
         },
         features: {
           persistentStatus: true,
-          webhookNotifications: !!globalScanner.webhookUrl,
+          webhookNotifications: webhookTargets.length > 0,
           signalTracking: true,
           scanHistory: true,
-          emaCalculation: true
+          emaCalculation: true,
+          paperTrading: !!globalManager.paperTrader
         }
       };
 
+    } else if (action === 'configure') {
+      console.log('⚙️ Configuring scanner...');
+
+      const settings = await saveScannerSettings(settingsUpdate);
+      const { manager, restarted: wasRunning } = await scheduler.configure({ symbols: requestedSymbols, settings });
+      globalManager = manager;
+
+      result = {
+        action: 'configured',
+        message: wasRunning
+          ? 'Scanner settings saved and scanner restarted'
+          : 'Scanner settings saved',
+        settings,
+        symbols: globalManager.symbols,
+        restarted: wasRunning
+      };
+
     } else if (action === 'stop') {
       console.log('🛑 Stopping scanner...');
+
+      const schedule = await loadSchedule();
       
-      if (globalIntervalId) {
-        await globalScanner.stopScanning(globalIntervalId);
-        globalIntervalId = null;
+      // External mode has no timers here, so the stored desired state decides
+      if (globalManager.isRunning || schedule?.desired_state === 'running') {
+        await scheduler.stop();
         
-        const status = await globalScanner.getScannerStatus();
+        const status = await globalManager.getScanner().getScannerStatus();
         
         result = {
           action: 'stopped',
           message: 'Scanner stopped successfully',
+          symbols: globalManager.symbols,
           finalScanCount: status.scanCount || 0,
           totalUptime: status.startedAt ? Date.now() - new Date(status.startedAt) : null,
           lastScanAt: status.lastScanAt,
@@ -155,11 +311,10 @@ export default async function handler(req, res) {
     console.error(`❌ Error in scanner control API (${req.body?.action || 'unknown'}):`, error);
     
     // Try to clean up on error
-    if (globalIntervalId) {
+    if (scheduler.isRunning) {
       try {
-        clearInterval(globalIntervalId);
-        globalIntervalId = null;
-        console.log('🧹 Cleaned up interval after error');
+        await scheduler.manager.stopScanning();
+        console.log('🧹 Cleaned up intervals after error');
       } catch (cleanupError) {
         console.error('❌ Error during cleanup:', cleanupError);
       }
@@ -3,9 +3,8 @@
  * Provides detailed scan history with filtering and analytics
  */
 
-import SolanaScanner from '../../../lib/solanaScanner.js';
-
-const scanner = new SolanaScanner();
+import { parseSymbols } from '../../../lib/solanaScanner.js';
+import { GRANULARITIES, granularityLabel, parseGranularity } from '../../../lib/timeframes.js';
 
 export default async function handler(req, res) {
   console.log(`📊 Scan History API called - Method: ${req.method}`);
@@ -25,14 +24,34 @@ export default async function handler(req, res) {
       limit = 50, 
       status,
       type,
+      symbol,
+      granularity,
       days = 7,
       includeAnalytics = 'true'
     } = req.query;
 
     const limitNum = Math.min(parseInt(limit) || 50, 200); // Max 200 records
     const daysNum = Math.min(parseInt(days) || 7, 30); // Max 30 days
+    const [symbolFilter] = symbol ? parseSymbols(symbol) : [];
+    const granularityFilter = granularity ? parseGranularity(granularity) : null;
+
+    if (granularity && !granularityFilter) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity parameter. Use one of: ${Object.keys(GRANULARITIES).join(', ')}`,
+        receivedGranularity: granularity
+      });
+    }
+
+    if (symbol && !symbolFilter) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: symbol
+      });
+    }
     
-    console.log(`📈 Fetching scan history - Limit: ${limitNum}, Days: ${daysNum}`);
+    console.log(`📈 Fetching scan history - Limit: ${limitNum}, Days: ${daysNum}, Symbol: ${symbolFilter || 'all'}`);
 
     // Get scan history with optional filtering
     const { supabase } = await import('../../../lib/supabase.js');
@@ -54,6 +73,16 @@ export default async function handler(req, res) {
       query = query.eq('scan_type', type);
     }
 
+    // Add symbol filter if specified
+    if (symbolFilter) {
+      query = query.eq('symbol', symbolFilter);
+    }
+
+    // Add granularity filter if specified
+    if (granularityFilter) {
+      query = query.eq('granularity', granularityFilter);
+    }
+
     // Add date filter
     const dateThreshold = new Date(Date.now() - daysNum * 24 * 60 * 60 * 1000).toISOString();
     query = query.gte('timestamp', dateThreshold);
@@ -77,6 +106,8 @@ export default async function handler(req, res) {
       return {
         id: scan.id,
         scanType: scan.scan_type,
+        symbol: scan.symbol || scan.details?.scanner_metadata?.symbol,
+        timeframe: scan.granularity ? granularityLabel(scan.granularity) : null,
         timestamp: scan.timestamp,
         status: scan.status,
         executionTime: scan.duration_ms,
@@ -86,6 +117,7 @@ export default async function handler(req, res) {
         volume: scan.details?.volume,
         ema12: scan.details?.ema_12,
         ema25: scan.details?.ema_25,
+        emaPeriods: scan.details?.scanner_metadata?.ema_periods || null,
         
         // Signal detection
         crossoverDetected: scan.details?.crossover_detected,
@@ -233,6 +265,8 @@ export default async function handler(req, res) {
           limit: limitNum,
           status: status || 'all',
           type: type || 'all',
+          symbol: symbolFilter || 'all',
+          timeframe: granularityFilter ? granularityLabel(granularityFilter) : 'all',
           days: daysNum,
           dateFrom: dateThreshold
         },
@@ -243,7 +277,7 @@ export default async function handler(req, res) {
         // Metadata
         meta: {
           apiVersion: '2.0',
-          symbol: scanner.symbol,
+          symbol: symbolFilter || 'all',
           responseTime,
           timestamp: new Date().toISOString(),
           totalRecordsAvailable: enhancedHistory.length >= limitNum ? 'More available' : enhancedHistory.length
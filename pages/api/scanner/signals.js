@@ -1,11 +1,15 @@
 /**
  * Enhanced EMA Signals API
  * Provides comprehensive EMA crossover signal information and analysis
+ * (MACD signals are stored in the same table - see the indicator filter)
  */
 
-import SolanaScanner from '../../../lib/solanaScanner.js';
-
-const scanner = new SolanaScanner();
+import { SIGNAL_INDICATORS } from '../../../lib/indicators.js';
+import { movingAverageConfigLabel } from '../../../lib/movingAverages.js';
+import SolanaScanner, { parseSymbols } from '../../../lib/solanaScanner.js';
+import { loadScannerSettings } from '../../../lib/scannerSettings.js';
+import { getStoredOutcome, summarizeOutcomes, updateSignalOutcomes } from '../../../lib/signalOutcomes.js';
+import { GRANULARITIES, granularityLabel, parseGranularity } from '../../../lib/timeframes.js';
 
 export default async function handler(req, res) {
   console.log(`📈 EMA Signals API called - Method: ${req.method}`);
@@ -24,15 +28,53 @@ export default async function handler(req, res) {
     const { 
       limit = 20, 
       type, 
+      indicator,
+      symbol,
+      granularity,
       days = 7,
       includeStats = 'true',
-      includeChart = 'false'
+      includeChart = 'false',
+      refreshOutcomes = 'false'
     } = req.query;
 
     const limitNum = Math.min(parseInt(limit) || 20, 100); // Max 100 signals
     const daysNum = Math.min(parseInt(days) || 7, 30); // Max 30 days
+    const [symbolFilter] = symbol ? parseSymbols(symbol) : [];
+    const granularityFilter = granularity ? parseGranularity(granularity) : null;
+
+    if (granularity && !granularityFilter) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid granularity parameter. Use one of: ${Object.keys(GRANULARITIES).join(', ')}`,
+        receivedGranularity: granularity
+      });
+    }
+
+    if (symbol && !symbolFilter) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: symbol
+      });
+    }
+
+    if (indicator && !SIGNAL_INDICATORS.includes(indicator)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid indicator parameter. Use one of: ${SIGNAL_INDICATORS.join(', ')}`,
+        receivedIndicator: indicator
+      });
+    }
+
+    const settings = await loadScannerSettings();
+    const scanner = new SolanaScanner({ ...settings, symbol: symbolFilter });
     
-    console.log(`📊 Fetching signals - Limit: ${limitNum}, Days: ${daysNum}, Type: ${type || 'all'}`);
+    console.log(`📊 Fetching signals - Limit: ${limitNum}, Days: ${daysNum}, Type: ${type || 'all'}, Symbol: ${symbolFilter || 'all'}`);
+
+    // Bring forward returns up to date before reading them (normally done after each scan)
+    if (refreshOutcomes === 'true') {
+      await updateSignalOutcomes({ symbol: symbolFilter, granularity: granularityFilter, indicator: indicator || 'ema', limit: 100 });
+    }
 
     // Get recent signals with optional filtering
     const { supabase } = await import('../../../lib/supabase.js');
@@ -48,6 +90,21 @@ export default async function handler(req, res) {
       query = query.eq('signal_type', type);
     }
 
+    // Add indicator filter if specified (ema crossovers / macd signals)
+    if (indicator) {
+      query = query.eq('indicator', indicator);
+    }
+
+    // Add symbol filter if specified
+    if (symbolFilter) {
+      query = query.eq('symbol', symbolFilter);
+    }
+
+    // Add granularity filter if specified
+    if (granularityFilter) {
+      query = query.eq('granularity', granularityFilter);
+    }
+
     // Add date filter
     const dateThreshold = new Date(Date.now() - daysNum * 24 * 60 * 60 * 1000).toISOString();
     query = query.gte('timestamp', dateThreshold);
@@ -60,6 +117,11 @@ export default async function handler(req, res) {
 
     console.log(`✅ Retrieved ${signals?.length || 0} signals`);
 
+    // Rows written before MA types existed are EMA/EMA
+    const getMAConfig = signal => signal.ema_fast_period && signal.ema_slow_period
+      ? movingAverageConfigLabel(signal.ma_fast_type, signal.ema_fast_period, signal.ma_slow_type, signal.ema_slow_period)
+      : null;
+
     // Get current signal status
     const currentStatus = await scanner.getCurrentSignalStatus();
 
@@ -68,6 +130,7 @@ export default async function handler(req, res) {
     if (includeStats === 'true') {
       const bullishSignals = signals?.filter(s => s.signal_type === 'bullish') || [];
       const bearishSignals = signals?.filter(s => s.signal_type === 'bearish') || [];
+      const emaSignals = signals?.filter(s => (s.indicator || 'ema') === 'ema') || [];
       
       // Calculate average time between signals
       let avgTimeBetweenSignals = null;
@@ -80,18 +143,24 @@ export default async function handler(req, res) {
         avgTimeBetweenSignals = timeDiffs.reduce((a, b) => a + b, 0) / timeDiffs.length;
       }
 
-      // Calculate price performance after signals
+      // Price performance after signals (forward returns / excursions in %)
       const signalPerformance = signals?.map(signal => {
         const signalTime = new Date(signal.timestamp);
         const currentTime = new Date();
         const hoursElapsed = (currentTime - signalTime) / (1000 * 60 * 60);
+        const outcome = getStoredOutcome(signal);
         
         return {
           id: signal.id,
           type: signal.signal_type,
+          indicator: signal.indicator || 'ema',
+          rule: signal.rule || 'crossover',
           signalPrice: signal.price,
           hoursElapsed: Math.round(hoursElapsed * 100) / 100,
-          priceChange: null // Would need current price to calculate
+          forwardReturns: outcome.returns,
+          mfePercent: outcome.mfePercent,
+          maePercent: outcome.maePercent,
+          outcomeComplete: outcome.complete
         };
       }) || [];
 
@@ -120,6 +189,31 @@ export default async function handler(req, res) {
             avg: bearishSignals.reduce((sum, s) => sum + s.price, 0) / bearishSignals.length
           } : null
         },
+        signalPerformance,
+        byIndicator: Object.fromEntries(SIGNAL_INDICATORS.map(name => {
+          const indicatorSignals = signals?.filter(s => (s.indicator || 'ema') === name) || [];
+          return [name, {
+            bullishCount: indicatorSignals.filter(s => s.signal_type === 'bullish').length,
+            bearishCount: indicatorSignals.filter(s => s.signal_type === 'bearish').length,
+            outcomes: summarizeOutcomes(indicatorSignals)
+          }];
+        })),
+        // EMA crossover stats per moving-average configuration (e.g. "HMA9/EMA21")
+        byConfiguration: Object.fromEntries(
+          [...new Set(emaSignals.map(s => getMAConfig(s) || 'unknown'))].map(config => {
+            const configSignals = emaSignals.filter(s => (getMAConfig(s) || 'unknown') === config);
+            return [config, {
+              bullishCount: configSignals.filter(s => s.signal_type === 'bullish').length,
+              bearishCount: configSignals.filter(s => s.signal_type === 'bearish').length,
+              outcomes: summarizeOutcomes(configSignals)
+            }];
+          })
+        ),
+        outcomes: {
+          all: summarizeOutcomes(signals || []),
+          bullish: summarizeOutcomes(bullishSignals),
+          bearish: summarizeOutcomes(bearishSignals)
+        },
         recentActivity: {
           last24h: signals?.filter(s => 
             new Date(s.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
@@ -152,14 +246,41 @@ export default async function handler(req, res) {
 
       return {
         id: signal.id,
+        symbol: signal.symbol,
+        timeframe: signal.granularity ? granularityLabel(signal.granularity) : null,
         type: signal.signal_type,
+        indicator: signal.indicator || 'ema',
+        rule: signal.rule || 'crossover',
         timestamp: signal.timestamp,
         price: signal.price,
         ema12: signal.ema_12,
         ema25: signal.ema_25,
+        emaPeriods: signal.ema_fast_period && signal.ema_slow_period
+          ? [signal.ema_fast_period, signal.ema_slow_period]
+          : null,
+        maConfig: getMAConfig(signal),
         previousEma12: signal.previous_ema_12,
         previousEma25: signal.previous_ema_25,
+        rsi: signal.rsi ?? null,
+        rsiPeriod: signal.rsi_period || null,
+        macd: signal.indicator === 'macd' ? {
+          macd: signal.macd,
+          signal: signal.macd_signal,
+          histogram: signal.macd_histogram
+        } : null,
+        bollinger: {
+          squeeze: signal.bb_squeeze ?? null,
+          breakout: signal.bb_breakout || null
+        },
+        riskLevels: signal.stop_loss !== null && signal.stop_loss !== undefined ? {
+          stopLoss: signal.stop_loss,
+          takeProfit: signal.take_profit,
+          riskReward: signal.risk_reward,
+          atr: signal.atr,
+          atrPeriod: signal.atr_period
+        } : null,
         scanType: signal.scan_type,
+        outcome: getStoredOutcome(signal),
         age: {
           milliseconds: ageMs,
           hours: Math.round(ageHours * 100) / 100,
@@ -173,7 +294,7 @@ export default async function handler(req, res) {
         crossoverStrength: signal.ema_12 && signal.ema_25 ? 
           Math.abs(signal.ema_12 - signal.ema_25).toFixed(4) : null,
         direction: signal.signal_type === 'bullish' ? 'BUY' : 'SELL',
-        confidence: 'CONFIRMED'
+        confidence: signal.confidence || 'CONFIRMED'
       };
     }) || [];
 
@@ -182,8 +303,9 @@ export default async function handler(req, res) {
     const response = {
       success: true,
       data: {
-        // Current signal status
+        // Current signal status (default symbol when no filter is given)
         currentStatus: {
+          symbol: scanner.symbol,
           hasActiveSignal: currentStatus.hasActiveSignal,
           message: currentStatus.message,
           latest: currentStatus.latestSignal
@@ -197,6 +319,9 @@ export default async function handler(req, res) {
         filters: {
           limit: limitNum,
           type: type || 'all',
+          indicator: indicator || 'all',
+          symbol: symbolFilter || 'all',
+          timeframe: granularityFilter ? granularityLabel(granularityFilter) : 'all',
           days: daysNum,
           dateFrom: dateThreshold
         },
@@ -210,8 +335,9 @@ export default async function handler(req, res) {
         // Metadata
         meta: {
           apiVersion: '2.0',
-          symbol: scanner.symbol,
-          emaPeriods: [scanner.ema12Period, scanner.ema25Period],
+          symbol: symbolFilter || 'all',
+          emaPeriods: [scanner.fastPeriod, scanner.slowPeriod],
+          maConfig: scanner.maConfig,
           responseTime,
           timestamp: new Date().toISOString()
         }
@@ -3,9 +3,9 @@
  * Provides comprehensive scanner status including persistent state and signal information
  */
 
-import SolanaScanner from '../../../lib/solanaScanner.js';
-
-const scanner = new SolanaScanner();
+import SolanaScanner, { getDefaultSymbols, parseSymbols } from '../../../lib/solanaScanner.js';
+import { getScanScheduler, loadSchedule } from '../../../lib/scanScheduler.js';
+import { loadScannerSettings } from '../../../lib/scannerSettings.js';
 
 export default async function handler(req, res) {
   console.log(`📡 Scanner Status API called - Method: ${req.method}`);
@@ -20,19 +20,52 @@ export default async function handler(req, res) {
   try {
     const startTime = Date.now();
 
+    const configuredSymbols = getDefaultSymbols();
+    const [symbol] = req.query.symbol ? parseSymbols(req.query.symbol) : configuredSymbols;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid symbol parameter',
+        receivedSymbol: req.query.symbol
+      });
+    }
+
+    // Dashboard polling doubles as a wake-up call after a cold start
+    const scheduler = getScanScheduler();
+    await scheduler.resume();
+
+    const settings = await loadScannerSettings();
+    const scanner = new SolanaScanner({ ...settings, symbol });
+
+    // Catches scanners whose process died - their persisted status still says "running"
+    try {
+      await scanner.healthMonitor.checkStale();
+    } catch (healthError) {
+      console.error('❌ Stale scanner check failed:', healthError.message);
+    }
+
     // Get comprehensive scanner status
     const [
       scannerStatus,
       currentSignalStatus,
       recentSignals,
       stats,
-      recentHistory
+      recentHistory,
+      activeAlerts,
+      pendingCrossover,
+      schedule,
+      lease
     ] = await Promise.all([
       scanner.getScannerStatus(),
       scanner.getCurrentSignalStatus(),
       scanner.getRecentSignals(5),
       scanner.getStats(),
-      scanner.getScanHistory(5)
+      scanner.getScanHistory(5),
+      scanner.healthMonitor.getActiveAlerts(),
+      scanner.crossoverConfirmation.getPending(),
+      loadSchedule(),
+      scanner.lease.getHolder()
     ]);
 
     const responseTime = Date.now() - startTime;
@@ -64,11 +97,27 @@ export default async function handler(req, res) {
         lastScanAt: scannerStatus.lastScanAt,
         nextScanAt: scannerStatus.nextScanAt,
         scanCount: scannerStatus.scanCount || 0,
+        timeframe: scanner.timeframe,
+        granularity: scanner.granularity,
+        evaluationMode: scanner.evaluationMode,
         scanInterval: scanner.scanInterval,
         scanIntervalMinutes: scanner.scanInterval / (1000 * 60),
+        scanOffsetSeconds: scanner.scanOffsetSeconds,
         uptime: scannerStatus.startedAt ? now - new Date(scannerStatus.startedAt) : null
       },
 
+      // Persisted desired state - what a restarted process resumes
+      scheduler: {
+        desiredState: schedule?.desired_state || 'stopped',
+        mode: schedule?.mode || scheduler.mode,
+        symbols: schedule?.symbols || [],
+        activeInThisProcess: scheduler.isRunning,
+        lastTickAt: schedule?.last_tick_at || null,
+        lastTickResult: schedule?.last_tick_result || null,
+        // Instance currently allowed to scan this symbol / timeframe
+        lease
+      },
+
       // Timing information
       timing: {
         currentTime: now.toISOString(),
@@ -82,14 +131,45 @@ export default async function handler(req, res) {
         hasActiveSignal: currentSignalStatus.hasActiveSignal,
         message: currentSignalStatus.message,
         latest: currentSignalStatus.latestSignal || null,
+        // Crossover waiting for confirmation - not a signal until it confirms
+        pending: pendingCrossover
+          ? {
+            id: pendingCrossover.id,
+            type: pendingCrossover.signal_type,
+            status: 'unconfirmed',
+            barTime: pendingCrossover.bar_time,
+            detectedAt: pendingCrossover.detected_at,
+            price: pendingCrossover.price,
+            barsHeld: pendingCrossover.bars_held ?? 0,
+            barsRequired: pendingCrossover.bars_required,
+            spreadPercent: pendingCrossover.spread_percent ?? null,
+            spreadAtr: pendingCrossover.spread_atr ?? null,
+            reason: pendingCrossover.reason || null
+          }
+          : null,
+        confirmation: {
+          enabled: scanner.crossoverConfirmation.enabled,
+          ...scanner.confirmationSettings
+        },
         recentCount: recentSignals.length,
         recent: recentSignals.map(signal => ({
           id: signal.id,
           type: signal.signal_type,
+          indicator: signal.indicator || 'ema',
+          rule: signal.rule || 'crossover',
           price: signal.price,
           timestamp: signal.timestamp,
           ema12: signal.ema_12,
           ema25: signal.ema_25,
+          emaPeriods: signal.ema_fast_period && signal.ema_slow_period
+            ? [signal.ema_fast_period, signal.ema_slow_period]
+            : null,
+          maTypes: signal.ema_fast_period && signal.ema_slow_period
+            ? [signal.ma_fast_type || 'ema', signal.ma_slow_type || 'ema']
+            : null,
+          stopLoss: signal.stop_loss ?? null,
+          takeProfit: signal.take_profit ?? null,
+          riskReward: signal.risk_reward ?? null,
           age: now - new Date(signal.timestamp)
         }))
       },
@@ -99,6 +179,12 @@ export default async function handler(req, res) {
         latestPrice: stats.latestPrice,
         ema12: stats.latestEMA12,
         ema25: stats.latestEMA25,
+        emaPeriods: stats.latestEMAPeriods,
+        maConfig: stats.latestMAConfig,
+        rsi: stats.latestRSI,
+        rsiPeriod: stats.latestRSIPeriod || scanner.rsiPeriod,
+        macd: stats.latestMACD,
+        bollinger: stats.latestBollinger,
         lastPriceUpdate: stats.lastScanTime,
         emaStatus: stats.emaStatus,
         totalDataPoints: stats.totalDataPoints,
@@ -129,19 +215,29 @@ export default async function handler(req, res) {
         dataHealth: {
           priceDataAvailable: stats.totalDataPoints > 0,
           emaCalculationReady: stats.emaStatus?.ema25Ready || false,
-          recentActivity: scannerStatus.lastScanAt ? (now - new Date(scannerStatus.lastScanAt)) < (30 * 60 * 1000) : false
+          recentActivity: scannerStatus.lastScanAt ? (now - new Date(scannerStatus.lastScanAt)) < (2 * scanner.scanInterval) : false
         },
         webhookStatus: {
-          configured: !!scanner.webhookUrl,
+          configured: (await scanner.webhookQueue.getTargets()).length > 0,
           recentlySent: recentHistory.some(scan => scan.webhook_sent)
-        }
+        },
+        alerts: [...activeAlerts.values()].map(alert => ({
+          id: alert.id,
+          type: alert.alert_type,
+          message: alert.message,
+          triggeredAt: alert.triggered_at
+        }))
       },
 
       // Metadata
       meta: {
         apiVersion: '2.0',
         symbol: scanner.symbol,
-        emaPeriods: [scanner.ema12Period, scanner.ema25Period],
+        symbols: configuredSymbols,
+        timeframe: scanner.timeframe,
+        exchange: scanner.provider.name,
+        emaPeriods: [scanner.fastPeriod, scanner.slowPeriod],
+        maConfig: scanner.maConfig,
         responseTime,
         timestamp: now.toISOString()
       }
@@ -0,0 +1,65 @@
+/**
+ * Scanner Tick API
+ * Entry point for an external cron (Vercel Cron, GitHub Actions, crontab + curl) when the
+ * scanner runs in "external" mode - scans every symbol whose interval has elapsed
+ *
+ * GET/POST, authorized with CRON_SECRET as "Authorization: Bearer <secret>" only - a query
+ * parameter would end up in access and proxy logs. Without CRON_SECRET the route is closed,
+ * except in development (NODE_ENV=development)
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { getScanScheduler } from '../../../lib/scanScheduler.js';
+
+function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) return process.env.NODE_ENV === 'development';
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+export default async function handler(req, res) {
+  console.log(`⏰ Scanner Tick API called - Method: ${req.method}`);
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET', 'POST']
+    });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({
+      success: false,
+      error: process.env.CRON_SECRET
+        ? 'Invalid or missing cron secret'
+        : 'CRON_SECRET is not configured - the tick endpoint is disabled'
+    });
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await getScanScheduler().tick();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.reason || `Scanned ${result.scanned.length}, skipped ${result.skipped.length} (not due)`,
+      performance: { tickTime: Date.now() - startTime },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in scanner tick API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Scanner tick failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -1,7 +1,17 @@
-import SolanaScanner from '../../../lib/solanaScanner.js';
+/**
+ * Legacy Scanner API
+ * Kept for older clients - start/stop go through the same ScanScheduler as /api/scanner/control,
+ * so both routes share one scanner manager, one desired state and one leader lease
+ * Manual scans go through the same overlap guard - 409 while another scan is running
+ */
 
-let scannerInstance = null;
-let scannerIntervalId = null;
+import { getScanScheduler, loadSchedule } from '../../../lib/scanScheduler.js';
+
+const scheduler = getScanScheduler();
+
+async function isScheduleRunning() {
+  return scheduler.isRunning || (await loadSchedule())?.desired_state === 'running';
+}
 
 export default async function handler(req, res) {
   if (!['GET', 'POST'].includes(req.method)) {
@@ -9,19 +19,20 @@ export default async function handler(req, res) {
   }
 
   try {
-    if (!scannerInstance) {
-      scannerInstance = new SolanaScanner();
-    }
+    await scheduler.resume();
+    const scannerInstance = (await scheduler.getManager(await loadSchedule())).getScanner();
 
     if (req.method === 'GET') {
       const { action } = req.query;
 
       switch (action) {
-        case 'status':
+        case 'status': {
+          const running = await isScheduleRunning();
           return res.status(200).json({
-            status: scannerIntervalId ? 'running' : 'stopped',
-            message: scannerIntervalId ? 'Scanner is active' : 'Scanner is not running'
+            status: running ? 'running' : 'stopped',
+            message: running ? 'Scanner is active' : 'Scanner is not running'
           });
+        }
 
         case 'stats':
           const stats = await scannerInstance.getStats();
@@ -61,6 +72,11 @@ export default async function handler(req, res) {
             console.log('🔍 Manual scan requested via GET');
             // ENHANCED: Manual scan z lepszym logowaniem
             const result = await scannerInstance.scanPriceManual();
+
+            if (result.skipped) {
+              return res.status(409).json(result);
+            }
+
             console.log('✅ Manual scan completed:', {
               success: result.success,
               price: result.price,
@@ -85,7 +101,7 @@ export default async function handler(req, res) {
 
       switch (action) {
         case 'start':
-          if (scannerIntervalId) {
+          if (await isScheduleRunning()) {
             return res.status(400).json({ 
               error: 'Scanner is already running',
               status: 'running'
@@ -94,7 +110,7 @@ export default async function handler(req, res) {
 
           try {
             console.log('🚀 Starting scanner...');
-            scannerIntervalId = scannerInstance.startScanning();
+            await scheduler.start();
             return res.status(200).json({
               message: 'Scanner started successfully',
               status: 'running'
@@ -107,28 +123,23 @@ export default async function handler(req, res) {
           }
 
         case 'stop':
-          if (!scannerIntervalId) {
+          if (!(await isScheduleRunning())) {
             return res.status(400).json({ 
               error: 'Scanner is not running',
               status: 'stopped'
             });
           }
 
-          scannerInstance.stopScanning(scannerIntervalId);
-          scannerIntervalId = null;
+          await scheduler.stop();
           return res.status(200).json({
             message: 'Scanner stopped successfully',
             status: 'stopped'
           });
 
         case 'restart':
-          if (scannerIntervalId) {
-            scannerInstance.stopScanning(scannerIntervalId);
-            scannerIntervalId = null;
-          }
-
           try {
-            scannerIntervalId = scannerInstance.startScanning();
+            // start() stops a running manager first
+            await scheduler.start();
             return res.status(200).json({
               message: 'Scanner restarted successfully',
               status: 'running'
@@ -145,6 +156,14 @@ export default async function handler(req, res) {
             console.log('🔍 Single scan requested via POST');
             // ENHANCED: Single scan z lepszym logowaniem
             const scanResult = await scannerInstance.scanPriceManual();
+
+            if (scanResult.skipped) {
+              return res.status(409).json({
+                message: 'Manual scan skipped - another scan is running',
+                result: scanResult
+              });
+            }
+
             console.log('✅ Single scan completed:', {
               success: scanResult.success,
               price: scanResult.price,
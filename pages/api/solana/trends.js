@@ -1,6 +1,9 @@
 import { EnhancedSolanaScanner } from '../../../lib/emaTrendAnalyzer.js';
+import { getDefaultSymbols, parseSymbols } from '../../../lib/solanaScanner.js';
+import { loadScannerSettings } from '../../../lib/scannerSettings.js';
 
-let scannerInstance = null;
+// One analyzer per symbol
+const scannerInstances = new Map();
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -8,10 +11,18 @@ export default async function handler(req, res) {
   }
 
   try {
-    if (!scannerInstance) {
-      scannerInstance = new EnhancedSolanaScanner();
+    const [symbol] = req.query.symbol ? parseSymbols(req.query.symbol) : getDefaultSymbols();
+
+    if (!symbol) {
+      return res.status(400).json({ error: 'Invalid symbol parameter' });
+    }
+
+    if (!scannerInstances.has(symbol)) {
+      scannerInstances.set(symbol, new EnhancedSolanaScanner({ ...(await loadScannerSettings()), symbol }));
     }
 
+    const scannerInstance = scannerInstances.get(symbol);
+
     const { action } = req.query;
 
     switch (action) {
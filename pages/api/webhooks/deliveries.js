@@ -0,0 +1,124 @@
+/**
+ * Webhook Deliveries API
+ * Lists queued / failed webhook deliveries and dead letters
+ * and re-sends failed deliveries on demand
+ */
+
+import WebhookQueue from '../../../lib/webhookQueue.js';
+
+const DELIVERY_STATUSES = ['pending', 'processing', 'delivered', 'dead'];
+
+const webhookQueue = new WebhookQueue();
+
+export default async function handler(req, res) {
+  console.log(`📬 Webhook Deliveries API called - Method: ${req.method}`);
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET', 'POST']
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { status, limit = 50, includeResent = 'false' } = req.query;
+      const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}`,
+          receivedStatus: status
+        });
+      }
+
+      const [deliveries, deadLetters] = await Promise.all([
+        webhookQueue.listDeliveries({ status, limit: limitNum }),
+        webhookQueue.listDeadLetters({ includeResent: includeResent === 'true', limit: limitNum })
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          deliveries,
+          deadLetters,
+          counts: {
+            deliveries: deliveries.length,
+            pending: deliveries.filter(delivery => delivery.status === 'pending').length,
+            deadLetters: deadLetters.length
+          },
+          filters: {
+            status: status || 'all',
+            limit: limitNum,
+            includeResent: includeResent === 'true'
+          }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { action, deliveryId, deliveryIds } = req.body || {};
+
+    if (!['resend', 'process'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid action. Must be "resend" or "process"',
+        receivedAction: action
+      });
+    }
+
+    if (action === 'process') {
+      const result = await webhookQueue.processDue();
+
+      return res.status(200).json({
+        success: true,
+        action: 'processed',
+        message: `Retried ${result.processed} due deliveries, ${result.delivered} delivered`,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ids = deliveryIds || (deliveryId ? [deliveryId] : []);
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'resend requires deliveryId or deliveryIds'
+      });
+    }
+
+    const results = {};
+    for (const id of ids) {
+      try {
+        const result = await webhookQueue.resend(String(id));
+        results[id] = result
+          ? { success: result.success, status: result.status || null, deliveryStatus: result.deliveryStatus, error: result.error }
+          : { success: false, error: 'Delivery not found' };
+      } catch (resendError) {
+        results[id] = { success: false, error: resendError.message };
+      }
+    }
+
+    const delivered = Object.values(results).filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      action: 'resent',
+      message: `${delivered}/${ids.length} deliveries succeeded`,
+      data: results,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in webhook deliveries API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Webhook deliveries operation failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Webhook Endpoints API
+ * Manages the named webhook receivers and their event subscriptions
+ *
+ * GET    - list endpoints (secrets are never returned)
+ * POST   - create an endpoint (or replace the one with the same name)
+ * PUT    - update an endpoint (?id=)
+ * DELETE - remove an endpoint (?id=)
+ */
+
+import {
+  WEBHOOK_EVENTS,
+  deleteWebhookEndpoint,
+  listWebhookEndpoints,
+  saveWebhookEndpoint,
+  toPublicEndpoint,
+  updateWebhookEndpoint,
+  validateWebhookEndpoint
+} from '../../../lib/webhookEndpoints.js';
+
+export default async function handler(req, res) {
+  console.log(`🔗 Webhook Endpoints API called - Method: ${req.method}`);
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['GET', 'POST', 'PUT', 'DELETE']
+    });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const endpoints = await listWebhookEndpoints();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          endpoints: endpoints.map(toPublicEndpoint),
+          availableEvents: WEBHOOK_EVENTS
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { errors } = validateWebhookEndpoint(req.body || {});
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook endpoint',
+          details: errors
+        });
+      }
+
+      const endpoint = await saveWebhookEndpoint(req.body);
+
+      return res.status(200).json({
+        success: true,
+        action: 'saved',
+        data: toPublicEndpoint(endpoint),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const id = parseInt(req.query.id);
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid id parameter'
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { errors } = validateWebhookEndpoint(req.body || {}, { partial: true });
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook endpoint',
+          details: errors
+        });
+      }
+
+      const endpoint = await updateWebhookEndpoint(id, req.body);
+
+      if (!endpoint) {
+        return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        action: 'updated',
+        data: toPublicEndpoint(endpoint),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const deleted = await deleteWebhookEndpoint(id);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      action: 'deleted',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in webhook endpoints API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Webhook endpoints operation failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
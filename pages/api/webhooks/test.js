@@ -0,0 +1,189 @@
+/**
+ * Webhook Test API
+ * Sends a sample notification straight to a registered endpoint (not queued, no retries)
+ * so a formatter can be checked against a real channel
+ * Only stored endpoints are accepted - an arbitrary URL would make this an open request relay
+ *
+ * POST { endpointId, event? }
+ */
+
+import WebhookQueue from '../../../lib/webhookQueue.js';
+import { formatWebhookPayload } from '../../../lib/notificationFormatters.js';
+import { WEBHOOK_EVENTS, getWebhookEndpoint, isPrivateWebhookHost } from '../../../lib/webhookEndpoints.js';
+
+const webhookQueue = new WebhookQueue();
+
+function buildSamplePayload(event, symbol = 'SOL-USD') {
+  const timestamp = new Date().toISOString();
+  const webhookId = `${symbol.toLowerCase()}_${Date.now()}_${event}_test`;
+  const isBullish = event === 'bullish' || event === 'macd_bullish';
+  // ATR 1.25, stop 1.5 ATR, take-profit 3 ATR from 142.3512
+  const riskLevels = {
+    stop_loss: isBullish ? 140.4762 : 144.2262,
+    take_profit: isBullish ? 146.1012 : 138.6012,
+    risk_reward: 2,
+    atr: 1.25,
+    atr_period: 14,
+    atr_multiples: { stop_loss: 1.5, take_profit: 3 }
+  };
+
+  if (event === 'macd_bullish' || event === 'macd_bearish') {
+    const type = event.replace('macd_', '');
+
+    return {
+      event: 'macd_signal_detected',
+      timestamp,
+      symbol,
+      timeframe: '1h',
+      exchange: 'Coinbase',
+      signal: {
+        type,
+        direction: type === 'bullish' ? 'BUY' : 'SELL',
+        indicator: 'macd',
+        rule: 'signal_cross',
+        confidence: 'TEST'
+      },
+      price: { current: 142.3512, volume_24h: 1250000 },
+      technical_analysis: {
+        macd: type === 'bullish' ? 0.4215 : -0.4215,
+        macd_signal: type === 'bullish' ? 0.3987 : -0.3987,
+        macd_histogram: type === 'bullish' ? 0.0228 : -0.0228,
+        macd_periods: [12, 26, 9]
+      },
+      context: { scan_type: 'test' },
+      next_action: {
+        suggested: type === 'bullish' ? 'ANALYZE_FOR_ENTRY' : 'ANALYZE_FOR_EXIT',
+        webhook_id: webhookId,
+        ...riskLevels
+      }
+    };
+  }
+
+  if (event !== 'bullish' && event !== 'bearish') {
+    return {
+      event,
+      timestamp,
+      symbol,
+      timeframe: '1h',
+      exchange: 'Coinbase',
+      scanner: { test: true },
+      details: event === 'scanner_error' ? { error: 'Sample scanner error' } : {}
+    };
+  }
+
+  return {
+    event: 'ema_crossover_detected',
+    timestamp,
+    symbol,
+    timeframe: '1h',
+    exchange: 'Coinbase',
+    signal: {
+      type: event,
+      direction: event === 'bullish' ? 'BUY' : 'SELL',
+      confidence: 'TEST'
+    },
+    price: { current: 142.3512, volume_24h: 1250000 },
+    technical_analysis: {
+      ema_12: event === 'bullish' ? 142.1021 : 141.8734,
+      ema_25: 141.9876,
+      ema_fast_period: 12,
+      ema_slow_period: 25,
+      rsi: event === 'bullish' ? 58.4 : 41.6,
+      rsi_period: 14,
+      rsi_state: 'neutral'
+    },
+    context: { scan_type: 'test' },
+    next_action: {
+      suggested: event === 'bullish' ? 'ANALYZE_FOR_ENTRY' : 'ANALYZE_FOR_EXIT',
+      webhook_id: webhookId,
+      ...riskLevels
+    }
+  };
+}
+
+export default async function handler(req, res) {
+  console.log(`🧪 Webhook Test API called - Method: ${req.method}`);
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      allowedMethods: ['POST']
+    });
+  }
+
+  try {
+    const { endpointId, event = 'bullish', symbol } = req.body || {};
+
+    if (!WEBHOOK_EVENTS[event]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid event. Use one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`,
+        receivedEvent: event
+      });
+    }
+
+    if (!endpointId || !Number.isInteger(Number(endpointId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'endpointId is required - register the target through /api/webhooks/endpoints first'
+      });
+    }
+
+    const endpoint = await getWebhookEndpoint(parseInt(endpointId));
+
+    if (!endpoint) {
+      return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    }
+
+    // Endpoints stored before private hosts were rejected
+    if (isPrivateWebhookHost(new URL(endpoint.url).hostname)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Endpoint URL points to a private, loopback or link-local address'
+      });
+    }
+
+    const target = {
+      url: endpoint.url,
+      secret: endpoint.secret,
+      format: endpoint.format || 'json',
+      formatOptions: endpoint.format_options || {}
+    };
+
+    const payload = buildSamplePayload(event, symbol);
+    const body = formatWebhookPayload(target.format, payload, target.formatOptions);
+
+    const result = await webhookQueue.send(target, {
+      delivery_id: `test_${Date.now()}`,
+      event,
+      payload
+    });
+
+    res.status(200).json({
+      success: result.success,
+      message: result.success
+        ? `Test ${target.format} notification delivered`
+        : `Test ${target.format} notification failed`,
+      data: {
+        url: target.url,
+        format: target.format,
+        event,
+        status: result.status || null,
+        // The receiver's response body is never echoed - the route must not read remote content back
+        error: result.success ? undefined : (result.status ? `Endpoint responded with HTTP ${result.status}` : result.error),
+        body: JSON.parse(body)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error in webhook test API:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Webhook test failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Backtest Results Page
+ * Runs the EMA crossover strategy over stored or imported data and shows performance
+ */
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { AlertCircle, BarChart3, Play, RefreshCw, TrendingDown, TrendingUp, Upload } from 'lucide-react';
+
+const TIMEFRAMES = ['1m', '5m', '15m', '1h', '6h', '1d'];
+const MA_TYPES = ['sma', 'ema', 'wma', 'dema', 'tema', 'hma'];
+
+const EquityCurve = ({ points }) => {
+  if (!points || points.length < 2) return null;
+
+  const width = 800;
+  const height = 200;
+  const values = points.map(point => point.equity);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const path = points.map((point, index) => {
+    const x = (index / (points.length - 1)) * width;
+    const y = height - ((point.equity - min) / range) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48" preserveAspectRatio="none">
+      <polyline points={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const BacktestPage = () => {
+  const [form, setForm] = useState({
+    symbol: 'SOL-USD',
+    granularity: '15m',
+    fastPeriod: 12,
+    slowPeriod: 25,
+    fastMaType: 'ema',
+    slowMaType: 'ema',
+    initialCapital: 10000,
+    feePercent: 0.1,
+    allowShort: false,
+    source: 'stored'
+  });
+  const [importedCandles, setImportedCandles] = useState(null);
+  const [importedFileName, setImportedFileName] = useState(null);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const content = JSON.parse(await file.text());
+      const candles = Array.isArray(content) ? content : content.candles;
+
+      if (!Array.isArray(candles)) {
+        throw new Error('File must contain a JSON array of candles');
+      }
+
+      setImportedCandles(candles);
+      setImportedFileName(`${file.name} (${candles.length} candles)`);
+      setForm(prev => ({ ...prev, source: 'candles' }));
+      setError(null);
+    } catch (err) {
+      setError(`Could not read candle file: ${err.message}`);
+    }
+  };
+
+  const runBacktest = async () => {
+    setRunning(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/backtest', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          candles: form.source === 'candles' ? importedCandles : undefined
+        })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setResult(data.data);
+      } else {
+        throw new Error(data.message || data.details?.join(', ') || data.error || 'Backtest failed');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const formatMoney = (value) => value !== null && value !== undefined ? `$${value.toFixed(2)}` : 'N/A';
+  const formatPercent = (value) => value !== null && value !== undefined ? `${value.toFixed(2)}%` : 'N/A';
+  const summary = result?.summary;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">EMA Crossover Backtest</h1>
+            <p className="text-gray-600 mt-1">
+              Replay stored prices or an imported candle file through the live crossover logic
+            </p>
+          </div>
+          <Link href="/dashboard" className="text-blue-600 hover:text-blue-700 text-sm font-medium">
+            ← Back to Dashboard
+          </Link>
+        </div>
+
+        {/* Error Alert */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-center">
+              <AlertCircle className="w-5 h-5 text-red-600 mr-2" />
+              <span className="text-red-800">{error}</span>
+            </div>
+          </div>
+        )}
+
+        {/* Settings */}
+        <div className="bg-white rounded-lg shadow p-6 mb-8">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Settings</h2>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <label className="text-sm text-gray-700">
+              Symbol
+              <input value={form.symbol} onChange={updateField('symbol')}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg font-mono" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Timeframe
+              <select value={form.granularity} onChange={updateField('granularity')}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                {TIMEFRAMES.map(timeframe => <option key={timeframe} value={timeframe}>{timeframe}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Fast MA
+              <div className="mt-1 flex space-x-2">
+                <select value={form.fastMaType} onChange={updateField('fastMaType')}
+                  className="px-2 py-2 border border-gray-300 rounded-lg">
+                  {MA_TYPES.map(type => <option key={type} value={type}>{type.toUpperCase()}</option>)}
+                </select>
+                <input type="number" value={form.fastPeriod} onChange={updateField('fastPeriod')}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+              </div>
+            </label>
+            <label className="text-sm text-gray-700">
+              Slow MA
+              <div className="mt-1 flex space-x-2">
+                <select value={form.slowMaType} onChange={updateField('slowMaType')}
+                  className="px-2 py-2 border border-gray-300 rounded-lg">
+                  {MA_TYPES.map(type => <option key={type} value={type}>{type.toUpperCase()}</option>)}
+                </select>
+                <input type="number" value={form.slowPeriod} onChange={updateField('slowPeriod')}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg" />
+              </div>
+            </label>
+            <label className="text-sm text-gray-700">
+              Initial Capital
+              <input type="number" value={form.initialCapital} onChange={updateField('initialCapital')}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Fee per side (%)
+              <input type="number" step="0.01" value={form.feePercent} onChange={updateField('feePercent')}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">
+              Data Source
+              <select value={form.source} onChange={updateField('source')}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                <option value="stored">Stored price data</option>
+                <option value="candles" disabled={!importedCandles}>Imported candle file</option>
+              </select>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mt-6">
+              <input type="checkbox" checked={form.allowShort} onChange={updateField('allowShort')} />
+              <span>Allow short positions</span>
+            </label>
+          </div>
+
+          <div className="flex items-center space-x-4 mt-6">
+            <button
+              onClick={runBacktest}
+              disabled={running}
+              className="flex items-center space-x-2 px-6 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {running ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Play className="w-5 h-5" />}
+              <span>{running ? 'Running...' : 'Run Backtest'}</span>
+            </button>
+
+            <label className="flex items-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 cursor-pointer">
+              <Upload className="w-5 h-5" />
+              <span>Import Candles (JSON)</span>
+              <input type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+            </label>
+
+            {importedFileName && (
+              <span className="text-sm text-gray-600">{importedFileName}</span>
+            )}
+          </div>
+        </div>
+
+        {result && (
+          <>
+            {/* Summary Cards */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Net Profit</p>
+                <p className={`text-2xl font-bold ${summary.netProfit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatMoney(summary.netProfit)}
+                </p>
+                <p className="text-sm text-gray-500">{formatPercent(summary.returnPercent)} return</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Win Rate</p>
+                <p className="text-2xl font-bold text-gray-900">{formatPercent(summary.winRate)}</p>
+                <p className="text-sm text-gray-500">
+                  {summary.winningTrades}W / {summary.losingTrades}L of {summary.totalTrades} trades
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Profit Factor</p>
+                <p className="text-2xl font-bold text-gray-900">
+                  {summary.profitFactor !== null ? summary.profitFactor.toFixed(2) : (summary.grossProfit > 0 ? '∞' : 'N/A')}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {formatMoney(summary.grossProfit)} / {formatMoney(summary.grossLoss)}
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-6">
+                <p className="text-sm font-medium text-gray-600">Max Drawdown</p>
+                <p className="text-2xl font-bold text-red-600">{formatMoney(summary.maxDrawdown)}</p>
+                <p className="text-sm text-gray-500">{formatPercent(summary.maxDrawdownPercent)}</p>
+              </div>
+            </div>
+
+            {/* Equity Curve */}
+            <div className="bg-white rounded-lg shadow p-6 mb-8">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-bold text-gray-900">Equity Curve</h2>
+                <div className="flex items-center text-sm text-gray-500">
+                  <BarChart3 className="w-4 h-4 mr-1" />
+                  {result.meta.symbol} {result.meta.timeframe} · {result.period.bars} bars ·{' '}
+                  {new Date(result.period.from).toLocaleDateString()} – {new Date(result.period.to).toLocaleDateString()}
+                </div>
+              </div>
+              <EquityCurve points={result.equityCurve} />
+              <div className="flex justify-between text-sm text-gray-500 mt-2">
+                <span>Start: {formatMoney(result.config.initialCapital)}</span>
+                <span>End: {formatMoney(summary.finalEquity)}</span>
+              </div>
+            </div>
+
+            {/* Trades */}
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-6">Trades</h2>
+
+              {result.trades.length > 0 ? (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        {['Side', 'Entry', 'Exit', 'Bars', 'P&L', 'Return'].map(heading => (
+                          <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            {heading}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {result.trades.map((trade) => (
+                        <tr key={trade.entryTime} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap">
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                              trade.side === 'long' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100'
+                            }`}>
+                              {trade.side === 'long' ? (
+                                <TrendingUp className="w-3 h-3 mr-1" />
+                              ) : (
+                                <TrendingDown className="w-3 h-3 mr-1" />
+                              )}
+                              {trade.side.toUpperCase()}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            <div>{formatMoney(trade.entryPrice)}</div>
+                            <div className="text-xs text-gray-500">{new Date(trade.entryTime).toLocaleString()}</div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            <div>{formatMoney(trade.exitPrice)}</div>
+                            <div className="text-xs text-gray-500">
+                              {new Date(trade.exitTime).toLocaleString()}
+                              {trade.exitReason === 'end_of_data' && ' (end of data)'}
+                            </div>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{trade.barsHeld}</td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${trade.pnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatMoney(trade.pnl)}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {formatPercent(trade.returnPercent)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <div className="text-center py-12">
+                  <p className="text-gray-500">No crossovers in the selected data</p>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BacktestPage;
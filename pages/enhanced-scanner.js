@@ -5,19 +5,22 @@
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { AlertCircle, Play, Pause, Activity, TrendingUp, TrendingDown, 
-         Settings, Webhook, Clock, Database, Signal, BarChart3, RefreshCw } from 'lucide-react';
+         Settings, Webhook, Clock, Database, Signal, BarChart3, RefreshCw, Wallet } from 'lucide-react';
 
 const EnhancedScannerDashboard = () => {
   // Core state
   const [status, setStatus] = useState(null);
   const [signals, setSignals] = useState([]);
+  const [paperAccount, setPaperAccount] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selectedSymbol, setSelectedSymbol] = useState('');
   
   // Control state
   const [isStarting, setIsStarting] = useState(false);
   const [isStopping, setIsStopping] = useState(false);
   const [webhookUrl, setWebhookUrl] = useState('');
+  const [webhookSecret, setWebhookSecret] = useState('');
   const [showWebhookConfig, setShowWebhookConfig] = useState(false);
   
   // Display state
@@ -32,7 +35,8 @@ const EnhancedScannerDashboard = () => {
   // Fetch status from enhanced API
   const fetchStatus = useCallback(async () => {
     try {
-      const response = await fetch('/api/scanner/status');
+      const query = selectedSymbol ? `?symbol=${encodeURIComponent(selectedSymbol)}` : '';
+      const response = await fetch(`/api/scanner/status${query}`);
       const data = await response.json();
       
       if (data.success) {
@@ -46,12 +50,13 @@ const EnhancedScannerDashboard = () => {
       console.error('Error fetching status:', err);
       setError(err.message);
     }
-  }, []);
+  }, [selectedSymbol]);
 
   // Fetch signals from enhanced API
   const fetchSignals = useCallback(async () => {
     try {
-      const response = await fetch('/api/scanner/signals?limit=10&includeStats=true');
+      const symbolQuery = selectedSymbol ? `&symbol=${encodeURIComponent(selectedSymbol)}` : '';
+      const response = await fetch(`/api/scanner/signals?limit=10&includeStats=true${symbolQuery}`);
       const data = await response.json();
       
       if (data.success) {
@@ -60,6 +65,18 @@ const EnhancedScannerDashboard = () => {
     } catch (err) {
       console.error('Error fetching signals:', err);
     }
+  }, [selectedSymbol]);
+
+  // Fetch simulated account - only available once the paper trading tables exist
+  const fetchPaperAccount = useCallback(async () => {
+    try {
+      const response = await fetch('/api/paper/account');
+      const data = await response.json();
+
+      setPaperAccount(data.success ? data.data : null);
+    } catch (err) {
+      console.error('Error fetching paper account:', err);
+    }
   }, []);
 
   // Start scanner with webhook support
@@ -71,7 +88,8 @@ const EnhancedScannerDashboard = () => {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ 
           action: 'start',
-          webhookUrl: webhookUrl || undefined
+          webhookUrl: webhookUrl || undefined,
+          webhookSecret: webhookSecret || undefined
         })
       });
       
@@ -117,7 +135,7 @@ const EnhancedScannerDashboard = () => {
   // Manual refresh
   const handleRefresh = async () => {
     setLoading(true);
-    await Promise.all([fetchStatus(), fetchSignals()]);
+    await Promise.all([fetchStatus(), fetchSignals(), fetchPaperAccount()]);
     setLoading(false);
   };
 
@@ -127,6 +145,7 @@ const EnhancedScannerDashboard = () => {
       intervalRef.current = setInterval(() => {
         fetchStatus();
         fetchSignals();
+        fetchPaperAccount();
       }, 10000); // Refresh every 10 seconds
     }
 
@@ -135,7 +154,7 @@ const EnhancedScannerDashboard = () => {
         clearInterval(intervalRef.current);
       }
     };
-  }, [autoRefresh, fetchStatus, fetchSignals]);
+  }, [autoRefresh, fetchStatus, fetchSignals, fetchPaperAccount]);
 
   // Setup countdown timer
   useEffect(() => {
@@ -164,19 +183,28 @@ const EnhancedScannerDashboard = () => {
     };
   }, [status]);
 
+  // Preselect the market from notification links (?symbol=SOL-USD)
+  useEffect(() => {
+    const symbol = new URLSearchParams(window.location.search).get('symbol');
+    if (symbol) setSelectedSymbol(symbol.toUpperCase());
+  }, []);
+
   // Initial load
   useEffect(() => {
     const loadData = async () => {
       setLoading(true);
-      await Promise.all([fetchStatus(), fetchSignals()]);
+      await Promise.all([fetchStatus(), fetchSignals(), fetchPaperAccount()]);
       setLoading(false);
     };
     
     loadData();
-  }, [fetchStatus, fetchSignals]);
+  }, [fetchStatus, fetchSignals, fetchPaperAccount]);
 
   // Helper functions
   const formatPrice = (price) => price ? `$${parseFloat(price).toFixed(4)}` : 'N/A';
+  const formatPnl = (value) => value !== null && value !== undefined
+    ? `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`
+    : 'N/A';
   const formatTimeAgo = (timestamp) => {
     if (!timestamp) return 'Never';
     const diff = Date.now() - new Date(timestamp);
@@ -194,6 +222,8 @@ const EnhancedScannerDashboard = () => {
     return isRunning ? 'text-green-600 bg-green-100' : 'text-gray-600 bg-gray-100';
   };
 
+  const emaPeriods = status?.market?.emaPeriods || status?.meta?.emaPeriods || [12, 25];
+
   const getSignalColor = (type) => {
     return type === 'bullish' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100';
   };
@@ -222,6 +252,17 @@ const EnhancedScannerDashboard = () => {
               </p>
             </div>
             <div className="flex items-center space-x-4">
+              {status?.meta?.symbols?.length > 1 && (
+                <select
+                  value={selectedSymbol || status.meta.symbol}
+                  onChange={(e) => setSelectedSymbol(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                >
+                  {status.meta.symbols.map((symbol) => (
+                    <option key={symbol} value={symbol}>{symbol}</option>
+                  ))}
+                </select>
+              )}
               <button
                 onClick={() => setAutoRefresh(!autoRefresh)}
                 className={`px-3 py-2 rounded-lg text-sm font-medium ${
@@ -292,7 +333,7 @@ const EnhancedScannerDashboard = () => {
           <div className="bg-white rounded-lg shadow p-6">
             <div className="flex items-center justify-between">
               <div>
-                <p className="text-sm font-medium text-gray-600">SOL Price</p>
+                <p className="text-sm font-medium text-gray-600">{status?.meta?.symbol || 'SOL-USD'} Price</p>
                 <p className="text-2xl font-bold text-gray-900">
                   {formatPrice(status?.market?.latestPrice)}
                 </p>
@@ -311,10 +352,26 @@ const EnhancedScannerDashboard = () => {
                 <p className="text-sm font-medium text-gray-600">EMA Status</p>
                 <div className="mt-1">
                   <p className="text-sm">
-                    EMA12: <span className="font-mono">{status?.market?.ema12?.toFixed(4) || 'N/A'}</span>
+                    EMA{emaPeriods[0]}: <span className="font-mono">{status?.market?.ema12?.toFixed(4) || 'N/A'}</span>
+                  </p>
+                  <p className="text-sm">
+                    EMA{emaPeriods[1]}: <span className="font-mono">{status?.market?.ema25?.toFixed(4) || 'N/A'}</span>
+                  </p>
+                  <p className="text-sm">
+                    RSI{status?.market?.rsiPeriod || 14}: <span className="font-mono">{status?.market?.rsi?.toFixed(1) ?? 'N/A'}</span>
+                  </p>
+                  <p className="text-sm">
+                    MACD Hist: <span className="font-mono">{status?.market?.macd?.histogram?.toFixed(4) ?? 'N/A'}</span>
                   </p>
                   <p className="text-sm">
-                    EMA25: <span className="font-mono">{status?.market?.ema25?.toFixed(4) || 'N/A'}</span>
+                    BB Width: <span className="font-mono">{status?.market?.bollinger?.bandwidth?.toFixed(4) ?? 'N/A'}</span>
+                    {status?.market?.bollinger?.breakout ? (
+                      <span className="ml-2 text-xs font-medium text-blue-600">
+                        Breakout {status.market.bollinger.breakout}
+                      </span>
+                    ) : status?.market?.bollinger?.squeeze && (
+                      <span className="ml-2 text-xs font-medium text-yellow-600">Squeeze</span>
+                    )}
                   </p>
                 </div>
                 <div className="flex items-center mt-2">
@@ -421,6 +478,21 @@ const EnhancedScannerDashboard = () => {
                     URL that will receive EMA crossover notifications
                   </p>
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Signing Secret
+                  </label>
+                  <input
+                    type="password"
+                    value={webhookSecret}
+                    onChange={(e) => setWebhookSecret(e.target.value)}
+                    placeholder="Optional shared secret"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <p className="text-sm text-gray-500 mt-1">
+                    Deliveries are signed with HMAC-SHA256 in the X-BOB13-Signature header
+                  </p>
+                </div>
                 <div className="text-sm text-gray-600">
                   <p className="font-medium mb-2">Webhook Payload Example:</p>
                   <pre className="bg-gray-100 p-3 rounded text-xs overflow-x-auto">
@@ -488,6 +560,20 @@ const EnhancedScannerDashboard = () => {
                 </div>
               </div>
 
+              {status?.health?.alerts?.length > 0 && (
+                <div className="space-y-2">
+                  {status.health.alerts.map(alert => (
+                    <div key={alert.id || alert.type} className="flex items-start p-3 bg-red-50 border border-red-200 rounded-lg">
+                      <AlertCircle className="w-4 h-4 text-red-600 mr-2 mt-0.5 flex-shrink-0" />
+                      <div className="text-sm">
+                        <p className="font-medium text-red-800">{alert.message}</p>
+                        <p className="text-red-600">Since {new Date(alert.triggeredAt).toLocaleString()}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="pt-4 border-t">
                 <div className="flex items-center justify-between text-sm">
                   <span className="text-gray-600">Total Data Points</span>
@@ -511,9 +597,22 @@ const EnhancedScannerDashboard = () => {
                 <span className="text-sm font-medium font-mono">{status?.meta?.symbol || 'SOL-USD'}</span>
               </div>
               
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">Exchange</span>
+                <span className="text-sm font-medium font-mono">{status?.meta?.exchange || 'coinbase'}</span>
+              </div>
+              
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-600">Timeframe</span>
+                <span className="text-sm font-medium font-mono">{status?.scanner?.timeframe || '15m'}</span>
+              </div>
+              
               <div className="flex items-center justify-between">
                 <span className="text-sm text-gray-600">Scan Interval</span>
-                <span className="text-sm font-medium">{status?.scanner?.scanIntervalMinutes || 15} minutes</span>
+                <span className="text-sm font-medium">
+                  {status?.scanner?.scanIntervalMinutes || 15} minutes
+                  {status?.scanner?.scanOffsetSeconds !== undefined && ` (+${status.scanner.scanOffsetSeconds}s after close)`}
+                </span>
               </div>
               
               <div className="flex items-center justify-between">
@@ -551,6 +650,93 @@ const EnhancedScannerDashboard = () => {
           </div>
         </div>
 
+        {/* Paper Trading */}
+        {paperAccount && (
+          <div className="bg-white rounded-lg shadow p-6 mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-bold text-gray-900">Paper Trading</h2>
+              <Wallet className="w-6 h-6 text-gray-400" />
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <div>
+                <p className="text-sm text-gray-600">Equity</p>
+                <p className="text-xl font-bold text-gray-900">${paperAccount.account.equity.toFixed(2)}</p>
+                <p className="text-xs text-gray-500">
+                  {paperAccount.account.totalReturnPercent.toFixed(2)}% since ${paperAccount.account.startingBalance.toFixed(0)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Cash</p>
+                <p className="text-xl font-bold text-gray-900">${paperAccount.account.cashBalance.toFixed(2)}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Realized P&amp;L</p>
+                <p className={`text-xl font-bold ${paperAccount.account.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatPnl(paperAccount.account.realizedPnl)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Unrealized P&amp;L</p>
+                <p className={`text-xl font-bold ${paperAccount.account.unrealizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatPnl(paperAccount.account.unrealizedPnl)}
+                </p>
+              </div>
+            </div>
+
+            {paperAccount.openPositions.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Position', 'Size', 'Entry', 'Current', 'Unrealized', 'Opened'].map(heading => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {paperAccount.openPositions.map((position) => (
+                      <tr key={position.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                            position.side === 'long' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100'
+                          }`}>
+                            {position.side === 'long' ? (
+                              <TrendingUp className="w-3 h-3 mr-1" />
+                            ) : (
+                              <TrendingDown className="w-3 h-3 mr-1" />
+                            )}
+                            {position.side.toUpperCase()} {position.symbol}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {position.quantity.toFixed(4)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatPrice(position.entryPrice)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatPrice(position.currentPrice)}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${position.unrealizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {formatPnl(position.unrealizedPnl)} ({position.unrealizedPercent.toFixed(2)}%)
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatTimeAgo(position.openedAt)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 text-center py-4">No open paper positions</p>
+            )}
+          </div>
+        )}
+
         {/* Recent Signals */}
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-6">
@@ -562,6 +748,12 @@ const EnhancedScannerDashboard = () => {
                   Active Signal
                 </span>
               )}
+              {status?.signals?.pending && (
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800" title={status.signals.pending.reason || ''}>
+                  <Clock className="w-3 h-3 mr-1" />
+                  Unconfirmed {status.signals.pending.type} ({status.signals.pending.barsHeld}/{status.signals.pending.barsRequired} bars)
+                </span>
+              )}
               <span className="text-sm text-gray-500">
                 Last {signals.length} signals
               </span>
@@ -601,16 +793,34 @@ const EnhancedScannerDashboard = () => {
                           )}
                           {signal.type.toUpperCase()}
                         </span>
+                        {signal.indicator === 'macd' && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            MACD {signal.rule === 'zero_cross' ? 'zero cross' : 'signal cross'}
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">
                           {formatPrice(signal.price)}
                         </div>
+                        {signal.riskLevels && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            <div>SL: <span className="text-red-600">{formatPrice(signal.riskLevels.stopLoss)}</span></div>
+                            <div>TP: <span className="text-green-600">{formatPrice(signal.riskLevels.takeProfit)}</span></div>
+                            <div>R:R 1:{Number(signal.riskLevels.riskReward).toFixed(2)}</div>
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
-                          <div>EMA12: {signal.ema12?.toFixed(4) || 'N/A'}</div>
-                          <div>EMA25: {signal.ema25?.toFixed(4) || 'N/A'}</div>
+                          <div>EMA{signal.emaPeriods?.[0] || 12}: {signal.ema12?.toFixed(4) || 'N/A'}</div>
+                          <div>EMA{signal.emaPeriods?.[1] || 25}: {signal.ema25?.toFixed(4) || 'N/A'}</div>
+                          {signal.rsi !== null && signal.rsi !== undefined && (
+                            <div>RSI{signal.rsiPeriod || 14}: {signal.rsi.toFixed(1)}</div>
+                          )}
+                          {signal.confidence === 'LOW' && (
+                            <div className="text-xs text-yellow-700">Low confidence (RSI)</div>
+                          )}
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
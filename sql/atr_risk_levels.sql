@@ -0,0 +1,16 @@
+-- ===========================================
+-- MIGRACJA: POZIOMY RYZYKA Z ATR (STOP-LOSS / TAKE-PROFIT)
+-- ===========================================
+-- Każdy sygnał zapisuje ATR (Average True Range ze świec OHLC) z chwili wykrycia
+-- oraz sugerowane poziomy w wielokrotnościach ATR od ceny sygnału:
+--   bullish: stop_loss = cena - k_sl * ATR, take_profit = cena + k_tp * ATR
+--   bearish: odwrotnie
+-- risk_reward = odległość do take-profit / odległość do stop-loss.
+-- Kolumny są puste, gdy świec nie udało się pobrać.
+-- ===========================================
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS atr DECIMAL(18, 8);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS atr_period INTEGER;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS stop_loss DECIMAL(18, 8);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS take_profit DECIMAL(18, 8);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS risk_reward DECIMAL(8, 2);
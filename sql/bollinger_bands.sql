@@ -0,0 +1,20 @@
+-- ===========================================
+-- MIGRACJA: BOLLINGER BANDS (SQUEEZE I WYBICIA)
+-- ===========================================
+-- Wstęgi Bollingera liczone przy każdym skanie (okres i mnożnik odchylenia z ustawień skanera).
+--   bb_bandwidth = (górna - dolna) / środkowa
+--   bb_squeeze   = bandwidth na najniższym poziomie z ostatnich N świec
+--   bb_breakout  = 'up' / 'down' gdy cena zamknęła się poza wstęgą
+-- Sygnały zapisują stan zmienności z chwili wykrycia, żeby odróżnić
+-- przecięcie w squeeze od przecięcia razem z wybiciem.
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_upper DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_middle DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_lower DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_bandwidth DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_squeeze BOOLEAN;
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bb_breakout VARCHAR(4) CHECK (bb_breakout IN ('up', 'down'));
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS bb_squeeze BOOLEAN;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS bb_breakout VARCHAR(4) CHECK (bb_breakout IN ('up', 'down'));
@@ -0,0 +1,32 @@
+-- ===========================================
+-- MIGRACJA: PEŁNE ŚWIECE OHLCV
+-- ===========================================
+-- sol_price_data zapisuje tylko cenę z tickera w chwili skanu.
+-- candles przechowuje zamknięte świece (open/high/low/close/volume) z giełdy,
+-- jeden wiersz na symbol, interwał i czas otwarcia świecy.
+-- Zapis przez upsert na tym kluczu - ponowne pobranie tego samego zakresu
+-- nadpisuje wiersze zamiast tworzyć duplikaty.
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS candles (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL,
+    granularity INTEGER NOT NULL DEFAULT 900,
+    open_time TIMESTAMPTZ NOT NULL,
+    open DECIMAL(18, 8) NOT NULL,
+    high DECIMAL(18, 8) NOT NULL,
+    low DECIMAL(18, 8) NOT NULL,
+    close DECIMAL(18, 8) NOT NULL,
+    volume DECIMAL(24, 8) DEFAULT 0,
+    source VARCHAR(20),                     -- dostawca danych (coinbase, binance, mock)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (symbol, granularity, open_time)
+);
+
+-- RLS
+ALTER TABLE candles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for candles" ON candles;
+CREATE POLICY "Enable all access for candles" ON candles
+    FOR ALL USING (true) WITH CHECK (true);
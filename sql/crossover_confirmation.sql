@@ -0,0 +1,50 @@
+-- ===========================================
+-- MIGRACJA: POTWIERDZANIE PRZECIĘĆ EMA
+-- ===========================================
+-- Przecięcie EMA nie staje się od razu sygnałem - najpierw trafia do pending_crossovers
+-- jako niepotwierdzone (status = 'pending'). Zostaje potwierdzone ('confirmed'), gdy
+-- utrzyma się przez confirmation_bars zamkniętych świec i różnica EMA przekroczy
+-- minSpreadPercent (% ceny) / minSpreadAtr (ułamek ATR). Jeśli EMA przetną się z powrotem
+-- wcześniej, przecięcie jest unieważniane ('invalidated').
+-- Wszystkie progi = 0 wyłączają potwierdzanie (sygnał od razu, jak dotychczas).
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS pending_crossovers (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD',
+    granularity INTEGER NOT NULL DEFAULT 900,
+    signal_type VARCHAR(10) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    -- Czas otwarcia świecy, na której wystąpiło przecięcie
+    bar_time TIMESTAMPTZ NOT NULL,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    price DECIMAL(20, 8),
+    ema_fast DECIMAL(20, 8),
+    ema_slow DECIMAL(20, 8),
+    bars_required INTEGER NOT NULL DEFAULT 0,
+    min_spread_percent DECIMAL(10, 4) NOT NULL DEFAULT 0,
+    min_spread_atr DECIMAL(10, 4) NOT NULL DEFAULT 0,
+    bars_held INTEGER DEFAULT 0,
+    spread_percent DECIMAL(12, 6),
+    spread_atr DECIMAL(12, 6),
+    reason TEXT,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Najwyżej jedno niepotwierdzone przecięcie na skaner
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_crossovers_pending
+    ON pending_crossovers(symbol, granularity) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_pending_crossovers_bar
+    ON pending_crossovers(symbol, granularity, bar_time, signal_type);
+
+-- Sygnał z potwierdzonego przecięcia: świeca przecięcia i liczba świec do potwierdzenia
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS crossover_bar_time TIMESTAMPTZ;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS confirmation_bars INTEGER;
+
+-- RLS
+ALTER TABLE pending_crossovers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for pending_crossovers" ON pending_crossovers;
+CREATE POLICY "Enable all access for pending_crossovers" ON pending_crossovers
+    FOR ALL USING (true) WITH CHECK (true);
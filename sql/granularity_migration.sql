@@ -0,0 +1,19 @@
+-- ===========================================
+-- MIGRACJA: WYBÓR INTERWAŁU ŚWIEC
+-- ===========================================
+-- Dane cenowe, sygnały i historia skanów są kluczowane interwałem świec
+-- w sekundach (60, 300, 900, 3600, 21600, 86400).
+-- Istniejące wiersze pochodzą ze skanera 15-minutowego (900).
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS granularity INTEGER NOT NULL DEFAULT 900;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS granularity INTEGER NOT NULL DEFAULT 900;
+ALTER TABLE scan_history ADD COLUMN IF NOT EXISTS granularity INTEGER NOT NULL DEFAULT 900;
+
+-- Indeksy dla zapytań filtrowanych po symbolu i interwale
+CREATE INDEX IF NOT EXISTS idx_sol_price_symbol_granularity_timestamp
+    ON sol_price_data(symbol, granularity, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_ema_signals_symbol_granularity_timestamp
+    ON ema_signals(symbol, granularity, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_scan_history_symbol_granularity_timestamp
+    ON scan_history(symbol, granularity, timestamp DESC);
@@ -0,0 +1,35 @@
+-- ===========================================
+-- MIGRACJA: STAN WSKAŹNIKÓW (PRZYROSTOWE ŚREDNIE)
+-- ===========================================
+-- Ostatnie wartości szybkiej i wolnej linii na symbol / interwał / typ / okres.
+-- Przy każdej nowej zamkniętej świecy skaner przesuwa je o jedną świecę zamiast
+-- liczyć średnie od zera. Pełne przeliczenie następuje tylko przy zimnym starcie
+-- albo gdy zapisana świeca nie należy do bieżącej serii (dziura w danych).
+--   levels         - kolejne EMA (ema: [EMA], dema: [EMA, EMA(EMA)], tema: 3 poziomy)
+--   bar_time       - czas otwarcia ostatniej uwzględnionej zamkniętej świecy
+--   value          - wartość średniej na tej świecy
+--   previous_value - wartość na świecy poprzedniej (do wykrywania przecięć)
+-- SMA / WMA / HMA liczone są z krótkiego okna cen i nie mają stanu.
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS indicator_state (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD',
+    granularity INTEGER NOT NULL DEFAULT 900,
+    ma_type VARCHAR(10) NOT NULL,
+    period INTEGER NOT NULL,
+    bar_time TIMESTAMPTZ NOT NULL,
+    levels JSONB NOT NULL,
+    value DOUBLE PRECISION,
+    previous_value DOUBLE PRECISION,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(symbol, granularity, ma_type, period)
+);
+
+-- RLS
+ALTER TABLE indicator_state ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for indicator_state" ON indicator_state;
+CREATE POLICY "Enable all access for indicator_state" ON indicator_state
+    FOR ALL USING (true) WITH CHECK (true);
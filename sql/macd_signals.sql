@@ -0,0 +1,33 @@
+-- ===========================================
+-- MIGRACJA: WSKAŹNIK MACD I RODZINY SYGNAŁÓW
+-- ===========================================
+-- MACD (linia, sygnał, histogram) zapisywany przy każdym skanie w sol_price_data.
+-- ema_signals przechowuje teraz sygnały różnych wskaźników:
+--   indicator = 'ema',  rule = 'crossover'     - przecięcie szybkiej i wolnej EMA
+--   indicator = 'macd', rule = 'signal_cross'  - MACD przecina linię sygnału
+--   indicator = 'macd', rule = 'zero_cross'    - MACD przecina zero
+-- signal_type nadal oznacza kierunek (bullish / bearish).
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS macd DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS macd_signal DECIMAL(18, 8);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS macd_histogram DECIMAL(18, 8);
+
+-- Istniejące sygnały to przecięcia EMA
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS indicator VARCHAR(20) NOT NULL DEFAULT 'ema';
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS rule VARCHAR(30) NOT NULL DEFAULT 'crossover';
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS macd DECIMAL(18, 8);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS macd_signal DECIMAL(18, 8);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS macd_histogram DECIMAL(18, 8);
+
+-- Sygnał MACD może powstać zanim wolna EMA ma wystarczająco danych
+ALTER TABLE ema_signals ALTER COLUMN ema_12 DROP NOT NULL;
+ALTER TABLE ema_signals ALTER COLUMN ema_25 DROP NOT NULL;
+
+ALTER TABLE ema_signals DROP CONSTRAINT IF EXISTS ema_signals_indicator_rule_check;
+ALTER TABLE ema_signals ADD CONSTRAINT ema_signals_indicator_rule_check CHECK (
+    (indicator = 'ema' AND rule = 'crossover') OR
+    (indicator = 'macd' AND rule IN ('signal_cross', 'zero_cross'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ema_signals_indicator ON ema_signals(indicator, symbol, granularity, timestamp DESC);
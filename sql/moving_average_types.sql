@@ -0,0 +1,19 @@
+-- ===========================================
+-- MIGRACJA: TYPY ŚREDNICH KROCZĄCYCH
+-- ===========================================
+-- Szybka i wolna linia strategii przecięć mogą używać różnych średnich:
+--   sma, ema, wma, dema, tema, hma (np. HMA 9 vs EMA 21).
+-- Kolumny ema_12 / ema_25 przechowują dalej wartości szybkiej i wolnej linii,
+-- a ma_fast_type / ma_slow_type zapisują ich typ, żeby statystyki sygnałów
+-- nie mieszały różnych konfiguracji. Starsze wiersze to EMA/EMA.
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS ma_fast_type VARCHAR(10) DEFAULT 'ema';
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS ma_slow_type VARCHAR(10) DEFAULT 'ema';
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS ma_fast_type VARCHAR(10) DEFAULT 'ema';
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS ma_slow_type VARCHAR(10) DEFAULT 'ema';
+
+-- Statystyki sygnałów per konfiguracja
+CREATE INDEX IF NOT EXISTS idx_ema_signals_ma_config
+    ON ema_signals(symbol, granularity, ma_fast_type, ema_fast_period, ma_slow_type, ema_slow_period);
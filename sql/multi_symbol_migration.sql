@@ -0,0 +1,15 @@
+-- ===========================================
+-- MIGRACJA: SKANOWANIE WIELU SYMBOLI
+-- ===========================================
+-- Dodaje kolumnę symbol (np. SOL-USD, ETH-USD, BTC-USD) do tabel skanera.
+-- Istniejące wiersze dostają domyślnie SOL-USD.
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD';
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD';
+ALTER TABLE scan_history ADD COLUMN IF NOT EXISTS symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD';
+
+-- Indeksy dla zapytań filtrowanych po symbolu
+CREATE INDEX IF NOT EXISTS idx_sol_price_symbol_timestamp ON sol_price_data(symbol, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_ema_signals_symbol_timestamp ON ema_signals(symbol, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_scan_history_symbol_timestamp ON scan_history(symbol, timestamp DESC);
@@ -0,0 +1,13 @@
+-- ===========================================
+-- MIGRACJA: FORMATY POWIADOMIEŃ (DISCORD / SLACK / TELEGRAM)
+-- ===========================================
+-- format         - json (surowy payload), discord, slack lub telegram
+-- format_options - ustawienia formatu, np. {"chatId": "-1001234567890"} dla Telegrama
+-- ===========================================
+
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS format VARCHAR(20) NOT NULL DEFAULT 'json';
+ALTER TABLE webhook_endpoints ADD COLUMN IF NOT EXISTS format_options JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE webhook_endpoints DROP CONSTRAINT IF EXISTS webhook_endpoints_format_check;
+ALTER TABLE webhook_endpoints ADD CONSTRAINT webhook_endpoints_format_check
+    CHECK (format IN ('json', 'discord', 'slack', 'telegram'));
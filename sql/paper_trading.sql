@@ -0,0 +1,80 @@
+-- ===========================================
+-- MIGRACJA: PAPER TRADING
+-- ===========================================
+-- Symulowane konto, które otwiera i zamyka wirtualne pozycje
+-- na podstawie sygnałów z generateTradingSignals (LONG_ENTRY / SHORT_ENTRY / EXIT_WARNING).
+-- paper_accounts  - konfiguracja i aktualne saldo konta
+-- paper_positions - pozycje (otwarte i zamknięte)
+-- paper_fills     - każde wirtualne zlecenie z saldem po transakcji
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS paper_accounts (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    starting_balance DECIMAL(20, 8) NOT NULL DEFAULT 10000,
+    cash_balance DECIMAL(20, 8) NOT NULL DEFAULT 10000,
+    realized_pnl DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    position_size_percent DECIMAL(8, 4) NOT NULL DEFAULT 10,  -- % kapitału na pozycję
+    fee_percent DECIMAL(8, 4) NOT NULL DEFAULT 0.1,           -- prowizja na stronę
+    slippage_percent DECIMAL(8, 4) NOT NULL DEFAULT 0.05,     -- poślizg ceny na stronę
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS paper_positions (
+    id BIGSERIAL PRIMARY KEY,
+    account_id BIGINT NOT NULL REFERENCES paper_accounts(id) ON DELETE CASCADE,
+    symbol VARCHAR(20) NOT NULL,
+    granularity INTEGER NOT NULL DEFAULT 900,
+    side VARCHAR(10) NOT NULL CHECK (side IN ('long', 'short')),
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    quantity DECIMAL(30, 12) NOT NULL,
+    entry_price DECIMAL(20, 8) NOT NULL,
+    cost_basis DECIMAL(20, 8) NOT NULL,                       -- wartość pozycji przy otwarciu
+    entry_fee DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    entry_signal VARCHAR(20),
+    opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    exit_price DECIMAL(20, 8),
+    exit_fee DECIMAL(20, 8),
+    exit_signal VARCHAR(20),
+    realized_pnl DECIMAL(20, 8),
+    closed_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS paper_fills (
+    id BIGSERIAL PRIMARY KEY,
+    account_id BIGINT NOT NULL REFERENCES paper_accounts(id) ON DELETE CASCADE,
+    position_id BIGINT REFERENCES paper_positions(id) ON DELETE CASCADE,
+    symbol VARCHAR(20) NOT NULL,
+    granularity INTEGER NOT NULL DEFAULT 900,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('open', 'close')),
+    side VARCHAR(10) NOT NULL CHECK (side IN ('buy', 'sell')),
+    quantity DECIMAL(30, 12) NOT NULL,
+    market_price DECIMAL(20, 8) NOT NULL,
+    fill_price DECIMAL(20, 8) NOT NULL,                       -- cena po poślizgu
+    fee DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    signal_type VARCHAR(20),
+    cash_balance_after DECIMAL(20, 8) NOT NULL,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Indeksy
+CREATE INDEX IF NOT EXISTS idx_paper_positions_open ON paper_positions(account_id, symbol, granularity, status);
+CREATE INDEX IF NOT EXISTS idx_paper_fills_account_time ON paper_fills(account_id, timestamp DESC);
+
+-- RLS
+ALTER TABLE paper_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_positions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE paper_fills ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for paper_accounts" ON paper_accounts;
+CREATE POLICY "Enable all access for paper_accounts" ON paper_accounts
+    FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Enable all access for paper_positions" ON paper_positions;
+CREATE POLICY "Enable all access for paper_positions" ON paper_positions
+    FOR ALL USING (true) WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Enable all access for paper_fills" ON paper_fills;
+CREATE POLICY "Enable all access for paper_fills" ON paper_fills
+    FOR ALL USING (true) WITH CHECK (true);
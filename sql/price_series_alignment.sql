@@ -0,0 +1,23 @@
+-- ===========================================
+-- MIGRACJA: SERIA CENOWA Z ZAMKNIĘTYCH ŚWIEC
+-- ===========================================
+-- Wskaźniki liczone są z zamkniętych świec z tabeli candles (równe odstępy, bez duplikatów),
+-- a nie z mieszanki świec i odczytów tickera.
+--   evaluation_mode = 'closed'   - oceniana jest ostatnia zamknięta świeca,
+--                                  sygnał ma czas i cenę zamknięcia świecy
+--   evaluation_mode = 'intrabar' - oceniana jest formująca się świeca po cenie z tickera
+--                                  (nie jest zapisywana jako świeca)
+-- bar_time = czas otwarcia ocenianej świecy.
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS bar_time TIMESTAMPTZ;
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS evaluation_mode VARCHAR(10);
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS bar_time TIMESTAMPTZ;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS evaluation_mode VARCHAR(10);
+
+-- Sprawdzenie, czy sygnał danej świecy został już zapisany - po czasie otwarcia świecy,
+-- bo w trybie intrabar timestamp sygnału to czas tickera, inny przy każdym skanie
+DROP INDEX IF EXISTS idx_ema_signals_bar;
+CREATE INDEX IF NOT EXISTS idx_ema_signals_bar_time
+    ON ema_signals(symbol, granularity, bar_time, indicator, rule, signal_type);
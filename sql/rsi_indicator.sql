@@ -0,0 +1,14 @@
+-- ===========================================
+-- MIGRACJA: WSKAŹNIK RSI
+-- ===========================================
+-- RSI (Wilder) liczone przy każdym skanie i zapisywane obok ema_12/ema_25.
+-- confidence sygnału: CONFIRMED, lub LOW gdy przecięcie nastąpiło przy skrajnym RSI
+-- (bullish przy wykupieniu, bearish przy wyprzedaniu) i rsiFilter = downrank.
+-- ===========================================
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS rsi DECIMAL(10, 4);
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS rsi_period INTEGER;
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS rsi DECIMAL(10, 4);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS rsi_period INTEGER;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS confidence VARCHAR(20) DEFAULT 'CONFIRMED';
@@ -0,0 +1,34 @@
+-- ===========================================
+-- MIGRACJA: ALERTY ZDROWIA SKANERA
+-- ===========================================
+-- alert_type:
+--   consecutive_failures - N nieudanych skanów z rzędu (SCANNER_ALERT_FAILURES)
+--   stale_scanner        - skaner "running" bez skanu przez 2× scanInterval
+--   high_latency         - odpowiedź API giełdy wolniejsza niż SCANNER_ALERT_LATENCY_MS
+-- status: active -> resolved (po powrocie do normy wysyłane jest powiadomienie o odzyskaniu)
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS scanner_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD',
+    granularity INTEGER NOT NULL DEFAULT 900,
+    alert_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    message TEXT,
+    details JSONB DEFAULT '{}'::jsonb,
+    triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Najwyżej jeden aktywny alert danego typu na skaner
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scanner_alerts_active
+    ON scanner_alerts(symbol, granularity, alert_type) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_scanner_alerts_triggered_at ON scanner_alerts(triggered_at DESC);
+
+-- RLS
+ALTER TABLE scanner_alerts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for scanner_alerts" ON scanner_alerts;
+CREATE POLICY "Enable all access for scanner_alerts" ON scanner_alerts
+    FOR ALL USING (true) WITH CHECK (true);
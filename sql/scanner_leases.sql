@@ -0,0 +1,39 @@
+-- ===========================================
+-- MIGRACJA: BLOKADA LIDERA SKANERA (LEASE)
+-- ===========================================
+-- Jeden wiersz na symbol / interwał. Skanuje tylko proces, który trzyma ważną
+-- dzierżawę - pozostałe instancje (drugi serwer, stary endpoint, drugi proces
+-- serverless) czekają i przejmują ją dopiero, gdy lider przestanie ją odnawiać.
+-- Zapobiega to zduplikowanym wierszom sol_price_data i podwójnym webhookom.
+--   holder_id    - host:pid:losowy sufiks procesu lidera
+--   heartbeat_at - ostatnie odnowienie (przy każdym automatycznym skanie)
+--   expires_at   - po tym czasie inna instancja może przejąć dzierżawę
+-- Dostarczenia webhook są przejmowane tak samo: warunkowy UPDATE
+-- pending -> processing z claimed_by, wysyła tylko proces, który go wykonał.
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS scanner_leases (
+    id BIGSERIAL PRIMARY KEY,
+    symbol VARCHAR(20) NOT NULL DEFAULT 'SOL-USD',
+    granularity INTEGER NOT NULL DEFAULT 900,
+    holder_id VARCHAR(100) NOT NULL,
+    acquired_at TIMESTAMPTZ DEFAULT NOW(),
+    heartbeat_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    UNIQUE(symbol, granularity)
+);
+
+-- RLS
+ALTER TABLE scanner_leases ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for scanner_leases" ON scanner_leases;
+CREATE POLICY "Enable all access for scanner_leases" ON scanner_leases
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Przejmowanie dostarczeń webhook (status processing)
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(100);
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_status_check;
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_status_check
+    CHECK (status IN ('pending', 'processing', 'delivered', 'dead'));
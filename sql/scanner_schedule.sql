@@ -0,0 +1,32 @@
+-- ===========================================
+-- MIGRACJA: TRWAŁY HARMONOGRAM SKANERA
+-- ===========================================
+-- Pożądany stan skanera zapisany w bazie, żeby restart serwera, hot reload
+-- albo zimny start funkcji serverless nie zatrzymywał skanowania.
+--   desired_state    - 'running' / 'stopped' (ustawiane przez /api/scanner/control)
+--   mode             - 'interval' (timery w procesie, wznawiane przy starcie)
+--                      albo 'external' (cron wywołuje /api/scanner/tick)
+--   symbols          - lista skanowanych symboli
+--   last_tick_at     - czas ostatniego wywołania /api/scanner/tick
+--   last_tick_result - które symbole zeskanowano, a które pominięto
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS scanner_schedule (
+    name VARCHAR(50) PRIMARY KEY DEFAULT 'default',
+    desired_state VARCHAR(20) NOT NULL DEFAULT 'stopped',
+    mode VARCHAR(20) NOT NULL DEFAULT 'interval',
+    symbols JSONB DEFAULT '[]'::jsonb,
+    started_at TIMESTAMPTZ,
+    stopped_at TIMESTAMPTZ,
+    last_tick_at TIMESTAMPTZ,
+    last_tick_result JSONB,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- RLS
+ALTER TABLE scanner_schedule ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for scanner_schedule" ON scanner_schedule;
+CREATE POLICY "Enable all access for scanner_schedule" ON scanner_schedule
+    FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,33 @@
+-- ===========================================
+-- MIGRACJA: KONFIGUROWALNE OKRESY EMA
+-- ===========================================
+-- Trwałe ustawienia skanera (okresy EMA itd.) zapisywane przez /api/scanner/control
+-- oraz okresy EMA zapisywane przy każdym wierszu cen i sygnale.
+-- Kolumny ema_12/ema_25 przechowują odpowiednio szybką i wolną EMA.
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS scanner_settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS ema_fast_period INTEGER;
+ALTER TABLE sol_price_data ADD COLUMN IF NOT EXISTS ema_slow_period INTEGER;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS ema_fast_period INTEGER;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS ema_slow_period INTEGER;
+
+-- Istniejące dane pochodzą z konfiguracji 12/25
+UPDATE sol_price_data SET ema_fast_period = 12, ema_slow_period = 25 WHERE ema_fast_period IS NULL;
+UPDATE ema_signals SET ema_fast_period = 12, ema_slow_period = 25 WHERE ema_fast_period IS NULL;
+
+-- RLS
+ALTER TABLE scanner_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable read access for all users scanner_settings" ON scanner_settings;
+CREATE POLICY "Enable read access for all users scanner_settings" ON scanner_settings
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Enable write access for all users scanner_settings" ON scanner_settings;
+CREATE POLICY "Enable write access for all users scanner_settings" ON scanner_settings
+    FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,32 @@
+-- ===========================================
+-- MIGRACJA: WYNIKI SYGNAŁÓW (FORWARD RETURNS)
+-- ===========================================
+-- Dla każdego sygnału EMA zapisujemy zmianę ceny po +1h, +4h, +24h i +7d
+-- oraz maksymalny korzystny (MFE) i niekorzystny (MAE) ruch ceny w ciągu 7 dni.
+-- Wartości liczone z sol_price_data, w procentach względem ceny sygnału.
+-- MFE/MAE uwzględniają kierunek sygnału (bearish: spadek ceny jest korzystny).
+-- ===========================================
+
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS return_1h DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS return_4h DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS return_24h DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS return_7d DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS mfe_percent DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS mae_percent DECIMAL(12, 6);
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS outcomes_complete BOOLEAN DEFAULT FALSE;
+ALTER TABLE ema_signals ADD COLUMN IF NOT EXISTS outcomes_updated_at TIMESTAMPTZ;
+
+-- Sygnały czekające na uzupełnienie wyników
+CREATE INDEX IF NOT EXISTS idx_ema_signals_outcomes_pending
+    ON ema_signals(symbol, granularity, timestamp)
+    WHERE outcomes_complete IS NOT TRUE;
+
+-- Kolejka do przeliczenia: najdawniej aktualizowane najpierw
+CREATE INDEX IF NOT EXISTS idx_ema_signals_outcomes_queue
+    ON ema_signals(symbol, granularity, outcomes_updated_at NULLS FIRST, timestamp)
+    WHERE outcomes_complete IS NOT TRUE;
+
+-- RLS: bez polityki UPDATE zapis wyników pomija wszystkie wiersze bez błędu
+DROP POLICY IF EXISTS "Enable update for signal outcomes ema" ON ema_signals;
+CREATE POLICY "Enable update for signal outcomes ema" ON ema_signals
+    FOR UPDATE USING (true) WITH CHECK (true);
@@ -0,0 +1,57 @@
+-- ===========================================
+-- MIGRACJA: WIELE NAZWANYCH ENDPOINTÓW WEBHOOK
+-- ===========================================
+-- Każdy endpoint ma nazwę, URL, własny sekret HMAC, flagę enabled
+-- oraz listę subskrybowanych zdarzeń:
+--   bullish, bearish                  - przecięcia EMA
+--   scanner_error                     - błąd skanu
+--   scanner_started, scanner_stopped  - start / stop skanera
+-- Dostarczenia w kolejce wskazują endpoint, którego sekretem są podpisywane.
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    url TEXT NOT NULL,
+    secret TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    events TEXT[] NOT NULL DEFAULT ARRAY['bullish', 'bearish'],
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS endpoint_id BIGINT
+    REFERENCES webhook_endpoints(id) ON DELETE SET NULL;
+ALTER TABLE webhook_dead_letters ADD COLUMN IF NOT EXISTS endpoint_id BIGINT
+    REFERENCES webhook_endpoints(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_enabled ON webhook_endpoints(enabled);
+
+-- RLS: sekrety HMAC nie mogą być dostępne dla publicznego klucza anon
+-- (NEXT_PUBLIC_SUPABASE_ANON_KEY). Brak polityk = brak dostępu dla anon/authenticated;
+-- aplikacja czyta i zapisuje endpointy kluczem service role (SUPABASE_SERVICE_ROLE_KEY),
+-- który omija RLS i jest używany wyłącznie po stronie serwera.
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for webhook_endpoints" ON webhook_endpoints;
+REVOKE ALL ON webhook_endpoints FROM anon, authenticated;
+
+-- Adresy Discord/Slack/Telegram (bot<token>) są poświadczeniami - kolejka i logi
+-- trzymają tylko endpoint_id, adres jest czytany z webhook_endpoints przy wysyłce
+ALTER TABLE webhook_deliveries ALTER COLUMN webhook_url DROP NOT NULL;
+ALTER TABLE webhook_dead_letters ALTER COLUMN webhook_url DROP NOT NULL;
+UPDATE webhook_deliveries SET webhook_url = NULL WHERE webhook_url IS NOT NULL;
+UPDATE webhook_dead_letters SET webhook_url = NULL WHERE webhook_url IS NOT NULL;
+
+-- webhook_responses (logi odpowiedzi, jeśli tabela istnieje) - tylko service role
+DO $$
+BEGIN
+    IF to_regclass('public.webhook_responses') IS NOT NULL THEN
+        ALTER TABLE webhook_responses ALTER COLUMN webhook_url DROP NOT NULL;
+        ALTER TABLE webhook_responses ADD COLUMN IF NOT EXISTS endpoint_id BIGINT;
+        ALTER TABLE webhook_responses ADD COLUMN IF NOT EXISTS delivery_id VARCHAR(100);
+        UPDATE webhook_responses SET webhook_url = NULL WHERE webhook_url IS NOT NULL;
+        ALTER TABLE webhook_responses ENABLE ROW LEVEL SECURITY;
+        REVOKE ALL ON webhook_responses FROM anon, authenticated;
+    END IF;
+END $$;
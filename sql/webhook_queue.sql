@@ -0,0 +1,64 @@
+-- ===========================================
+-- MIGRACJA: KOLEJKA WEBHOOK Z PONOWIENIAMI
+-- ===========================================
+-- webhook_deliveries   - każde dostarczenie webhook (pending / delivered / dead)
+--                        z liczbą prób i czasem następnej próby (exponential backoff)
+-- webhook_dead_letters - dostarczenia, które wyczerpały limit prób;
+--                        można je ponowić przez /api/webhooks/deliveries
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id VARCHAR(100) NOT NULL UNIQUE,
+    webhook_url TEXT NOT NULL,
+    event VARCHAR(50),
+    symbol VARCHAR(20),
+    payload JSONB NOT NULL,
+    body TEXT NOT NULL,                     -- dokładnie wysyłane bajty
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    last_status INTEGER,                    -- kod HTTP ostatniej próby
+    last_error TEXT,
+    last_attempt_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id VARCHAR(100) NOT NULL REFERENCES webhook_deliveries(delivery_id) ON DELETE CASCADE,
+    webhook_url TEXT NOT NULL,
+    event VARCHAR(50),
+    symbol VARCHAR(20),
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_status INTEGER,
+    last_error TEXT,
+    failed_at TIMESTAMPTZ DEFAULT NOW(),
+    resent_at TIMESTAMPTZ                   -- ręczne ponowienie przez API
+);
+
+-- Indeksy
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_failed_at ON webhook_dead_letters(failed_at DESC);
+
+-- RLS: dostarczenie wskazuje endpoint, którego sekretem jest podpisywane - wiersz
+-- wstawiony kluczem anon mógłby zlecić podpisanie dowolnej treści. Brak polityk = brak
+-- dostępu dla anon/authenticated; kolejka działa wyłącznie kluczem service role
+-- (SUPABASE_SERVICE_ROLE_KEY), a adres i format czyta przy każdej próbie z webhook_endpoints.
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_dead_letters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Enable all access for webhook_deliveries" ON webhook_deliveries;
+DROP POLICY IF EXISTS "Enable all access for webhook_dead_letters" ON webhook_dead_letters;
+REVOKE ALL ON webhook_deliveries FROM anon, authenticated;
+REVOKE ALL ON webhook_dead_letters FROM anon, authenticated;
+
+-- scan_history ma tylko polityki SELECT i INSERT - bez UPDATE oznaczenie
+-- webhook_sent po udanym ponowieniu pomija wiersz bez błędu
+DROP POLICY IF EXISTS "Enable update for webhook status scan_history" ON scan_history;
+CREATE POLICY "Enable update for webhook status scan_history" ON scan_history
+    FOR UPDATE USING (true) WITH CHECK (true);
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Backtester from '../lib/backtester.js';
+
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+// Price vs its 3-bar SMA: crosses above at bar 3 (12 > 10.67) and below at bar 6 (10 < 13.33)
+const closes = [10, 10, 10, 12, 16, 14, 10, 7, 7];
+const candles = closes.map((close, i) => ({ timestamp: new Date(Date.UTC(2024, 0, 1, i)).toISOString(), close }));
+const options = { fastPeriod: 1, slowPeriod: 3, fastMaType: 'sma', slowMaType: 'sma', initialCapital: 10000, feePercent: 0 };
+
+test('a long opens on the bullish crossover and closes on the bearish one', () => {
+  const { trades, summary, config } = new Backtester(options).run(candles);
+
+  assert.equal(config.maConfig, 'SMA1/SMA3');
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].side, 'long');
+  assert.equal(trades[0].entryPrice, 12);
+  assert.equal(trades[0].exitPrice, 10);
+  assert.equal(trades[0].barsHeld, 3);
+  assert.equal(trades[0].exitReason, 'crossover');
+  assertClose(trades[0].pnl, -10000 / 6);
+  assertClose(summary.finalEquity, 10000 * 10 / 12);
+  assert.equal(summary.winRate, 0);
+  // Peak at bar 4 (16 / 12 of the capital), trough after the exit
+  assertClose(summary.maxDrawdownPercent, 37.5);
+});
+
+test('with shorts enabled the bearish crossover flips the position until the end of the data', () => {
+  const { trades, summary } = new Backtester({ ...options, allowShort: true }).run(candles);
+
+  assert.deepEqual(trades.map(trade => [trade.side, trade.exitReason]), [['long', 'crossover'], ['short', 'end_of_data']]);
+  assertClose(trades[1].returnPercent, 30);
+  assertClose(summary.finalEquity, 10000 * 10 / 12 * 1.3);
+  assert.equal(summary.winningTrades, 1);
+  assert.equal(summary.profitFactor, trades[1].pnl / -trades[0].pnl);
+});
+
+test('fees are charged on entry and exit', () => {
+  const [trade] = new Backtester({ ...options, feePercent: 1 }).run(candles).trades;
+
+  // 100 on entry, 1% of the 8250 exit value
+  assertClose(trade.fees, 100 + 82.5);
+  assertClose(trade.pnl, 8250 - 82.5 - 10000);
+});
+
+test('the series must be longer than the slow period', () => {
+  assert.throws(() => new Backtester(options).run(candles.slice(0, 3)), /Not enough data: 3 bars, need more than 3/);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findCandleGaps } from '../lib/candleBackfill.js';
+
+const GRANULARITY = 3600;
+const hours = (...values) => values.map(value => value * GRANULARITY);
+
+test('a complete history has no gaps', () => {
+  assert.deepEqual(findCandleGaps(hours(0, 1, 2, 3), GRANULARITY, 0, hours(3)[0]), []);
+});
+
+test('missing open times are grouped into ranges', () => {
+  assert.deepEqual(findCandleGaps(hours(0, 3, 4, 7), GRANULARITY, 0, hours(7)[0]), [
+    { start: hours(1)[0], end: hours(2)[0], missing: 2 },
+    { start: hours(5)[0], end: hours(6)[0], missing: 2 }
+  ]);
+});
+
+test('missing bars at either end of the range are reported', () => {
+  assert.deepEqual(findCandleGaps(hours(2), GRANULARITY, 0, hours(3)[0]), [
+    { start: 0, end: hours(1)[0], missing: 2 },
+    { start: hours(3)[0], end: hours(3)[0], missing: 1 }
+  ]);
+  assert.deepEqual(findCandleGaps([], GRANULARITY, 0, hours(2)[0]), [{ start: 0, end: hours(2)[0], missing: 3 }]);
+});
+
+test('stored bars outside the range do not count', () => {
+  assert.deepEqual(findCandleGaps(hours(0, 5), GRANULARITY, hours(1)[0], hours(2)[0]), [
+    { start: hours(1)[0], end: hours(2)[0], missing: 2 }
+  ]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { alignCandles, filterClosedCandles, normalizeCandles } from '../lib/candleUtils.js';
+
+const GRANULARITY = 900;
+const candle = (open, close = open) => ({ timestamp: new Date(open * 1000), open: 1, high: 2, low: 0.5, close, volume: 1 });
+const opens = (candles) => candles.map(item => item.timestamp.getTime() / 1000);
+
+test('alignCandles returns the contiguous run ending at the last open time', () => {
+  const candles = [candle(0), candle(900), candle(2700), candle(3600), candle(4500)];
+
+  // 1800 is missing - bars before the hole are dropped
+  assert.deepEqual(opens(alignCandles(candles, GRANULARITY, 4500)), [2700, 3600, 4500]);
+  assert.deepEqual(opens(alignCandles(candles, GRANULARITY, 900)), [0, 900]);
+  assert.deepEqual(alignCandles(candles, GRANULARITY, 1800), []);
+});
+
+test('alignCandles sorts its input and keeps the later duplicate of an open time', () => {
+  const aligned = alignCandles([candle(1800, 3), candle(900, 2), candle(1800, 4)], GRANULARITY, 1800);
+
+  assert.deepEqual(opens(aligned), [900, 1800]);
+  assert.deepEqual(aligned.map(item => item.close), [2, 4]);
+});
+
+test('alignCandles ignores bars off the grid or without a close', () => {
+  const aligned = alignCandles([candle(900), candle(1200), { ...candle(1800), close: 'n/a' }, candle(2700)], GRANULARITY, 2700);
+
+  assert.deepEqual(opens(aligned), [2700]);
+});
+
+test('normalizeCandles maps Coinbase arrays and close-only rows', () => {
+  const [fromArray, fromPrice] = normalizeCandles([[900, 9, 11, 10, 10.5, 7], { time: 1800 * 1000, price: '12' }]);
+
+  assert.deepEqual(fromArray, { timestamp: new Date(900 * 1000), open: 10, high: 11, low: 9, close: 10.5, volume: 7 });
+  assert.deepEqual(fromPrice, { timestamp: new Date(1800 * 1000), open: 12, high: 12, low: 12, close: 12, volume: 0 });
+});
+
+test('filterClosedCandles drops the forming bar', () => {
+  const candles = [candle(0), candle(900), candle(1800)];
+
+  assert.deepEqual(opens(filterClosedCandles(candles, GRANULARITY, new Date(2700 * 1000 - 1))), [0, 900]);
+  assert.deepEqual(opens(filterClosedCandles(candles, GRANULARITY, new Date(2700 * 1000))), [0, 900, 1800]);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CrossoverConfirmation, { evaluatePendingCrossover, isConfirmationEnabled } from '../lib/crossoverConfirmation.js';
+
+const GRANULARITY = 3600;
+const crossoverBar = new Date('2024-01-01T10:00:00.000Z');
+const barsLater = (bars) => new Date(crossoverBar.getTime() + bars * GRANULARITY * 1000);
+const pending = { signal_type: 'bullish', bar_time: crossoverBar.toISOString() };
+const settings = { bars: 2, minSpreadPercent: 0.5, minSpreadAtr: 0 };
+
+test('confirmation is off with the default settings', () => {
+  assert.equal(isConfirmationEnabled(), false);
+  assert.equal(isConfirmationEnabled({ bars: 0, minSpreadPercent: 0, minSpreadAtr: 0.5 }), true);
+});
+
+test('a crossover waits until it held for N bars and the spread clears the minimum', () => {
+  const market = { fastEMA: 101, slowEMA: 100, price: 100, atr: 2 };
+
+  const early = evaluatePendingCrossover(pending, { ...market, barOpen: barsLater(1) }, GRANULARITY, settings);
+  assert.equal(early.status, 'pending');
+  assert.equal(early.barsHeld, 1);
+  assert.equal(early.reason, 'Waiting for 1/2 bars');
+
+  const narrow = evaluatePendingCrossover(pending, { ...market, fastEMA: 100.2, barOpen: barsLater(2) }, GRANULARITY, settings);
+  assert.equal(narrow.status, 'pending');
+  assert.match(narrow.reason, /spread 0\.200% < 0\.5%/);
+
+  const held = evaluatePendingCrossover(pending, { ...market, barOpen: barsLater(2) }, GRANULARITY, settings);
+  assert.equal(held.status, 'confirmed');
+  assert.equal(held.spreadPercent, 1);
+  assert.equal(held.spreadAtr, 0.5);
+});
+
+test('a crossover whose EMAs cross back is invalidated, mirrored for bearish', () => {
+  const back = { fastEMA: 99, slowEMA: 100, price: 100, atr: 2, barOpen: barsLater(1) };
+
+  assert.equal(evaluatePendingCrossover(pending, back, GRANULARITY, settings).status, 'invalidated');
+  assert.equal(
+    evaluatePendingCrossover({ ...pending, signal_type: 'bearish' }, { ...back, fastEMA: 98 }, GRANULARITY, { ...settings, bars: 1 }).status,
+    'confirmed'
+  );
+});
+
+test('an ATR requirement keeps waiting while the ATR is unknown', () => {
+  const evaluation = evaluatePendingCrossover(
+    pending,
+    { fastEMA: 101, slowEMA: 100, price: 100, atr: null, barOpen: barsLater(3) },
+    GRANULARITY,
+    { bars: 0, minSpreadPercent: 0, minSpreadAtr: 0.5 }
+  );
+
+  assert.equal(evaluation.status, 'pending');
+  assert.match(evaluation.reason, /spread N\/A ATR < 0\.5 ATR/);
+});
+
+test('process tracks a crossover, keeps it pending and confirms it bars later', async () => {
+  const confirmation = new CrossoverConfirmation({ symbol: 'SOL-USD', granularity: GRANULARITY }, settings);
+  const resolved = [];
+
+  // Persistence stubbed - the pending crossover lives on the instance
+  confirmation.getPending = async () => confirmation.pending;
+  confirmation.isTracked = async () => false;
+  confirmation.track = async (crossover, market) => {
+    confirmation.pending = { signal_type: crossover, bar_time: market.barOpen.toISOString() };
+    return confirmation.pending;
+  };
+  confirmation.updateProgress = async () => {};
+  confirmation.resolve = async (row, status) => {
+    resolved.push(status);
+    confirmation.pending = null;
+  };
+
+  const market = { fastEMA: 101, slowEMA: 100, price: 100, atr: 2 };
+
+  const first = await confirmation.process('bullish', { ...market, barOpen: crossoverBar });
+  assert.equal(first.confirmed, null);
+  assert.equal(first.pending.bars_held, 0);
+
+  assert.equal((await confirmation.process(null, { ...market, barOpen: barsLater(1) })).confirmed, null);
+
+  const third = await confirmation.process(null, { ...market, barOpen: barsLater(2) });
+  assert.equal(third.confirmed.signal_type, 'bullish');
+  assert.deepEqual(resolved, ['confirmed']);
+
+  // An opposite crossover invalidates the pending one and starts tracking itself
+  await confirmation.process('bullish', { ...market, barOpen: barsLater(3) });
+  const opposite = await confirmation.process('bearish', { ...market, fastEMA: 99, barOpen: barsLater(4) });
+  assert.deepEqual(resolved, ['confirmed', 'invalidated']);
+  assert.equal(opposite.pending.signal_type, 'bearish');
+});
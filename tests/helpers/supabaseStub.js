@@ -0,0 +1,188 @@
+/**
+ * Local stand-in for the Supabase REST API (PostgREST), kept in memory
+ * Covers what lib/ uses: eq / neq / gt / gte / lt / lte / is / in filters, or(), order,
+ * limit / offset, insert, upsert on_conflict, update, delete and single-object responses.
+ * Points NEXT_PUBLIC_SUPABASE_URL and both keys at itself, so it must start before
+ * the first ./supabase.js import.
+ */
+
+import http from 'node:http';
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+function coerce(value, sample) {
+  if (value === 'null') return null;
+  if (typeof sample === 'number') return Number(value);
+  if (typeof sample === 'boolean') return value === 'true';
+  return value;
+}
+
+function compare(a, b) {
+  // ISO timestamps with different precision still sort by time
+  const time = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? Date.parse(value) : value;
+  const left = time(a);
+  const right = time(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function matches(row, column, expression) {
+  const [op, ...rest] = expression.split('.');
+  const raw = rest.join('.');
+  const value = row[column] ?? null;
+
+  switch (op) {
+    case 'not':
+      return !matches(row, column, raw);
+    case 'is':
+      return raw === 'null' ? value === null : value === (raw === 'true');
+    case 'in':
+      return raw.replace(/^\(|\)$/g, '').split(',').map(item => coerce(item.replace(/^"|"$/g, ''), value)).includes(value);
+    case 'eq':
+      return value !== null && compare(value, coerce(raw, value)) === 0;
+    case 'neq':
+      return value !== null && compare(value, coerce(raw, value)) !== 0;
+    case 'gt':
+      return value !== null && compare(value, coerce(raw, value)) > 0;
+    case 'gte':
+      return value !== null && compare(value, coerce(raw, value)) >= 0;
+    case 'lt':
+      return value !== null && compare(value, coerce(raw, value)) < 0;
+    case 'lte':
+      return value !== null && compare(value, coerce(raw, value)) <= 0;
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+// "(a.is.null,a.eq.false)" - plain conditions only, no nested and()
+function matchesAny(row, expression) {
+  return expression.replace(/^\(|\)$/g, '').split(',').some(condition => {
+    const [column, ...rest] = condition.split('.');
+    return matches(row, column, rest.join('.'));
+  });
+}
+
+function applyFilters(rows, params) {
+  return rows.filter(row => [...params.entries()].every(([key, expression]) => {
+    if (RESERVED_PARAMS.includes(key)) return true;
+    if (key === 'or') return matchesAny(row, expression);
+    return matches(row, key, expression);
+  }));
+}
+
+function applyOrder(rows, order) {
+  if (!order) return rows;
+
+  const keys = order.split(',').map(part => {
+    const [column, direction = 'asc', nulls] = part.split('.');
+    return { column, descending: direction === 'desc', nullsFirst: nulls === 'nullsfirst' };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const left = a[column] ?? null;
+      const right = b[column] ?? null;
+      if (left === right) continue;
+      if (left === null) return nullsFirst ? -1 : 1;
+      if (right === null) return nullsFirst ? 1 : -1;
+      const result = compare(left, right);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return body ? JSON.parse(body) : null;
+}
+
+export async function startSupabaseStub() {
+  const tables = {};
+  let nextId = 1;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const table = url.pathname.replace(/^\/rest\/v1\//, '');
+    const params = url.searchParams;
+    const prefer = req.headers.prefer || '';
+    const rows = tables[table] || (tables[table] = []);
+
+    const reply = (status, data) => {
+      const single = (req.headers.accept || '').includes('vnd.pgrst.object+json');
+
+      if (single && Array.isArray(data)) {
+        if (data.length !== 1) {
+          res.writeHead(406, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }));
+        }
+        data = data[0];
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    };
+    const representation = (data) => prefer.includes('return=representation') ? data : undefined;
+
+    try {
+      if (req.method === 'GET') {
+        const offset = parseInt(params.get('offset')) || 0;
+        const limit = params.has('limit') ? parseInt(params.get('limit')) : Infinity;
+        const found = applyOrder(applyFilters(rows, params), params.get('order'));
+        return reply(200, found.slice(offset, offset + limit));
+      }
+
+      if (req.method === 'POST') {
+        const body = await readBody(req);
+        const conflict = prefer.includes('resolution=merge-duplicates') && params.get('on_conflict')?.split(',');
+        const written = (Array.isArray(body) ? body : [body]).map(input => {
+          const existing = conflict && rows.find(row => conflict.every(column => compare(row[column], input[column]) === 0));
+          if (existing) return Object.assign(existing, input);
+
+          const row = { id: nextId++, created_at: new Date().toISOString(), ...input };
+          rows.push(row);
+          return row;
+        });
+        return reply(201, representation(written));
+      }
+
+      if (req.method === 'PATCH') {
+        const body = await readBody(req);
+        const updated = applyFilters(rows, params).map(row => Object.assign(row, body));
+        return reply(200, representation(updated));
+      }
+
+      if (req.method === 'DELETE') {
+        const removed = applyFilters(rows, params);
+        tables[table] = rows.filter(row => !removed.includes(row));
+        return reply(200, representation(removed));
+      }
+
+      reply(405, { message: `Unsupported method ${req.method}` });
+    } catch (error) {
+      reply(400, { message: error.message });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.NEXT_PUBLIC_SUPABASE_URL = url;
+  process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY = 'stub-anon-key';
+  process.env.SUPABASE_SERVICE_ROLE_KEY = 'stub-service-role-key';
+  // createClient looks up a WebSocket constructor for realtime, which Node 20 only has behind a flag -
+  // nothing here subscribes, so a placeholder is enough
+  globalThis.WebSocket ??= class WebSocket {};
+
+  return {
+    url,
+    tables,
+    rows: (table) => tables[table] || [],
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // fetch keeps idle connections open
+      server.closeAllConnections();
+    })
+  };
+}
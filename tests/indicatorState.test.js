@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import IndicatorStateTracker from '../lib/indicatorState.js';
+import { calculateMovingAverage } from '../lib/movingAverages.js';
+
+const GRANULARITY = 900;
+const scanner = { symbol: 'SOL-USD', granularity: GRANULARITY, fastMaType: 'ema', fastPeriod: 12, slowMaType: 'sma', slowPeriod: 25, maConfig: 'EMA12/SMA25' };
+
+const candles = Array.from({ length: 120 }, (_, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1) + i * GRANULARITY * 1000),
+  close: 100 + Math.sin(i / 4) * 5 + i / 10
+}));
+const closes = (series) => series.map(candle => candle.close);
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const stored = (...rows) => new Map(rows.map(row => [`${row.ma_type}:${row.period}`, row]));
+
+test('a cold start seeds the state from the whole series', () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const line = tracker.calculateLine('ema', 12, candles, null, new Map());
+
+  assert.equal(line.mode, 'full');
+  assertClose(line.current, calculateMovingAverage(closes(candles), 12, 'ema'));
+  assertClose(line.previous, calculateMovingAverage(closes(candles.slice(0, -1)), 12, 'ema'));
+  assert.equal(line.state.bar_time, candles[candles.length - 1].timestamp.toISOString());
+});
+
+test('new bars advance the stored state to the same values as a full recomputation', () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const seeded = tracker.calculateLine('tema', 12, candles.slice(0, 100), null, new Map());
+  const line = tracker.calculateLine('tema', 12, candles, null, stored(seeded.state));
+
+  assert.equal(line.mode, 'incremental');
+  assertClose(line.current, calculateMovingAverage(closes(candles), 12, 'tema'));
+  assertClose(line.previous, calculateMovingAverage(closes(candles.slice(0, -1)), 12, 'tema'));
+});
+
+test('the same bar is served from the stored state without writing it again', () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const seeded = tracker.calculateLine('ema', 12, candles, null, new Map());
+  const line = tracker.calculateLine('ema', 12, candles, null, stored(seeded.state));
+
+  assert.equal(line.mode, 'cached');
+  assert.equal(line.state, null);
+  assert.equal(line.current, seeded.current);
+});
+
+test('a stored bar outside the current series starts over', () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const seeded = tracker.calculateLine('ema', 12, candles, null, new Map());
+  // After a data gap the series restarts past the stored bar
+  const afterGap = candles.map(candle => ({ ...candle, timestamp: new Date(candle.timestamp.getTime() + 1000 * GRANULARITY * 1000) }));
+  const line = tracker.calculateLine('ema', 12, afterGap, null, stored(seeded.state));
+
+  assert.equal(line.mode, 'full');
+  assert.equal(line.state.bar_time, afterGap[afterGap.length - 1].timestamp.toISOString());
+});
+
+test('the intrabar price is evaluated on top of the closed bars but not stored', () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const line = tracker.calculateLine('ema', 12, candles, 150, new Map());
+
+  assertClose(line.current, calculateMovingAverage([...closes(candles), 150], 12, 'ema'));
+  assertClose(line.previous, calculateMovingAverage(closes(candles), 12, 'ema'));
+  assert.equal(line.state.value, line.previous);
+});
+
+test('window types are recomputed from their lookback and never stored', async () => {
+  const tracker = new IndicatorStateTracker(scanner);
+  const saved = [];
+  tracker.loadStates = async () => new Map();
+  tracker.saveStates = async (states) => saved.push(...states);
+
+  const lines = await tracker.calculateLines(candles);
+
+  assert.equal(lines.slow.mode, 'window');
+  assertClose(lines.slow.current, calculateMovingAverage(closes(candles), 25, 'sma'));
+  assert.equal(lines.mode, 'full');
+  assert.deepEqual(saved.map(state => `${state.ma_type}:${state.period}`), ['ema:12']);
+});
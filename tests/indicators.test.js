@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  calculateATR,
+  calculateATRSeries,
+  calculateBollingerBands,
+  calculateBollingerSeries,
+  calculateMACD,
+  calculateRSI,
+  calculateRSISeries,
+  calculateRiskLevels,
+  detectEMACrossover,
+  detectMACDSignals
+} from '../lib/indicators.js';
+
+const range = (length, price = (i) => i) => Array.from({ length }, (_, i) => price(i));
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('detectEMACrossover reports the direction of a cross only on the crossing bar', () => {
+  assert.equal(detectEMACrossover(11, 10, 9, 10), 'bullish');
+  assert.equal(detectEMACrossover(9, 10, 11, 10), 'bearish');
+  assert.equal(detectEMACrossover(12, 10, 11, 10), null);
+  assert.equal(detectEMACrossover(11, 10, null, 10), null);
+});
+
+test('RSI follows Wilder smoothing', () => {
+  // Changes +1, -1, +1: the seed averages are 0.5 / 0.5, then gain 0.75 vs loss 0.25
+  assert.deepEqual(calculateRSISeries([1, 2, 1, 2], 2), [null, null, 50, 75]);
+  assert.equal(calculateRSI([1, 2, 1, 2], 2), 75);
+});
+
+test('RSI is 100 / 0 / 50 for rising, falling and flat prices and null without enough data', () => {
+  assert.equal(calculateRSI(range(20, i => 100 + i)), 100);
+  assert.equal(calculateRSI(range(20, i => 100 - i)), 0);
+  assert.equal(calculateRSI(range(20, () => 100)), 50);
+  assert.equal(calculateRSI(range(14, i => 100 + i)), null);
+});
+
+test('MACD needs the slow EMA plus a full signal period for two bars', () => {
+  assert.equal(calculateMACD(range(34, i => 100 + i)), null);
+
+  const macd = calculateMACD(range(35, () => 100));
+  assert.deepEqual(macd, {
+    macd: 0,
+    signal: 0,
+    histogram: 0,
+    previousMacd: 0,
+    previousSignal: 0,
+    previousHistogram: 0
+  });
+  assert.deepEqual(detectMACDSignals(macd), []);
+});
+
+test('MACD is positive while prices trend up', () => {
+  const macd = calculateMACD(range(60, i => 100 + i));
+
+  assert.ok(macd.macd > 0);
+  assert.ok(macd.signal > 0);
+});
+
+test('detectMACDSignals reports signal line and zero line crosses', () => {
+  assert.deepEqual(
+    detectMACDSignals({ macd: 0.5, previousMacd: -0.1, histogram: 0.2, previousHistogram: -0.1 }),
+    [{ type: 'bullish', rule: 'signal_cross' }, { type: 'bullish', rule: 'zero_cross' }]
+  );
+  assert.deepEqual(
+    detectMACDSignals({ macd: 0.5, previousMacd: 0.6, histogram: -0.1, previousHistogram: 0.1 }),
+    [{ type: 'bearish', rule: 'signal_cross' }]
+  );
+  assert.deepEqual(detectMACDSignals(null), []);
+});
+
+test('Bollinger bands use the SMA and the population standard deviation', () => {
+  const series = calculateBollingerSeries([1, 2, 3, 4, 5], { period: 5, stdDev: 2 });
+  const bands = series[4];
+
+  assert.deepEqual(series.slice(0, 4), [null, null, null, null]);
+  assert.equal(bands.middle, 3);
+  assertClose(bands.upper, 3 + 2 * Math.SQRT2);
+  assertClose(bands.lower, 3 - 2 * Math.SQRT2);
+  assertClose(bands.bandwidth, (4 * Math.SQRT2) / 3);
+});
+
+test('a close outside the bands after a squeeze is a squeeze breakout', () => {
+  // Bands narrow steadily, then the last price jumps above them
+  const prices = [...range(40, i => 100 + (i % 2 ? 1 : -1) * (40 - i) / 10), 110];
+  const bands = calculateBollingerBands(prices, { period: 20, stdDev: 2, squeezeLookback: 10 });
+
+  assert.equal(bands.breakout, 'up');
+  assert.equal(bands.squeezeBreakout, true);
+  assert.ok(bands.percentB > 1);
+  assert.equal(calculateBollingerBands([1, 2, 3], { period: 5 }), null);
+});
+
+test('ATR is the Wilder average of true ranges including gaps from the previous close', () => {
+  const candles = range(5, i => ({ high: 102 + i * 10, low: 98 + i * 10, close: 100 + i * 10 }));
+
+  // Every bar opens 10 above the previous close: true range = high - previous close = 12
+  assert.deepEqual(calculateATRSeries(candles, 3), [null, null, null, 12, 12]);
+  assert.equal(calculateATR(candles, 3), 12);
+  assert.equal(calculateATR(candles.slice(0, 3), 3), null);
+});
+
+test('risk levels sit ATR multiples from the entry and mirror for bearish signals', () => {
+  assert.deepEqual(calculateRiskLevels(100, 'bullish', 2), { atr: 2, stopLoss: 97, takeProfit: 106, riskReward: 2 });
+  assert.deepEqual(calculateRiskLevels(100, 'bearish', 2), { atr: 2, stopLoss: 103, takeProfit: 94, riskReward: 2 });
+  assert.equal(calculateRiskLevels(100, 'bullish', null), null);
+});
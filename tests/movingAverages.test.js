@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MA_TYPES,
+  advanceMovingAverageLevels,
+  calculateEMASeries,
+  calculateMovingAverage,
+  calculateMovingAverageSeries,
+  calculateSMASeries,
+  calculateWMASeries,
+  combineMovingAverageLevels,
+  getMovingAverageLookback,
+  seedMovingAverageState
+} from '../lib/movingAverages.js';
+
+const range = (length, price = (i) => i) => Array.from({ length }, (_, i) => price(i));
+const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('SMA, EMA and WMA match hand-computed values', () => {
+  assert.deepEqual(calculateSMASeries([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  // Seeded with the SMA of the first 3 prices, then multiplier 2 / (3 + 1) = 0.5
+  assert.deepEqual(calculateEMASeries([1, 2, 3, 7, 1], 3), [null, null, 2, 4.5, 2.75]);
+  // Weights 1, 2, 3 over 6
+  assert.deepEqual(calculateWMASeries([1, 2, 3, 6], 3), [null, null, 14 / 6, 26 / 6]);
+});
+
+test('every type is null until its lookback and tracks a straight line without lag', () => {
+  // On a linear series the EMA lags by a constant (period - 1) / 2, which DEMA, TEMA and HMA cancel out
+  const prices = range(60, i => 100 + i);
+
+  ['dema', 'tema', 'hma'].forEach(type => {
+    const series = calculateMovingAverageSeries(prices, 9, type);
+    const lookback = getMovingAverageLookback(9, type);
+
+    assert.equal(series.findIndex(value => value !== null), lookback - 1, type);
+    assertClose(series[series.length - 1], prices[prices.length - 1]);
+  });
+
+  assertClose(calculateMovingAverage(prices, 9, 'ema'), prices[prices.length - 1] - 4);
+});
+
+test('calculateMovingAverage returns null below the lookback and rejects unknown types', () => {
+  MA_TYPES.forEach(type => {
+    const lookback = getMovingAverageLookback(10, type);
+    assert.equal(calculateMovingAverage(range(lookback - 1, i => 100 + i), 10, type), null, type);
+    assert.notEqual(calculateMovingAverage(range(lookback, i => 100 + i), 10, type), null, type);
+  });
+
+  assert.throws(() => calculateMovingAverageSeries([1, 2, 3], 2, 'kama'), /Unknown moving average type: kama/);
+});
+
+test('advancing the seeded EMA levels matches a full recomputation', () => {
+  const prices = range(80, i => 100 + Math.sin(i / 3) * 5);
+
+  ['ema', 'dema', 'tema'].forEach(type => {
+    const seed = seedMovingAverageState(prices.slice(0, 60), 12, type);
+    const levels = prices.slice(60).reduce((current, price) => advanceMovingAverageLevels(current, price, 12), seed.levels);
+
+    assertClose(combineMovingAverageLevels(levels, type), calculateMovingAverage(prices, 12, type));
+  });
+
+  assert.equal(seedMovingAverageState(prices, 12, 'hma'), null);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SLACK_MAX_SECTION_FIELDS, describeEvent, formatSlack } from '../lib/notificationFormatters.js';
+
+// Crossover with every optional field set - RSI state, Bollinger breakout, risk levels, low confidence
+const fullSignal = {
+  event: 'ema_crossover_detected',
+  symbol: 'SOL-USD',
+  timeframe: '15m',
+  exchange: 'Coinbase',
+  timestamp: '2024-01-01T00:15:05.000Z',
+  signal: { type: 'bullish', direction: 'LONG', confidence: 'LOW', confidence_reason: 'RSI overbought' },
+  price: { current: 101.25 },
+  technical_analysis: {
+    ema_12: 100.5,
+    ema_25: 99.75,
+    ema_fast_period: 12,
+    ema_slow_period: 25,
+    rsi: 72.4,
+    rsi_period: 14,
+    rsi_state: 'overbought',
+    bollinger: { breakout: 'up', squeeze: true, squeeze_breakout: true }
+  },
+  next_action: { stop_loss: 98.25, take_profit: 107.25, risk_reward: 2 }
+};
+
+test('formatSlack keeps every section within the Slack field limit', () => {
+  const { blocks } = formatSlack(fullSignal);
+  const sections = blocks.filter(block => block.type === 'section');
+
+  assert.ok(describeEvent(fullSignal).fields.length > SLACK_MAX_SECTION_FIELDS);
+  assert.ok(sections.length > 1);
+  sections.forEach(section => assert.ok(section.fields.length <= SLACK_MAX_SECTION_FIELDS));
+});
+
+test('formatSlack keeps all fields in order across sections', () => {
+  const { blocks } = formatSlack(fullSignal);
+  const texts = blocks.filter(block => block.type === 'section').flatMap(section => section.fields.map(field => field.text));
+
+  assert.deepEqual(texts, describeEvent(fullSignal).fields.map(field => `*${field.name}*\n${field.value}`));
+});
+
+test('formatSlack omits the section block when an event has no fields', () => {
+  const { blocks } = formatSlack({ event: 'scanner_stopped', symbol: 'SOL-USD', timeframe: '15m' });
+
+  assert.deepEqual(blocks.map(block => block.type), ['header', 'context']);
+});
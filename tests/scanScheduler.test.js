@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getDueScanTime } from '../lib/scanScheduler.js';
+
+const at = (iso) => new Date(iso);
+
+test('a tick after the slot serves the slot of the last closed candle', () => {
+  assert.deepEqual(getDueScanTime(null, 900, 5, at('2024-01-01T10:20:00Z')), at('2024-01-01T10:15:05Z'));
+  assert.deepEqual(getDueScanTime('2024-01-01T10:00:05Z', 900, 5, at('2024-01-01T10:20:00Z')), at('2024-01-01T10:15:05Z'));
+});
+
+test('nothing is due once the symbol was scanned after the candle closed', () => {
+  assert.equal(getDueScanTime('2024-01-01T10:15:06Z', 900, 5, at('2024-01-01T10:20:00Z')), null);
+  assert.equal(getDueScanTime('2024-01-01T10:15:00Z', 900, 5, at('2024-01-01T10:20:00Z')), null);
+});
+
+test('a cron firing just before the slot is told about the upcoming slot', () => {
+  // Within the 30s tolerance the upcoming slot is returned - the tick reports it as not due yet instead of rescanning the old candle
+  assert.deepEqual(getDueScanTime('2024-01-01T10:00:06Z', 900, 5, at('2024-01-01T10:14:50Z')), at('2024-01-01T10:15:05Z'));
+  assert.equal(getDueScanTime('2024-01-01T10:00:06Z', 900, 5, at('2024-01-01T10:14:00Z')), null);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateSignalOutcome, summarizeOutcomes } from '../lib/signalOutcomes.js';
+
+const HOUR = 3600 * 1000;
+const signalTime = Date.parse('2024-01-01T00:00:00.000Z');
+const signal = { timestamp: new Date(signalTime).toISOString(), price: '100', granularity: 3600, signal_type: 'bullish' };
+const at = (ms) => new Date(signalTime + ms).toISOString();
+
+// One scan per hour, 5s after the candle close, price rising 1 per hour
+const hourlyPrices = (hours) => Array.from({ length: hours }, (_, i) => ({
+  timestamp: at((i + 1) * HOUR + 5000),
+  price: String(100 + i + 1)
+}));
+
+test('returns are measured at the first sample after each horizon', () => {
+  const outcome = calculateSignalOutcome(signal, hourlyPrices(24), new Date(signalTime + 25 * HOUR));
+
+  assert.equal(outcome.returns['1h'], 1);
+  assert.equal(outcome.returns['4h'], 4);
+  assert.equal(outcome.returns['24h'], 24);
+  assert.equal(outcome.returns['7d'], null);
+  assert.equal(outcome.complete, false);
+});
+
+test('horizons shorter than the granularity are not measurable', () => {
+  const daily = { ...signal, granularity: 86400 };
+  const prices = [{ timestamp: at(24 * HOUR + 5000), price: '110' }, { timestamp: at(7 * 24 * HOUR + 5000), price: '120' }];
+  const outcome = calculateSignalOutcome(daily, prices, new Date(signalTime + 8 * 24 * HOUR));
+
+  assert.equal(outcome.returns['1h'], null);
+  assert.equal(outcome.returns['4h'], null);
+  assert.equal(outcome.returns['24h'], 10);
+  assert.equal(outcome.returns['7d'], 20);
+  assert.equal(outcome.complete, true);
+});
+
+test('a data gap leaves the horizon pending instead of using a later price', () => {
+  // Scanner down from +2h until +3 days
+  const prices = [...hourlyPrices(2), { timestamp: at(72 * HOUR + 5000), price: '150' }];
+  const outcome = calculateSignalOutcome(signal, prices, new Date(signalTime + 73 * HOUR));
+
+  assert.equal(outcome.returns['1h'], 1);
+  assert.equal(outcome.returns['4h'], null);
+  assert.equal(outcome.returns['24h'], null);
+  assert.equal(outcome.complete, false);
+});
+
+test('signals past the window and grace period close with gaps left null', () => {
+  const outcome = calculateSignalOutcome(signal, hourlyPrices(2), new Date(signalTime + 9 * 24 * HOUR));
+
+  assert.equal(outcome.returns['4h'], null);
+  assert.equal(outcome.complete, true);
+});
+
+test('excursions come from candle highs and lows', () => {
+  const candles = [
+    { open_time: at(0), high: '104', low: '97' },
+    { open_time: at(HOUR), high: '108', low: '99' }
+  ];
+
+  const bullish = calculateSignalOutcome(signal, hourlyPrices(2), new Date(signalTime + 3 * HOUR), candles);
+  assert.equal(bullish.mfePercent, 8);
+  assert.equal(bullish.maePercent, -3);
+
+  const bearish = calculateSignalOutcome({ ...signal, signal_type: 'bearish' }, hourlyPrices(2), new Date(signalTime + 3 * HOUR), candles);
+  assert.equal(bearish.mfePercent, 3);
+  assert.equal(bearish.maePercent, -8);
+});
+
+test('candles opened before the signal are ignored', () => {
+  const candles = [{ open_time: at(-HOUR), high: '130', low: '70' }, { open_time: at(0), high: '102', low: '99' }];
+  const outcome = calculateSignalOutcome(signal, [], new Date(signalTime + 2 * HOUR), candles);
+
+  assert.equal(outcome.mfePercent, 2);
+  assert.equal(outcome.maePercent, -1);
+});
+
+test('excursions fall back to sampled prices without candles', () => {
+  const outcome = calculateSignalOutcome(signal, hourlyPrices(3), new Date(signalTime + 4 * HOUR));
+
+  assert.equal(outcome.mfePercent, 3);
+  assert.equal(outcome.maePercent, 0);
+});
+
+test('summaries adjust returns for the signal direction', () => {
+  const summary = summarizeOutcomes([
+    { signal_type: 'bullish', return_1h: '2', mfe_percent: '3', mae_percent: '-1', outcomes_complete: true },
+    { signal_type: 'bearish', return_1h: '2', mfe_percent: '1', mae_percent: '-3', outcomes_complete: false }
+  ]);
+
+  assert.equal(summary.horizons['1h'].samples, 2);
+  assert.equal(summary.horizons['1h'].avgReturnPercent, 0);
+  assert.equal(summary.horizons['1h'].winRate, 50);
+  assert.equal(summary.completeCount, 1);
+  assert.equal(summary.pendingCount, 1);
+});
@@ -0,0 +1,79 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateMovingAverage } from '../lib/movingAverages.js';
+import MockProvider from '../lib/providers/mockProvider.js';
+import SolanaScanner from '../lib/solanaScanner.js';
+import { candleOpenTime } from '../lib/timeframes.js';
+import { startSupabaseStub } from './helpers/supabaseStub.js';
+
+const GRANULARITY = 900;
+let db;
+let scanner;
+
+before(async () => {
+  delete process.env.WEBHOOK_URL;
+  db = await startSupabaseStub();
+  scanner = new SolanaScanner({ provider: new MockProvider(), symbol: 'SOL-USD', granularity: GRANULARITY });
+});
+
+after(() => db.close());
+
+test('a closed-bar scan stores candles, indicators and the scan from the mock provider', async () => {
+  const result = await scanner.scanPrice('manual');
+  const lastClosedOpen = candleOpenTime(new Date(), GRANULARITY) - GRANULARITY;
+  const candles = db.rows('candles')
+    .filter(row => Date.parse(row.open_time) <= lastClosedOpen * 1000)
+    .sort((a, b) => Date.parse(a.open_time) - Date.parse(b.open_time));
+  const closes = candles.slice(-scanner.historicalDataPoints).map(row => Number(row.close));
+
+  assert.equal(result.success, true);
+  assert.equal(result.dataPoints, scanner.historicalDataPoints);
+  assert.equal(result.maState, 'full');
+  assert.ok(Math.abs(result.ema12 - calculateMovingAverage(closes, 12, 'ema')) < 1e-9);
+  assert.ok(Math.abs(result.ema25 - calculateMovingAverage(closes, 25, 'ema')) < 1e-9);
+
+  const [price] = db.rows('sol_price_data');
+  assert.equal(price.symbol, 'SOL-USD');
+  assert.equal(price.granularity, GRANULARITY);
+  assert.equal(price.evaluation_mode, 'closed');
+  assert.equal(Date.parse(price.bar_time), lastClosedOpen * 1000);
+
+  assert.deepEqual(db.rows('indicator_state').map(row => `${row.ma_type}:${row.period}`).sort(), ['ema:12', 'ema:25']);
+  assert.equal(db.rows('scan_history').filter(row => row.status === 'success').length, 1);
+});
+
+test('the next scan of the same bar reuses the indicator state', async () => {
+  const result = await scanner.scanPrice('manual');
+
+  assert.equal(result.success, true);
+  assert.equal(result.maState, 'cached');
+  assert.equal(db.rows('sol_price_data').length, 2);
+});
+
+test('a crossover is stored once per bar however often the bar is scanned', async () => {
+  scanner.detectEMACrossover = () => 'bullish';
+
+  const first = await scanner.scanPrice('manual');
+  await scanner.scanPrice('manual');
+  const signals = db.rows('ema_signals').filter(row => row.indicator === 'ema');
+
+  assert.equal(first.crossover, 'bullish');
+  assert.equal(signals.length, 1);
+  assert.equal(signals[0].signal_type, 'bullish');
+  assert.equal(signals[0].bar_time, db.rows('sol_price_data')[0].bar_time);
+});
+
+test('intrabar signals are deduplicated by the forming bar, not the ticker time', async () => {
+  const intrabar = new SolanaScanner({ provider: new MockProvider(), symbol: 'ETH-USD', granularity: GRANULARITY, evaluationMode: 'intrabar' });
+  intrabar.detectEMACrossover = () => 'bearish';
+
+  await intrabar.scanPrice('manual');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await intrabar.scanPrice('manual');
+  const signals = db.rows('ema_signals').filter(row => row.symbol === 'ETH-USD' && row.indicator === 'ema');
+
+  assert.equal(signals.length, 1);
+  assert.equal(signals[0].evaluation_mode, 'intrabar');
+  assert.equal(Date.parse(signals[0].bar_time), candleOpenTime(new Date(), GRANULARITY) * 1000);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { candleOpenTime, nextScanTime, parseGranularity, previousScanTime } from '../lib/timeframes.js';
+
+const at = (iso) => new Date(iso);
+
+test('scans run the offset after each candle boundary', () => {
+  assert.deepEqual(nextScanTime(at('2024-01-01T10:07:00Z'), 900, 5), at('2024-01-01T10:15:05Z'));
+  assert.deepEqual(nextScanTime(at('2024-01-01T10:15:04Z'), 900, 5), at('2024-01-01T10:15:05Z'));
+  assert.deepEqual(nextScanTime(at('2024-01-01T23:30:00Z'), 3600, 5), at('2024-01-02T00:00:05Z'));
+});
+
+test('a scan exactly on its slot schedules the next candle', () => {
+  assert.deepEqual(nextScanTime(at('2024-01-01T10:15:05Z'), 900, 5), at('2024-01-01T10:30:05Z'));
+  assert.deepEqual(previousScanTime(at('2024-01-01T10:15:05Z'), 900, 5), at('2024-01-01T10:15:05Z'));
+});
+
+test('daily candles are aligned to UTC midnight', () => {
+  assert.equal(candleOpenTime(at('2024-01-01T18:00:00Z'), 86400), at('2024-01-01T00:00:00Z').getTime() / 1000);
+  assert.deepEqual(nextScanTime(at('2024-01-01T18:00:00Z'), 86400, 60), at('2024-01-02T00:01:00Z'));
+});
+
+test('granularities parse from labels and seconds', () => {
+  assert.equal(parseGranularity('1h'), 3600);
+  assert.equal(parseGranularity('900'), 900);
+  assert.equal(parseGranularity(120), null);
+  assert.equal(parseGranularity(''), null);
+});
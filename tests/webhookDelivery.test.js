@@ -0,0 +1,107 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import WebhookQueue from '../lib/webhookQueue.js';
+import { verifyWebhookSignature } from '../lib/webhookSigning.js';
+
+// Local stand-in for Discord / Slack / Telegram / a JSON receiver - records every request
+const received = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: `${baseUrl}/metadata` });
+        return res.end();
+      }
+
+      res.writeHead(req.url === '/fail' ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: req.url !== '/fail', secret: 'internal response' }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const queue = new WebhookQueue({ url: null });
+
+const delivery = {
+  delivery_id: 'sol-usd_1704067200000_bullish',
+  payload: {
+    event: 'ema_crossover_detected',
+    symbol: 'SOL-USD',
+    timeframe: '15m',
+    exchange: 'Coinbase',
+    timestamp: '2024-01-01T00:15:05.000Z',
+    signal: { type: 'bullish', direction: 'BUY' },
+    price: { current: 101.25 },
+    technical_analysis: { ema_12: 100.5, ema_25: 99.75, ema_fast_period: 12, ema_slow_period: 25 }
+  }
+};
+
+async function sendTo(path, target) {
+  received.length = 0;
+  const result = await queue.send({ url: `${baseUrl}${path}`, formatOptions: {}, ...target }, delivery);
+  return { result, request: received[0] };
+}
+
+test('discord endpoints receive an embed', async () => {
+  const { result, request } = await sendTo('/discord', { format: 'discord' });
+  const body = JSON.parse(request.body);
+
+  assert.equal(result.success, true);
+  assert.equal(body.embeds.length, 1);
+  assert.match(body.embeds[0].title, /Bullish EMA12\/EMA25 crossover - SOL-USD 15m/);
+  assert.ok(body.embeds[0].fields.some(field => field.name === 'Price' && field.value === '$101.2500'));
+});
+
+test('slack endpoints receive Block Kit sections', async () => {
+  const { result, request } = await sendTo('/slack', { format: 'slack' });
+  const body = JSON.parse(request.body);
+
+  assert.equal(result.success, true);
+  assert.equal(body.text, 'SOL-USD BUY signal at $101.2500');
+  assert.deepEqual(body.blocks.map(block => block.type), ['header', 'section', 'context']);
+});
+
+test('telegram endpoints receive a MarkdownV2 sendMessage request', async () => {
+  const { request } = await sendTo('/telegram', { format: 'telegram', formatOptions: { chatId: '-100123' } });
+  const body = JSON.parse(request.body);
+
+  assert.equal(body.chat_id, '-100123');
+  assert.equal(body.parse_mode, 'MarkdownV2');
+  assert.match(body.text, /Price: `\$101\\\.2500`/);
+});
+
+test('signed deliveries verify against the raw body', async () => {
+  const { request } = await sendTo('/json', { format: 'json', secret: 'test-secret' });
+
+  assert.deepEqual(JSON.parse(request.body), delivery.payload);
+  assert.equal(verifyWebhookSignature({ body: request.body, headers: request.headers, secret: 'test-secret' }).valid, true);
+  assert.equal(request.headers['x-bob13-delivery-id'], delivery.delivery_id);
+});
+
+test('failed deliveries report the status', async () => {
+  const { result } = await sendTo('/fail', { format: 'json' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.status, 500);
+});
+
+test('redirects are not followed', async () => {
+  const { result } = await sendTo('/redirect', { format: 'json' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.status, 302);
+  assert.deepEqual(received.map(request => request.path), ['/redirect']);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DELIVERY_ID_HEADER,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  computeSignature,
+  createReplayGuard,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from '../lib/webhookSigning.js';
+
+const secret = 'whsec_test';
+const body = JSON.stringify({ event: 'ema_crossover_detected', symbol: 'SOL-USD', price: { current: 101.25 } });
+const timestamp = 1704067200;
+const now = timestamp * 1000;
+
+// Node lower-cases incoming header names
+const lowerCase = (headers) => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+test('a signed body verifies with the same secret', () => {
+  const headers = signWebhookPayload(body, secret, { timestamp, deliveryId: 'delivery-1' });
+
+  assert.equal(headers[TIMESTAMP_HEADER], String(timestamp));
+  assert.equal(headers[DELIVERY_ID_HEADER], 'delivery-1');
+  assert.equal(headers[SIGNATURE_HEADER], `v1=${computeSignature(secret, timestamp, body)}`);
+  assert.deepEqual(verifyWebhookSignature({ body, headers: lowerCase(headers), secret, now }), {
+    valid: true,
+    reason: null,
+    deliveryId: 'delivery-1',
+    timestamp: String(timestamp)
+  });
+});
+
+test('Fetch Headers are accepted as well as plain objects', () => {
+  const headers = new Headers(signWebhookPayload(body, secret, { timestamp }));
+
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now }).valid, true);
+});
+
+test('a changed body, another secret or a missing header fail verification', () => {
+  const headers = lowerCase(signWebhookPayload(body, secret, { timestamp }));
+
+  assert.equal(verifyWebhookSignature({ body: body.replace('101.25', '999'), headers, secret, now }).reason, 'signature_mismatch');
+  assert.equal(verifyWebhookSignature({ body, headers, secret: 'other', now }).reason, 'signature_mismatch');
+  assert.equal(verifyWebhookSignature({ body, headers, secret: '', now }).reason, 'missing_secret');
+  assert.equal(
+    verifyWebhookSignature({ body, headers: { ...headers, 'x-bob13-signature': undefined }, secret, now }).reason,
+    'missing_headers'
+  );
+  assert.equal(
+    verifyWebhookSignature({ body, headers: { ...headers, 'x-bob13-signature': 'v2=abc' }, secret, now }).reason,
+    'unsupported_signature'
+  );
+});
+
+test('timestamps are accepted only within the tolerance', () => {
+  const headers = lowerCase(signWebhookPayload(body, secret, { timestamp }));
+
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now: now + 300 * 1000 }).valid, true);
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now: now - 300 * 1000 }).valid, true);
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now: now + 301 * 1000 }).reason, 'stale_timestamp');
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now: now + 301 * 1000, toleranceSeconds: 600 }).valid, true);
+  assert.equal(
+    verifyWebhookSignature({ body, headers: { ...headers, 'x-bob13-timestamp': 'soon' }, secret, now }).reason,
+    'invalid_timestamp'
+  );
+});
+
+test('the replay guard rejects a captured delivery sent twice', () => {
+  const headers = lowerCase(signWebhookPayload(body, secret, { timestamp }));
+  const checkReplay = createReplayGuard();
+
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now, checkReplay }).valid, true);
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now, checkReplay }).reason, 'replayed_delivery');
+  // A forged request must not use up the signature of the genuine one
+  const otherGuard = createReplayGuard();
+  assert.equal(verifyWebhookSignature({ body, headers, secret: 'other', now, checkReplay: otherGuard }).valid, false);
+  assert.equal(verifyWebhookSignature({ body, headers, secret, now, checkReplay: otherGuard }).valid, true);
+});